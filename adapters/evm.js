@@ -1,5 +1,5 @@
 // vision/adapters/evm.js
-// Uses Cloudflare Worker endpoints: /txs and /ofac
+// Uses Cloudflare Worker endpoints: /txs, /ofac (single GET, bulk POST) and /check-transfer
 // Trusts server policy: if /ofac says { block:true, risk_score:100 }, we pass that through.
 
 const rootScope =
@@ -10,7 +10,9 @@ const API = () =>
   ((rootScope.VisionConfig?.API_BASE) ??
    "https://xwalletv1dot2.agedotcom.workers.dev").replace(/\/$/, "");
 
-async function fetchJSON(url, opts) {
+async function fetchJSON(url, opts = {}) {
+  const key = rootScope.VisionConfig?.API_KEY;
+  if (key) opts = { ...opts, headers: { ...opts.headers, 'x-api-key': key } };
   const r = await fetch(url, opts);
   const t = await r.text();
   if (!r.ok) throw new Error(`HTTP ${r.status} from ${url}\n${t.slice(0,180)}…`);
@@ -22,11 +24,33 @@ async function ofacCheck(addr, network) {
   return await fetchJSON(url);
 }
 
-async function getTxs(addr, network, order='asc') {
+// One round-trip for many addresses → Map(address → { hit, block, risk_score, ... })
+async function ofacCheckMany(addrs, network) {
+  const out = new Map();
+  if (!addrs.length) return out;
+  const res = await fetchJSON(`${API()}/ofac`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ addresses: addrs, network })
+  });
+  for (const r of (res.results || [])) out.set(String(r.address).toLowerCase(), r);
+  return out;
+}
+
+// /txs returns the newest `limit` txs oldest-first; firstTimeStamp is the
+// wallet's true first tx even when older ones fall outside that window.
+async function getTxPage(addr, network) {
   const qs = new URLSearchParams({ address: addr, network, limit: '100' });
   const url = `${API()}/txs?${qs.toString()}`;
   const res = await fetchJSON(url);
-  const txs = Array.isArray(res.result) ? res.result : [];
+  return {
+    txs: Array.isArray(res.result) ? res.result : [],
+    firstTimeStamp: Number(res.firstTimeStamp || 0)
+  };
+}
+
+async function getTxs(addr, network, order='asc') {
+  const { txs } = await getTxPage(addr, network);
   return order === 'desc' ? txs.slice().reverse() : txs;
 }
 
@@ -37,11 +61,11 @@ export const RiskAdapters = {
       network = network || "eth";
 
       // 1) Transactions (local heuristics)
-      const txs = await getTxs(addr, network, 'asc');
+      const { txs, firstTimeStamp } = await getTxPage(addr, network);
 
       let ageDays = null, fanInZ = 0, fanOutZ = 0, mixerTaint = 0, category = "wallet";
       if (txs.length) {
-        const firstTs = Number(txs[0].timeStamp || 0) * 1000;
+        const firstTs = (firstTimeStamp || Number(txs[0].timeStamp || 0)) * 1000;
         if (firstTs) ageDays = Math.max(0, (Date.now() - firstTs) / (1000*60*60*24));
         const latest = txs.slice(-50);
         const senders = new Set(), receivers = new Set();
@@ -91,10 +115,10 @@ export const RiskAdapters = {
       neigh.delete(String(addr).toLowerCase());
       const neighbors = Array.from(neigh);
 
+      const checks = await ofacCheckMany(neighbors, network);
       let riskyCount = 0;
       for (const n of neighbors) {
-        const s = await ofacCheck(n, network);
-        if (s?.hit) riskyCount++;
+        if (checks.get(n)?.hit) riskyCount++;
       }
 
       const riskyNeighborRatio = neighbors.length ? riskyCount / neighbors.length : 0;
@@ -121,5 +145,14 @@ export const RiskAdapters = {
       const burstZ = (last - mean) / Math.max(1, Math.sqrt(mean || 1));
       return { burstZ };
     },
+
+    // Pre-transfer screening → { decision: 'allow'|'warn'|'block', decisionId, reasons, ... }
+    async checkTransfer({ sender, recipient, asset, amount, network } = {}) {
+      return await fetchJSON(`${API()}/check-transfer`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ sender, recipient, asset, amount, network: network || "eth" })
+      });
+    },
   }
 };
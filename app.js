@@ -123,11 +123,14 @@ function normalizeResult(res = {}) {
     feats.neighborCount ??
     null;
 
-  if (!explain.neighborsDormant && feats.local?.riskyNeighborRatio != null) {
-    const r = Number(feats.local.riskyNeighborRatio) || 0;
+  // riskyNeighborRatio is now real list exposure, so only fall back to it
+  // as a dormancy proxy when the server sent no dormantNeighborRatio
+  const dormantRatio = feats.dormantNeighborRatio ?? feats.local?.riskyNeighborRatio;
+  if (!explain.neighborsDormant && dormantRatio != null) {
+    const r = Number(dormantRatio) || 0;
     explain.neighborsDormant = {
       inactiveRatio: clamp(r),
-      avgInactiveAge: feats.local.neighborAvgAgeDays ?? null,
+      avgInactiveAge: feats.local?.neighborAvgAgeDays ?? null,
       resurrected: 0,
       whitelistPct: 0,
       n: neighborCount
@@ -172,6 +175,7 @@ async function init() {
 
   await post('INIT', {
     apiBase: (window.VisionConfig && window.VisionConfig.API_BASE) || "",
+    apiKey: window.VisionConfig?.API_KEY || "",
     cache: window.RiskCache,
     network: getNetwork(),
     ruleset: window.VisionConfig?.RULESET || 'safesend-2025.11.0',
@@ -181,11 +185,16 @@ async function init() {
       streamBatch: true,
       neighborStats: true,
       cacheNeighborsTTL: 600000 // 10 min
+    },
+    synthetic: {
+      topology: window.VisionConfig?.GRAPH?.syntheticTopology || 'auto',
+      count: window.VisionConfig?.GRAPH?.syntheticCount || 10
     }
   });
 
   bindUI();
   applyFeatureTogglesFromUI();
+  syncGraphOverlays();
   seedDemo();
 }
 init();
@@ -202,6 +211,7 @@ function bindUI() {
   });
 
   document.getElementById('clearBtn')?.addEventListener('click', () => {
+    expansions.clear();
     setGraphData({ nodes: [], links: [] });
     updateBatchStatus('Idle');
     setNeighborStatus('Idle');
@@ -222,9 +232,24 @@ function bindUI() {
     scoreVisible();
   });
 
-  // Graph selection → score + neighbors + history
+  // Graph selection → score + history; the graph itself stays as it is.
+  // Expand / collapse merge into (or prune) the current graph; re-center
+  // starts a fresh neighborhood around the node.
   if (window.graph && typeof window.graph.on === 'function') {
     window.graph.on('selectNode', (n) => {
+      if (!n) return;
+      const id = normId(n.id);
+      pushNav(id);
+      selectAndScore(id);
+    });
+
+    window.graph.on('expandNode', (n) => {
+      if (n) expandNode(n.id).catch(() => setNeighborStatus('Neighbors: unavailable'));
+    });
+    window.graph.on('collapseNode', (n) => {
+      if (n) collapseNode(n.id);
+    });
+    window.graph.on('recenterNode', (n) => {
       if (!n) return;
       const id = normId(n.id);
       pushNav(id);
@@ -241,15 +266,13 @@ function bindUI() {
   document.getElementById('navBack')?.addEventListener('click', () => {
     if (navIndex > 0) {
       navIndex--;
-      const id = navHistory[navIndex];
-      centerOnSeedAndLoad(id, { pushHistory: false });
+      revisitNav(navHistory[navIndex]);
     }
   });
   document.getElementById('navForward')?.addEventListener('click', () => {
     if (navIndex < navHistory.length - 1) {
       navIndex++;
-      const id = navHistory[navIndex];
-      centerOnSeedAndLoad(id, { pushHistory: false });
+      revisitNav(navHistory[navIndex]);
     }
   });
   document.getElementById('resetView')?.addEventListener('click', () => {
@@ -274,6 +297,7 @@ function bindUI() {
   // React to Control Panel toggles
   window.addEventListener('rxl:features:changed', () => {
     applyFeatureTogglesFromUI();
+    syncGraphOverlays();
     if (lastRenderResult) {
       applyVisualCohesion(lastRenderResult);
       renderNarrativePanelIfEnabled(lastRenderResult);
@@ -307,22 +331,26 @@ function pushNav(id){
   navIndex = navHistory.length - 1;
 }
 
+// Back / Forward: re-focus the node inside the current graph so expansions
+// survive; only a node that is no longer on screen reloads its neighborhood.
+// (centerOn emits selectNode, whose pushNav is a no-op on the current entry.)
+function revisitNav(id){
+  const inGraph = graphGetData().nodes.some(n => normId(n.id) === id);
+  if (inGraph && typeof window.graph?.centerOn === 'function') {
+    window.graph.centerOn(id);
+  } else {
+    centerOnSeedAndLoad(id, { pushHistory: false });
+  }
+}
+
 async function centerOnSeedAndLoad(seed, opts = {}) {
   const network = getNetwork();
-  setSelected(seed);
   // Replace graph with centered node while loading neighbors
+  expansions.clear();
   setGraphData({ nodes:[{ id: seed, address: seed, network }], links:[] });
   setNeighborStatusLoading();
 
-  // Score
-  post('SCORE_ONE', { item: { type:'address', id: seed, network } })
-    .then(r => {
-      const rr = normalizeResult(r);
-      updateScorePanel(rr);
-      applyVisualCohesion(rr);
-      renderNarrativePanelIfEnabled(rr);
-    })
-    .catch(()=>{});
+  selectAndScore(seed);
 
   // Neighbors
   refreshGraphFromLive(seed).catch(()=>{
@@ -334,6 +362,18 @@ async function centerOnSeedAndLoad(seed, opts = {}) {
   }
 }
 
+function selectAndScore(id) {
+  setSelected(id);
+  post('SCORE_ONE', { item: { type:'address', id, network: getNetwork() } })
+    .then(r => {
+      const rr = normalizeResult(r);
+      updateScorePanel(rr);
+      applyVisualCohesion(rr);
+      renderNarrativePanelIfEnabled(rr);
+    })
+    .catch(()=>{});
+}
+
 /* ================= Factor Weights + Breakdown ==================== */
 
 const FACTOR_WEIGHTS = {
@@ -378,21 +418,29 @@ function updateScorePanel(res) {
 
   scorePanel.setSummary(res);
 
-  const mixerPct = Math.round((feats.mixerTaint ?? 0) * 100) + '%';
+  const mixerPct = Math.round((feats.mixerProximity ?? feats.mixerTaint ?? 0) * 100) + '%';
   const neighRatio = feats.local?.riskyNeighborRatio ?? 0;
   const neighPct = Math.round(neighRatio * 100) + '%';
   const neighCount = feats.local?.neighborCount ?? feats.neighborCount ?? null;
 
-  const neighborLine = `Neighbors flagged: <b>${neighPct}</b>` +
-    (typeof neighCount === 'number' ? ` (${neighCount} neighbors)` : '');
-
-  document.getElementById('entityMeta').innerHTML = `
-    <div>Address: <b>${res.id}</b></div>
-    <div>Network: <b>${res.network}</b></div>
-    <div>Age: <b>${ageDisplay}</b></div>
-    <div>Mixer taint: <b>${mixerPct}</b></div>
-    <div>${neighborLine}</div>
-  `;
+  // rows are built as nodes so registry / backend strings never reach innerHTML
+  const row = (label, value) => {
+    const div = document.createElement('div');
+    const b = document.createElement('b');
+    b.textContent = String(value);
+    div.append(`${label}: `, b);
+    return div;
+  };
+  const rows = [
+    row('Address', res.id),
+    row('Network', res.network)
+  ];
+  if (res.explain?.signals?.entity) rows.push(row('Entity', res.explain.signals.entity));
+  rows.push(row('Age', ageDisplay), row('Mixer taint', mixerPct));
+  const neighbors = row('Neighbors flagged', neighPct);
+  if (typeof neighCount === 'number') neighbors.append(` (${neighCount} neighbors)`);
+  rows.push(neighbors);
+  document.getElementById('entityMeta').replaceChildren(...rows);
 }
 
 /* ================= Unified visuals (halo + ring) ================= */
@@ -408,7 +456,6 @@ function applyVisualCohesion(res){
   const color = colorForScore(res.score || 0, blocked);
 
   const feats = res.feats || {};
-  const F = window.VisionConfig?.FEATURES || {};
 
   window.graph?.setHalo({
     id: res.id,
@@ -419,13 +466,14 @@ function applyVisualCohesion(res){
     tooltip: res.label
   });
 
-  if (F.heatmap && typeof window.graph?.setHeatmap === 'function') {
+  // always recorded; the Control Panel toggles only show / hide them (syncGraphOverlays)
+  if (typeof window.graph?.setHeatmap === 'function') {
     window.graph.setHeatmap(res.id, res.score || 0);
   }
-  if (F.nodeSizeByValue &&
-      typeof feats.balanceUsd === 'number' &&
-      typeof window.graph?.setNodeSize === 'function') {
-    window.graph.setNodeSize(res.id, Math.log10(feats.balanceUsd + 10));
+  // a node without the configured metric is left unsized (clears any older size)
+  const value = nodeValue(feats);
+  if (typeof window.graph?.setNodeSize === 'function') {
+    window.graph.setNodeSize(res.id, value == null ? null : Math.log10(1 + value));
   }
 
   const panel = document.getElementById('scorePanel');
@@ -434,6 +482,20 @@ function applyVisualCohesion(res){
 
 function drawHalo(res) { applyVisualCohesion(res); }
 
+// The GRAPH.nodeSizeMetric / nodeSizeUnit field only, so sizes in one graph
+// are comparable; null when the node doesn't have it
+function nodeValue(feats) {
+  const G = window.VisionConfig?.GRAPH || {};
+  const metric = G.nodeSizeMetric === 'flowVolume' ? 'flowVolume' : 'balance';
+  const v = feats[G.nodeSizeUnit === 'usd' ? `${metric}Usd` : metric];
+  return typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : null;
+}
+
+function syncGraphOverlays() {
+  const F = window.VisionConfig?.FEATURES || {};
+  window.graph?.setOverlays?.({ heatmap: !!F.heatmap, nodeSize: !!F.nodeSizeByValue });
+}
+
 /* ================= Status helpers ================================ */
 
 function updateBatchStatus(text) {
@@ -493,7 +555,7 @@ async function getNeighborsLive(centerId){
     const res = await post('NEIGHBORS', {
       id: centerId,
       network: getNetwork(),
-      hop: 1,
+      hop: (window.VisionConfig?.GRAPH?.neighborHops || 1),
       limit: (window.VisionConfig?.GRAPH?.neighborLimit || 120)
     });
     if (res && Array.isArray(res.nodes) && Array.isArray(res.links)) return res;
@@ -501,36 +563,48 @@ async function getNeighborsLive(centerId){
   return { nodes: [], links: [] };
 }
 
-async function refreshGraphFromLive(centerId){
-  const { nodes, links } = await getNeighborsLive(centerId);
-  if (!nodes.length && !links.length) {
-    setNeighborStatus('Neighbors: sparse or unavailable');
-    return;
-  }
-
+// Normalized { center, nodes, links } for one /neighbors response; only
+// orphans get a center edge – hop-2/3 nodes keep their real parent
+function neighborhoodFrom(centerId, { nodes, links }) {
   const center = { id: normId(centerId), address: normId(centerId), network: getNetwork() };
   const nn = nodes.map(n => ({ ...n, id: normId(n.id || n.address) }));
   const ll = links.map(L => ({
+    ...L,
     a: normId(L.a || L.source || L.idA || L.from),
     b: normId(L.b || L.target || L.idB || L.to),
     weight: L.weight || 1
   }));
 
-  let haveCenter = nn.some(n => n.id === center.id);
-  const finalNodes = haveCenter ? nn : [center, ...nn];
-
-  const knownNeighbors = new Set();
+  const linked = new Set();
   for (const L of ll) {
-    if (L.a === center.id) knownNeighbors.add(L.b);
-    if (L.b === center.id) knownNeighbors.add(L.a);
+    linked.add(L.a);
+    linked.add(L.b);
   }
   for (const n of nn) {
-    if (!knownNeighbors.has(n.id) && n.id !== center.id) {
+    if (!linked.has(n.id) && n.id !== center.id) {
       ll.push({ a: center.id, b: n.id, weight: 1 });
     }
   }
 
-  setGraphData({ nodes: finalNodes, links: ll });
+  const haveCenter = nn.some(n => n.id === center.id);
+  return { center, nodes: haveCenter ? nn : [center, ...nn], links: ll };
+}
+
+async function refreshGraphFromLive(centerId){
+  const res = await getNeighborsLive(centerId);
+  if (!res.nodes.length && !res.links.length) {
+    setNeighborStatus('Neighbors: sparse or unavailable');
+    return;
+  }
+
+  const { center, nodes, links } = neighborhoodFrom(centerId, res);
+  const finalNodes = nodes.map(n => n.id === center.id ? { ...n, expanded: true } : n);
+  expansions.set(center.id, {
+    nodes: new Set(finalNodes.map(n => n.id).filter(id => id !== center.id)),
+    links: new Set(links.map(L => linkKey(L.a, L.b)))
+  });
+
+  setGraphData({ nodes: finalNodes, links });
 
   for (const n of finalNodes) {
     if (n.id !== center.id) {
@@ -542,6 +616,98 @@ async function refreshGraphFromLive(centerId){
   setNeighborStatus(`Neighbors: ${finalNodes.length - 1} nodes`);
 }
 
+/* ================= Incremental expand / collapse ================= */
+
+// Expanded node id → what its expansion added to the graph:
+//   { nodes: Set(ids), links: Set(linkKey) }
+// Nodes / links that were already on screen are not recorded, so collapsing
+// only removes what the expansion brought in.
+const expansions = new Map();
+
+function linkKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+async function expandNode(nodeId) {
+  const id = normId(nodeId);
+  setNeighborStatusLoading();
+  const res = await getNeighborsLive(id);
+  if (!res.nodes.length && !res.links.length) {
+    setNeighborStatus('Neighbors: sparse or unavailable');
+    return;
+  }
+
+  const hood = neighborhoodFrom(id, res);
+  const cur = graphGetData();
+  const byId = new Map(cur.nodes.map(n => [n.id, n]));
+  const keys = new Set(cur.links.map(L => linkKey(L.a, L.b)));
+  const links = cur.links.slice();
+  const prev = expansions.get(id);
+  const added = { nodes: new Set(prev?.nodes), links: new Set(prev?.links) };
+  const fresh = [];
+
+  for (const n of hood.nodes) {
+    if (byId.has(n.id) || n.id === id) continue;
+    byId.set(n.id, n);
+    added.nodes.add(n.id);
+    fresh.push(n.id);
+  }
+  for (const L of hood.links) {
+    const k = linkKey(L.a, L.b);
+    if (keys.has(k) || L.a === L.b) continue;
+    keys.add(k);
+    links.push(L);
+    added.links.add(k);
+  }
+  byId.set(id, { ...(byId.get(id) || hood.center), expanded: true });
+  expansions.set(id, added);
+
+  // scored nodes keep their halos (graph.js holds them by id); only new
+  // nodes get the placeholder until their score streams in
+  setGraphData({ nodes: [...byId.values()], links });
+  for (const nid of fresh) {
+    window.graph?.setHalo({ id: nid, color:'#22d37b', intensity:.35 });
+  }
+  if (fresh.length) {
+    post('SCORE_BATCH', {
+      items: fresh.map(nid => ({ type: 'address', id: nid, network: getNetwork() }))
+    }).catch(err => console.error(err));
+  }
+
+  setNeighborStatus(`Expanded ${id.slice(0, 8)}…: +${fresh.length} nodes (${byId.size} total)`);
+}
+
+// Removes what nodeId's expansion added (collapsing expanded descendants
+// first). Added nodes still linked to the rest of the graph by someone
+// else's edge stay, as does the selected node.
+function collapseNode(nodeId) {
+  const id = normId(nodeId);
+  const exp = expansions.get(id);
+  if (!exp) return;
+  expansions.delete(id);
+  for (const child of exp.nodes) {
+    if (expansions.has(child)) collapseNode(child);
+  }
+
+  const cur = graphGetData();
+  const links = cur.links.filter(L => !exp.links.has(linkKey(L.a, L.b)));
+  const candidates = new Set([...exp.nodes].filter(n => n !== id && n !== selectedNodeId));
+  const anchored = new Set();
+  for (const L of links) {
+    if (candidates.has(L.a) && !candidates.has(L.b)) anchored.add(L.a);
+    if (candidates.has(L.b) && !candidates.has(L.a)) anchored.add(L.b);
+  }
+  const drop = new Set([...candidates].filter(n => !anchored.has(n)));
+
+  setGraphData({
+    nodes: cur.nodes
+      .filter(n => !drop.has(n.id))
+      .map(n => n.id === id ? { ...n, expanded: false } : n),
+    links: links.filter(L => !drop.has(L.a) && !drop.has(L.b))
+  });
+  setNeighborStatus(`Collapsed ${id.slice(0, 8)}…: −${drop.size} nodes`);
+}
+
 /* ================= Narrative Engine v1 =========================== */
 
 let lastRenderResult = null;
@@ -571,6 +737,27 @@ function narrativeFromExplain(expl, mode = 'analyst') {
     parts.push('in a high-volume counterparty cluster');
   }
 
+  const sig = expl.signals || {};
+  if (sig.custodian) parts.push(`a known custodian (${sig.custodianName})`);
+  else if (sig.entity && sig.entityType === 'custodian') parts.push(`operated by ${sig.entity} (${sig.entityCategory})`);
+
+  const flagged = expl.parts?.neighbor?.details?.flagged || [];
+  if (flagged.length) {
+    const named = flagged.slice(0, 3).map(n =>
+      `${n.entity || shortAddr(n.address)} (${n.lists.map(listLabel).join(' + ')}, ${n.interactions} tx)`);
+    const more = flagged.length > 3 ? ` and ${flagged.length - 3} more` : '';
+    parts.push(`transacting with flagged counterparties ${named.join(', ')}${more}`);
+  }
+
+  const flow = expl.parts?.concentration?.details || {};
+  if (flow.pattern === 'collector' || flow.pattern === 'mixed') {
+    parts.push(`collecting funds from ${flow.uniqueSenders} senders`);
+  }
+  if (flow.pattern === 'distributor' || flow.pattern === 'mixed') {
+    parts.push(`spraying payouts to ${flow.uniqueReceivers} receivers` +
+      (flow.evenPayouts ? ' in near-equal amounts' : ''));
+  }
+
   if (expl.mixerLink) parts.push('with adjacency to mixer infrastructure');
   if (expl.sketchyCluster) parts.push('with links to a sketchy / scam cluster');
 
@@ -581,6 +768,12 @@ function narrativeFromExplain(expl, mode = 'analyst') {
     text += ' Limited neighbor data — metrics may be conservative.';
   }
 
+  if (expl.inconclusive) {
+    const why = lowConfidenceCauses(expl.confidenceFactors);
+    text += ` Low confidence (${Math.round((expl.confidence || 0) * 100)}%)` +
+      (why.length ? `: ${why.join(', ')}` : '') + ' — treat this result as inconclusive.';
+  }
+
   if (mode === 'consumer') {
     text = text.replace('This wallet is', 'Unusual pattern: this wallet')
                .replace(' No direct OFAC link was found.', '');
@@ -593,11 +786,16 @@ function narrativeFromExplain(expl, mode = 'analyst') {
   if (typeof nc.avgTx === 'number' && nc.avgTx >= 200) push('High counterparty volume', 'warn');
 
   // NEW: Mixer & Sketchy Cluster badges
-  const sig = expl.signals || {};
   if (expl.mixerLink || sig.mixer) push('Mixer proximity', 'warn');
   if (expl.sketchyCluster || expl.scamHit || sig.scamPlatform) push('Sketchy cluster', 'risk');
 
+  if (flagged.some(n => n.lists.includes('ofac'))) push('Sanctioned neighbor', 'risk');
+  if (sig.custodian) push('Custodian', 'safe');
+  if (flow.fanInHigh) push('Fan-in', 'warn');
+  if (flow.fanOutBurst) push('Fan-out burst', 'warn');
+
   push(expl.ofacHit ? 'OFAC' : 'No OFAC', expl.ofacHit ? 'risk' : 'safe');
+  if (expl.inconclusive) push('Low confidence', 'warn');
 
   const factors = Array.isArray(expl.factorImpacts)
     ? [...expl.factorImpacts].sort((a,b)=>(b.delta||0)-(a.delta||0)).slice(0,5)
@@ -613,8 +811,9 @@ function renderNarrativePanelIfEnabled(res) {
 
   const expl = res.explain || {};
 
-  if (!expl.neighborsDormant && res.feats?.local?.riskyNeighborRatio != null) {
-    const r = Number(res.feats.local.riskyNeighborRatio) || 0;
+  const dormantRatio = res.feats?.dormantNeighborRatio ?? res.feats?.local?.riskyNeighborRatio;
+  if (!expl.neighborsDormant && dormantRatio != null) {
+    const r = Number(dormantRatio) || 0;
     expl.neighborsDormant = { inactiveRatio: clamp(r), avgInactiveAge: null, resurrected: 0, whitelistPct: 0, n: null };
   }
   if (!expl.neighborsAvgTxCount && res.feats?.local?.neighborAvgTx != null) {
@@ -663,12 +862,18 @@ function renderNarrativePanelIfEnabled(res) {
     const rows = (factors && factors.length) ? factors : defaultFactorRowsFrom(res);
     rows.forEach(row => {
       const tr = document.createElement('tr');
-      tr.innerHTML = `
-        <td>${row.label}</td>
-        <td>${row.metrics || deriveMetrics(res, row.sourceKey)}</td>
-        <td style="text-align:right;">${row.delta != null ? ('+' + row.delta) : '—'}</td>
-        <td><code>${row.sourceKey || 'derived'}</code></td>
-      `;
+      const cell = (text) => {
+        const td = document.createElement('td');
+        td.textContent = String(text);
+        tr.appendChild(td);
+        return td;
+      };
+      cell(row.label);
+      cell(row.metrics || deriveMetrics(res, row.sourceKey));
+      cell(row.delta != null ? ('+' + row.delta) : '—').style.textAlign = 'right';
+      const code = document.createElement('code');
+      code.textContent = row.sourceKey || 'derived';
+      cell('').appendChild(code);
       tbody.appendChild(tr);
     });
   }
@@ -740,6 +945,24 @@ function fmtAgeDays(days){
   if (y > 0) return `${y}y`;
   return `${m}m`;
 }
+function shortAddr(id){
+  const s = String(id || '');
+  return s.length > 12 ? `${s.slice(0, 6)}…${s.slice(-4)}` : s;
+}
+function lowConfidenceCauses(factors = {}){
+  const labels = {
+    provider: 'no transaction provider responded',
+    history: 'history is partial',
+    neighbors: 'few counterparties',
+    lists: 'watchlists are stale',
+  };
+  return Object.entries(labels)
+    .filter(([key]) => typeof factors[key] === 'number' && factors[key] < 1)
+    .map(([, label]) => label);
+}
+function listLabel(key){
+  return ({ ofac: 'OFAC', scamCluster: 'scam cluster', tornado: 'mixer' })[key] || key;
+}
 function flash(btn, msg){
   const keep = btn.textContent;
   btn.textContent = msg;
@@ -751,7 +974,8 @@ function hasReason(res, kw){
   return txt.includes(kw);
 }
 function coerceOfacFlag(explain, res){
-  const hit = !!(
+  // Server explain is authoritative; reason text also mentions sanctioned *neighbors*
+  const hit = (typeof res.explain?.ofacHit === 'boolean') ? res.explain.ofacHit : !!(
     res.sanctionHits || res.sanctioned || res.ofac ||
     hasReason(res, 'ofac') || hasReason(res, 'sanction')
   );
@@ -3,6 +3,8 @@
 
 window.VisionConfig = {
   API_BASE: "https://riskxlabs-vision-api.agedotcom.workers.dev",
+  // Sent as X-API-Key when the server has API_KEYS configured (scope it to this origin)
+  API_KEY: "",
 
   FEATURES: {
     // Always ON for your solo testing; toggle in UI via #flagEngine
@@ -24,9 +26,20 @@ window.VisionConfig = {
   // Graph defaults
   GRAPH: {
     neighborLimit: 120,
+    neighborHops: 1,          // 2–3 crawls neighbors-of-neighbors (slower)
     neighborBatchScoreSize: 25,
     neighborBatchDelayMs: 75,
-    debounceViewportMs: 180
+    debounceViewportMs: 180,
+    layout: "radial",         // radial | force | hierarchical (graph.setLayout switches at runtime)
+    renderer: "auto",         // auto (canvas from 250 nodes) | svg | canvas (graph.setRenderer)
+
+    // "Node size by value": one metric and one unit for every node in the graph
+    nodeSizeMetric: "balance", // balance | flowVolume
+    nodeSizeUnit: "native",    // native | usd (nodes on unpriced networks stay unsized)
+
+    // Offline / sparse-backend fallback graph (seeded from the center address)
+    syntheticTopology: "auto", // star | peel_chain | mixer_fan_in | exchange_hub | auto
+    syntheticCount: 10
   }
 };
 
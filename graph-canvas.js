@@ -0,0 +1,673 @@
+// graph-canvas.js — Vision 1_5_RE
+// 2D-canvas backend for graph.js, used for large graphs (CANVAS_MIN_NODES
+// there). graph.js keeps the data, layout, overlays and public API; this
+// module only draws and hit-tests:
+//   - nodes and edges sit in grid spatial indexes (lib/spatial-index.js), so
+//     hover, click and drag never scan the whole graph
+//   - labels are level-of-detail: dropped when zoomed-out nodes get small or
+//     would overlap, always drawn for focused / blocked / pinned / hovered
+//   - halo, focus, pin, hover and drag changes repaint only the dirty region
+//     around the affected nodes and their edges; the focus pulse animates
+//     that way
+// Colors mirror the SVG styles in styles.css.
+
+import { createSpatialIndex, segmentDistance } from './lib/spatial-index.js';
+
+const RING_COLOR = 'rgba(148,163,184,0.6)';
+const CORE_COLOR = 'rgba(45,212,191,1)';
+const FOCUS_COLOR = 'rgba(250,204,21,0.85)';
+const HEX_COLOR = 'rgba(250,204,21,0.95)';
+const EDGE_COLORS = {
+  normal: 'rgba(148,163,184,0.55)',
+  hover: 'rgba(34,211,238,0.9)',
+  to: 'rgba(239,68,68,0.85)',
+  from: 'rgba(245,158,11,0.8)'
+};
+const ARROW_COLOR = 'rgba(148,163,184,0.85)';
+const ARROW_FLAGGED_COLOR = '#ef4444';
+const ARROW_SIZE = 8;
+const LABEL_FONT = '500 13px system-ui, sans-serif';
+const LABEL_COLOR = '#cdd6f4';
+const LABEL_HEIGHT = 13;
+
+// Level of detail, in screen pixels of the zoomed node radius / edge length
+const LABEL_MIN_SCREEN_RADIUS = 6;
+const DETAIL_MIN_SCREEN_RADIUS = 3;
+const ARROW_MIN_SCREEN_LENGTH = 24;
+// Optional labels drawn per full render, on top of the forced ones
+const LABEL_MAX = 400;
+
+const PULSE_MS = 2100;
+const PULSE_MARGIN = 8;   // half the widest pulse stroke, plus a pixel
+const HIT_SLOP = 3;
+const EDGE_HIT = 5;
+const INDEX_CELL = 64;
+
+export function createCanvasRenderer(container, host) {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'vision-graph-canvas';
+  canvas.style.position = 'absolute';
+  canvas.style.inset = '0';
+  canvas.style.width = '100%';
+  canvas.style.height = '100%';
+  canvas.style.display = 'none';
+  container.appendChild(canvas);
+  const ctx = canvas.getContext('2d');
+
+  let width = 800;
+  let height = 480;
+  let dpr = 1;
+  let visible = false;
+
+  const nodeIndex = createSpatialIndex(INDEX_CELL);
+  const edgeIndex = createSpatialIndex(INDEX_CELL);
+  let byId = new Map();
+  let order = new Map();      // id → draw order
+  let radii = new Map();      // id → radius, fixed until the next full render
+  let edges = [];             // { L, src, dst, x1, y1, x2, y2, w }
+  let edgeIndexReady = false; // built on first partial repaint / hover
+  let incident = new Map();   // id → [edge]
+  let labelIds = new Set();   // optional labels chosen by the last full render
+  const labelWidths = new Map();
+
+  let hoverId = null;
+  let hoverEdge = null;
+  let dirty = null;           // pending world rect, or 'all'
+  let relabel = false;        // pending 'all' repaint also re-picks labels
+  let frame = 0;
+  let pulseFrame = 0;
+  let pulseShown = false;
+  let drag = null;
+  let suppressClick = false;
+
+  const zoom = () => host.getZoom();
+  const radiusOf = (id) => radii.get(id) ?? host.baseRadius;
+
+  /* ========= geometry ========= */
+
+  function rect(x0, y0, x1, y1) {
+    return { x0: Math.min(x0, x1), y0: Math.min(y0, y1), x1: Math.max(x0, x1), y1: Math.max(y0, y1) };
+  }
+
+  function union(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    return rect(Math.min(a.x0, b.x0), Math.min(a.y0, b.y0), Math.max(a.x1, b.x1), Math.max(a.y1, b.y1));
+  }
+
+  function intersects(a, b) {
+    return a.x0 <= b.x1 && a.x1 >= b.x0 && a.y0 <= b.y1 && a.y1 >= b.y0;
+  }
+
+  function viewRect() {
+    const z = zoom();
+    return rect(0, 0, width / z, height / z);
+  }
+
+  function labelWidth(text) {
+    let w = labelWidths.get(text);
+    if (w == null) {
+      ctx.font = LABEL_FONT;
+      w = ctx.measureText(text).width;
+      labelWidths.set(text, w);
+    }
+    return w;
+  }
+
+  // Same placement as the SVG label: centered, above the ring
+  function labelRect(n) {
+    const w = labelWidth(host.shorten(n.id));
+    const base = n.y - (radiusOf(n.id) + 7);
+    return rect(n.x - w / 2, base - LABEL_HEIGHT, n.x + w / 2, base + 3);
+  }
+
+  function heatRadius(id) {
+    const blob = host.state.overlays.heatmap ? host.heatBlob(id) : null;
+    return blob ? blob.r : 0;
+  }
+
+  function nodeBounds(n) {
+    const r = Math.max(radiusOf(n.id) + PULSE_MARGIN, heatRadius(n.id));
+    return union(rect(n.x - r, n.y - r, n.x + r, n.y + r), labelRect(n));
+  }
+
+  function edgeBounds(e) {
+    const pad = e.w / 2 + ARROW_SIZE;
+    return rect(e.x1 - pad, e.y1 - pad, e.x2 + pad, e.y2 + pad);
+  }
+
+  function isForcedLabel(id) {
+    const s = host.state;
+    return id === s.focusedId || id === hoverId || s.pinned.has(id) || !!s.halos[id]?.blocked;
+  }
+
+  /* ========= index + labels (full render) ========= */
+
+  function resize() {
+    const bbox = container.getBoundingClientRect();
+    width = bbox.width || 800;
+    height = bbox.height || 480;
+    dpr = window.devicePixelRatio || 1;
+    const w = Math.round(width * dpr);
+    const h = Math.round(height * dpr);
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+  }
+
+  function prepare() {
+    const { nodes, links } = host.state;
+    byId = new Map(nodes.map(n => [n.id, n]));
+    order = new Map(nodes.map((n, i) => [n.id, i]));
+    radii = new Map(nodes.map(n => [n.id, host.nodeRadius(n.id)]));
+    nodeIndex.clear();
+    nodes.forEach(n => {
+      if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) return;
+      const r = radiusOf(n.id);
+      nodeIndex.insert(n, n.x - r, n.y - r, n.x + r, n.y + r);
+    });
+
+    const widthOf = host.edgeWidths();
+    edges = [];
+    incident = new Map();
+    edgeIndexReady = false;
+    links.forEach(L => {
+      const src = byId.get(L.a);
+      const dst = byId.get(L.b);
+      if (!src || !dst || !Number.isFinite(src.x) || !Number.isFinite(dst.x)) return;
+      const [x1, y1, x2, y2] = host.edgeEnds(src, dst, radiusOf(src.id), radiusOf(dst.id));
+      const e = { L, src, dst, x1, y1, x2, y2, w: widthOf(L) };
+      edges.push(e);
+      [src.id, dst.id].forEach(id => {
+        if (!incident.has(id)) incident.set(id, []);
+        incident.get(id).push(e);
+      });
+    });
+  }
+
+  // A full paint walks every edge anyway; only partial repaints and
+  // hit-testing need the index, so it is built lazily
+  function ensureEdgeIndex() {
+    if (edgeIndexReady) return;
+    edgeIndex.clear();
+    for (const e of edges) {
+      const b = edgeBounds(e);
+      edgeIndex.insert(e, b.x0, b.y0, b.x1, b.y1);
+    }
+    edgeIndexReady = true;
+  }
+
+  // Forced labels first, then riskier and better connected nodes, as long as
+  // the zoomed node is big enough and the label does not overlap another one
+  function chooseLabels() {
+    labelIds = new Set();
+    const z = zoom();
+    const view = viewRect();
+    const taken = createSpatialIndex(INDEX_CELL);
+    const place = (n) => {
+      const r = labelRect(n);
+      for (const other of taken.query(r.x0, r.y0, r.x1, r.y1)) {
+        if (intersects(r, other)) return false;
+      }
+      taken.insert(r, r.x0, r.y0, r.x1, r.y1);
+      return true;
+    };
+
+    const inView = [...nodeIndex.query(view.x0, view.y0, view.x1, view.y1)];
+    inView.filter(n => isForcedLabel(n.id)).forEach(place);
+
+    const heat = host.state.heat;
+    const degree = (id) => incident.get(id)?.length || 0;
+    const optional = inView
+      .filter(n => !isForcedLabel(n.id) && radiusOf(n.id) * z >= LABEL_MIN_SCREEN_RADIUS)
+      .sort((a, b) => (heat[b.id] || 0) - (heat[a.id] || 0) || degree(b.id) - degree(a.id));
+    for (const n of optional) {
+      if (labelIds.size >= LABEL_MAX) break;
+      if (place(n)) labelIds.add(n.id);
+    }
+  }
+
+  /* ========= painting ========= */
+
+  function edgeStyle(e) {
+    if (e === hoverEdge) return 'hover';
+    const { toFlagged, fromFlagged } = host.edgeFlags(e.L);
+    if (toFlagged) return 'to';
+    if (fromFlagged) return 'from';
+    return 'normal';
+  }
+
+  function drawArrow(x, y, fromX, fromY, color) {
+    const a = Math.atan2(y - fromY, x - fromX);
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(a);
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-ARROW_SIZE, -ARROW_SIZE * 0.4);
+    ctx.lineTo(-ARROW_SIZE, ARROW_SIZE * 0.4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function paintHeat(region, full) {
+    if (!host.state.overlays.heatmap) return;
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    const pad = host.heatMaxRadius;
+    const nodes = full ? host.state.nodes : nodeIndex.query(region.x0 - pad, region.y0 - pad, region.x1 + pad, region.y1 + pad);
+    for (const n of nodes) {
+      const blob = host.heatBlob(n.id);
+      if (!blob) continue;
+      const g = ctx.createRadialGradient(n.x, n.y, 0, n.x, n.y, blob.r);
+      g.addColorStop(0, 'rgba(239,68,68,0.55)');
+      g.addColorStop(0.45, 'rgba(239,68,68,0.25)');
+      g.addColorStop(1, 'rgba(239,68,68,0)');
+      ctx.globalAlpha = blob.opacity;
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(n.x, n.y, blob.r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // Edges are stroked in batches of equal style and (rounded) width
+  function paintEdges(region, full) {
+    const z = zoom();
+    const batches = new Map();
+    const arrows = [];
+    if (!full) ensureEdgeIndex();
+    for (const e of full ? edges : edgeIndex.query(region.x0, region.y0, region.x1, region.y1)) {
+      if (!intersects(edgeBounds(e), region)) continue;
+      const style = edgeStyle(e);
+      const w = Math.round(e.w * 2) / 2;
+      const key = `${style}|${w}`;
+      if (!batches.has(key)) batches.set(key, { style, w, list: [] });
+      batches.get(key).list.push(e);
+      const dir = e.L.direction;
+      if (dir && Math.hypot(e.x2 - e.x1, e.y2 - e.y1) * z >= ARROW_MIN_SCREEN_LENGTH) arrows.push([e, style]);
+    }
+    ctx.lineCap = 'round';
+    for (const { style, w, list } of batches.values()) {
+      ctx.strokeStyle = EDGE_COLORS[style];
+      ctx.lineWidth = w;
+      ctx.setLineDash(style === 'from' ? [6, 3] : []);
+      ctx.beginPath();
+      for (const e of list) {
+        ctx.moveTo(e.x1, e.y1);
+        ctx.lineTo(e.x2, e.y2);
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+    for (const [e, style] of arrows) {
+      const color = style === 'to' ? ARROW_FLAGGED_COLOR : ARROW_COLOR;
+      drawArrow(e.x2, e.y2, e.x1, e.y1, color);
+      if (e.L.direction === 'both') drawArrow(e.x1, e.y1, e.x2, e.y2, color);
+    }
+  }
+
+  function hexPath(x, y, r) {
+    ctx.beginPath();
+    for (let i = 0; i < 6; i++) {
+      const a = Math.PI / 6 + i * (Math.PI / 3); // flat-top hex
+      const px = x + Math.cos(a) * r;
+      const py = y + Math.sin(a) * r;
+      if (i) ctx.lineTo(px, py);
+      else ctx.moveTo(px, py);
+    }
+    ctx.closePath();
+  }
+
+  function paintNode(n, now) {
+    const s = host.state;
+    const halo = s.halos[n.id];
+    const r = radiusOf(n.id);
+    const k = r / host.baseRadius;
+    const focused = n.id === s.focusedId;
+    const ring = focused ? FOCUS_COLOR : halo?.color || RING_COLOR;
+
+    // zoomed far out: a plain dot is all that is visible anyway
+    if (r * zoom() < DETAIL_MIN_SCREEN_RADIUS) {
+      ctx.fillStyle = ring;
+      ctx.beginPath();
+      ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+
+    if (focused) {
+      // focusPulse: stroke 14 → 2 and opacity .6 → 0 over the first 60%
+      const t = (now % PULSE_MS) / PULSE_MS;
+      if (t < 0.6) {
+        const p = t / 0.6;
+        ctx.save();
+        ctx.globalAlpha = 0.6 * (1 - p);
+        ctx.strokeStyle = ring;
+        ctx.lineWidth = 14 - 12 * p;
+        ctx.beginPath();
+        ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+
+    ctx.fillStyle = '#000';
+    ctx.strokeStyle = ring;
+    ctx.lineWidth = n.expanded ? 3.5 : 2;
+    ctx.setLineDash(s.pinned.has(n.id) ? [3, 2] : []);
+    ctx.beginPath();
+    ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (focused) {
+      ctx.strokeStyle = HEX_COLOR;
+      ctx.lineWidth = 2;
+      hexPath(n.x, n.y, 8 * k);
+      ctx.stroke();
+    } else {
+      ctx.fillStyle = halo?.color || CORE_COLOR;
+      ctx.beginPath();
+      ctx.arc(n.x, n.y, 6 * k, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  function paintLabels(region, nodes) {
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.shadowColor = '#000';
+    ctx.shadowBlur = 3;
+    for (const n of nodes) {
+      if (!labelIds.has(n.id) && !isForcedLabel(n.id)) continue;
+      if (!intersects(labelRect(n), region)) continue;
+      ctx.fillText(host.shorten(n.id), n.x, n.y - (radiusOf(n.id) + 7));
+    }
+    ctx.shadowBlur = 0;
+  }
+
+  // region: world rect to repaint, or null for the whole view
+  function paint(region) {
+    const z = zoom();
+    const view = viewRect();
+    const area = region ? rect(
+      Math.max(region.x0, view.x0), Math.max(region.y0, view.y0),
+      Math.min(region.x1, view.x1), Math.min(region.y1, view.y1)
+    ) : view;
+    if (area.x1 <= area.x0 || area.y1 <= area.y0) return;
+
+    ctx.setTransform(dpr * z, 0, 0, dpr * z, 0, 0);
+    ctx.save();
+    if (region) {
+      // snap to device pixels so repeated partial repaints leave no seams
+      const px = 1 / (dpr * z);
+      area.x0 = Math.floor(area.x0 / px) * px;
+      area.y0 = Math.floor(area.y0 / px) * px;
+      area.x1 = Math.ceil(area.x1 / px) * px;
+      area.y1 = Math.ceil(area.y1 / px) * px;
+      ctx.beginPath();
+      ctx.rect(area.x0, area.y0, area.x1 - area.x0, area.y1 - area.y0);
+      ctx.clip();
+    }
+    ctx.clearRect(area.x0, area.y0, area.x1 - area.x0, area.y1 - area.y0);
+
+    const full = !region;
+    paintHeat(area, full);
+    paintEdges(area, full);
+
+    const pad = host.baseRadius * 2 + PULSE_MARGIN;
+    const nodes = full
+      ? host.state.nodes.filter(n => byId.get(n.id) === n && Number.isFinite(n.x))
+      : [...nodeIndex.query(area.x0 - pad, area.y0 - pad, area.x1 + pad, area.y1 + pad)]
+        .sort((a, b) => order.get(a.id) - order.get(b.id));
+    const now = performance.now();
+    nodes.forEach(n => paintNode(n, now));
+
+    // labels sit above nodes; a node just below the region can own a label
+    // inside it, so widen the lookup by one label height
+    const labelled = full
+      ? nodes
+      : [...new Set([...nodes, ...nodeIndex.query(area.x0 - 80, area.y0, area.x1 + 80, area.y1 + LABEL_HEIGHT + pad)])];
+    paintLabels(area, labelled);
+    ctx.restore();
+  }
+
+  /* ========= scheduling ========= */
+
+  function flush() {
+    frame = 0;
+    const region = dirty;
+    dirty = null;
+    if (!visible || !region) return;
+    if (region === 'all') {
+      if (relabel) chooseLabels();
+      relabel = false;
+      paint(null);
+      return;
+    }
+    const view = viewRect();
+    const area = (region.x1 - region.x0) * (region.y1 - region.y0);
+    // a dirty region covering most of the view is cheaper to paint in one go
+    paint(area > 0.5 * (view.x1 - view.x0) * (view.y1 - view.y0) ? null : region);
+  }
+
+  function schedule(region) {
+    if (dirty !== 'all') dirty = region === 'all' ? 'all' : union(dirty, region);
+    if (!frame) frame = requestAnimationFrame(flush);
+  }
+
+  // Repaint what the given nodes cover: themselves, labels, heat and edges
+  function invalidateNodes(ids) {
+    if (!visible) return;
+    let region = null;
+    for (const id of ids) {
+      const n = byId.get(id);
+      if (!n || !Number.isFinite(n.x)) continue;
+      region = union(region, nodeBounds(n));
+      for (const e of incident.get(id) || []) region = union(region, edgeBounds(e));
+    }
+    if (region) schedule(region);
+  }
+
+  function invalidateEdge(e) {
+    if (e) schedule(edgeBounds(e));
+  }
+
+  // Drag step: move one node's index entry and its incident edges, then
+  // repaint the union of where they were and where they are now
+  function moveNode(n, x, y) {
+    const r = radiusOf(n.id);
+    let region = nodeBounds(n);
+    nodeIndex.remove(n, n.x - r, n.y - r, n.x + r, n.y + r);
+    n.x = x;
+    n.y = y;
+    nodeIndex.insert(n, n.x - r, n.y - r, n.x + r, n.y + r);
+    region = union(region, nodeBounds(n));
+    for (const e of incident.get(n.id) || []) {
+      const before = edgeBounds(e);
+      [e.x1, e.y1, e.x2, e.y2] = host.edgeEnds(e.src, e.dst, radiusOf(e.src.id), radiusOf(e.dst.id));
+      const after = edgeBounds(e);
+      if (edgeIndexReady) {
+        edgeIndex.remove(e, before.x0, before.y0, before.x1, before.y1);
+        edgeIndex.insert(e, after.x0, after.y0, after.x1, after.y1);
+      }
+      region = union(region, union(before, after));
+    }
+    schedule(region);
+  }
+
+  function pulse() {
+    pulseFrame = 0;
+    const id = host.state.focusedId;
+    if (!visible || !id || !byId.has(id)) return;
+    // the ring is only visible for the first 60% of each cycle; one more
+    // repaint after that clears it, then nothing changes until the next one
+    const shown = (performance.now() % PULSE_MS) / PULSE_MS < 0.6;
+    if (shown || pulseShown) {
+      const n = byId.get(id);
+      const r = radiusOf(id) + PULSE_MARGIN;
+      schedule(rect(n.x - r, n.y - r, n.x + r, n.y + r));
+    }
+    pulseShown = shown;
+    pulseFrame = requestAnimationFrame(pulse);
+  }
+
+  function startPulse() {
+    if (!pulseFrame && visible) pulseFrame = requestAnimationFrame(pulse);
+  }
+
+  /* ========= hit-testing + pointer ========= */
+
+  function toWorld(e) {
+    const bbox = canvas.getBoundingClientRect();
+    const z = zoom();
+    return { x: (e.clientX - bbox.left) / z, y: (e.clientY - bbox.top) / z };
+  }
+
+  function nodeAt(p) {
+    return nodeIndex.nearest(p.x, p.y, host.baseRadius * 2 + HIT_SLOP, n => {
+      const d = Math.hypot(n.x - p.x, n.y - p.y);
+      return d <= radiusOf(n.id) + HIT_SLOP ? d : Infinity;
+    });
+  }
+
+  function edgeAt(p) {
+    ensureEdgeIndex();
+    const slop = EDGE_HIT / zoom();
+    return edgeIndex.nearest(p.x, p.y, slop, e => segmentDistance(p.x, p.y, e.x1, e.y1, e.x2, e.y2));
+  }
+
+  function setHover(n, e) {
+    const id = n ? n.id : null;
+    if (id !== hoverId) {
+      const prev = hoverId;
+      hoverId = id;
+      invalidateNodes([prev, id].filter(Boolean));
+      host.onHoverNode(n || null);
+    }
+    if (e !== hoverEdge) {
+      invalidateEdge(hoverEdge);
+      hoverEdge = e;
+      invalidateEdge(e);
+      canvas.title = e ? host.edgeTooltip(e.L, e.src.id, e.dst.id) : '';
+      host.onHoverEdge(e ? e.L : null);
+    }
+    canvas.style.cursor = n ? 'grab' : '';
+  }
+
+  canvas.addEventListener('pointermove', (ev) => {
+    if (drag) return;
+    const p = toWorld(ev);
+    const n = nodeAt(p);
+    setHover(n, n ? null : edgeAt(p));
+  });
+
+  canvas.addEventListener('pointerleave', () => {
+    if (!drag) setHover(null, null);
+  });
+
+  // Dragging a node pins it where it is dropped (graph.js does the pinning)
+  canvas.addEventListener('pointerdown', (ev) => {
+    if (ev.button !== 0) return;
+    suppressClick = false;
+    const start = toWorld(ev);
+    const n = nodeAt(start);
+    if (!n) return;
+    drag = { n, start, origin: { x: n.x, y: n.y }, moved: false };
+
+    const move = (e) => {
+      const p = toWorld(e);
+      if (!drag.moved && Math.hypot(p.x - start.x, p.y - start.y) < 3) return;
+      drag.moved = true;
+      moveNode(n, drag.origin.x + (p.x - start.x), drag.origin.y + (p.y - start.y));
+    };
+    const up = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      const moved = drag.moved;
+      drag = null;
+      if (!moved) return;
+      suppressClick = true;
+      host.onDrop(n);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+  });
+
+  canvas.addEventListener('click', (ev) => {
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    const n = nodeAt(toWorld(ev));
+    if (n) host.onClick(n);
+  });
+
+  canvas.addEventListener('dblclick', (ev) => {
+    const n = nodeAt(toWorld(ev));
+    if (n) host.onDblClick(n);
+  });
+
+  canvas.addEventListener('contextmenu', (ev) => {
+    const n = nodeAt(toWorld(ev));
+    if (!n) return;
+    ev.preventDefault();
+    host.onMenu(n, ev);
+  });
+
+  /* ========= public ========= */
+
+  // Full render: resize, rebuild indexes, pick labels, paint everything
+  function render() {
+    if (!visible) return;
+    resize();
+    prepare();
+    chooseLabels();
+    dirty = null;
+    relabel = false;
+    paint(null);
+    startPulse();
+  }
+
+  // Zoom: positions and the index stay valid, only labels and pixels change.
+  // Coalesced so a burst of wheel events costs one repaint per frame.
+  function requestRedraw() {
+    relabel = true;
+    schedule('all');
+  }
+
+  let renderFrame = 0;
+  function requestRender() {
+    if (renderFrame) return;
+    renderFrame = requestAnimationFrame(() => {
+      renderFrame = 0;
+      render();
+    });
+  }
+
+  function show(on) {
+    visible = !!on;
+    canvas.style.display = visible ? '' : 'none';
+    if (!visible) {
+      hoverId = null;
+      hoverEdge = null;
+    }
+  }
+
+  return {
+    el: canvas,
+    render,
+    requestRender,
+    requestRedraw,
+    invalidateNodes,
+    invalidateAll: () => schedule('all'),
+    show,
+    get visible() { return visible; }
+  };
+}
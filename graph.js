@@ -1,15 +1,62 @@
 // graph.js — Vision 1_5_RE
-// Radial wallet graph with focused-node hexagon, pulse halo, and mouse-wheel zoom.
-// Exposes window.graph: { setData, getData, on, setHalo, centerOn, zoomFit }
+// Wallet graph with focused-node hexagon, pulse halo, and mouse-wheel zoom.
+// Layouts: radial (default), force-directed and hierarchical; drag a node to
+// pin it. Large graphs are laid out in workers/layout.worker.js.
+// Edges point along the dominant flow (a → b; arrowheads at both ends when
+// funds moved both ways), are scaled by value and carry a tooltip.
+// Double-click emits expandNode; the right-click menu emits expandNode /
+// collapseNode / recenterNode and toggles pins (app.js owns the data).
+// Optional overlays: a risk-density heatmap behind the nodes (setHeatmap)
+// and node radius by value (setNodeSize); setOverlays switches them.
+// Rendering: SVG for small graphs, a 2D canvas (graph-canvas.js) from
+// CANVAS_MIN_NODES up or when GRAPH.renderer / setRenderer says so.
+// Exposes window.graph: { setData, getData, on, setHalo, centerOn, zoomFit,
+//                         setLayout, getLayout, pinNode, setHeatmap,
+//                         setNodeSize, setOverlays, setRenderer, getRenderer }
+
+import { LAYOUTS, computeLayout, seedPositions } from './lib/graph-layout.js';
+import { createCanvasRenderer } from './graph-canvas.js';
 
 const NS = 'http://www.w3.org/2000/svg';
 
+// At or above this many nodes, force/hierarchical layouts run in a worker
+const LAYOUT_WORKER_MIN_NODES = 300;
+
+// 'auto' draws on a canvas at or above this many nodes, else SVG
+const RENDERERS = ['auto', 'svg', 'canvas'];
+const CANVAS_MIN_NODES = 250;
+
+const NODE_RADIUS = 11;
+const EDGE_MIN_WIDTH = 1;
+const EDGE_MAX_WIDTH = 5;
+const ARROW_ID = 'rxl-arrow';
+const ARROW_FLAGGED_ID = 'rxl-arrow-flagged';
+
+// Sized nodes span this range of NODE_RADIUS multiples
+const SIZE_MIN_SCALE = 0.7;
+const SIZE_MAX_SCALE = 1.8;
+// Heat blobs grow with score; scores under HEAT_MIN_SCORE add no heat
+const HEAT_MIN_SCORE = 10;
+const HEAT_MIN_RADIUS = 30;
+const HEAT_MAX_RADIUS = 80;
+const HEAT_GRADIENT_ID = 'rxl-heat';
+
 (function () {
   const state = {
     nodes: [],
     links: [],
     halos: {},        // id -> { color, blocked, intensity }
+    heat: {},         // id -> risk score 0..100
+    sizes: {},        // id -> size value (any monotonic scale, e.g. log balance)
+    overlays: {
+      heatmap: !!window.VisionConfig?.FEATURES?.heatmap,
+      nodeSize: !!window.VisionConfig?.FEATURES?.nodeSizeByValue
+    },
     focusedId: null,
+    layout: LAYOUTS.includes(window.VisionConfig?.GRAPH?.layout) ? window.VisionConfig.GRAPH.layout : 'radial',
+    pinned: new Set(),
+    layoutSeq: 0,     // latest layout request; older worker results are dropped
+    renderer: RENDERERS.includes(window.VisionConfig?.GRAPH?.renderer) ? window.VisionConfig.GRAPH.renderer : 'auto',
     listeners: {},    // event -> [fn]
     viewWidth: 800,
     viewHeight: 480
@@ -17,8 +64,15 @@ const NS = 'http://www.w3.org/2000/svg';
 
   let container = null;
   let svg = null;
+  let heatLayer = null;
   let edgesLayer = null;
   let nodesLayer = null;
+  let layoutWorker = null;
+  let canvasView = null;     // graph-canvas.js renderer, created on first use
+  let nodeMenu = null;
+  let overlayFrame = 0;
+  let overlaySizesDirty = false;
+  let sizeRange = null;   // { min, max } of state.sizes over the nodes on screen
 
   // zoom
   let zoom = 1;
@@ -53,6 +107,11 @@ const NS = 'http://www.w3.org/2000/svg';
     svg.setAttribute('width', '100%');
     svg.setAttribute('height', '100%');
     container.appendChild(svg);
+    buildMarkers();
+
+    heatLayer = document.createElementNS(NS, 'g');
+    heatLayer.classList.add('heatmap');
+    svg.appendChild(heatLayer);
 
     edgesLayer = document.createElementNS(NS, 'g');
     edgesLayer.classList.add('edges');
@@ -66,6 +125,39 @@ const NS = 'http://www.w3.org/2000/svg';
     attachWheelZoom();
   }
 
+  function buildMarkers() {
+    const defs = document.createElementNS(NS, 'defs');
+    [[ARROW_ID, 'rgba(148,163,184,0.85)'], [ARROW_FLAGGED_ID, '#ef4444']].forEach(([id, color]) => {
+      const marker = document.createElementNS(NS, 'marker');
+      marker.setAttribute('id', id);
+      marker.setAttribute('viewBox', '0 0 10 10');
+      marker.setAttribute('refX', '9');
+      marker.setAttribute('refY', '5');
+      marker.setAttribute('markerWidth', '8');
+      marker.setAttribute('markerHeight', '8');
+      marker.setAttribute('markerUnits', 'userSpaceOnUse');
+      marker.setAttribute('orient', 'auto-start-reverse');
+      const tip = document.createElementNS(NS, 'path');
+      tip.setAttribute('d', 'M0,1 L10,5 L0,9 z');
+      tip.setAttribute('fill', color);
+      marker.appendChild(tip);
+      defs.appendChild(marker);
+    });
+
+    // one soft blob shape; overlapping blobs add up to the density picture
+    const heat = document.createElementNS(NS, 'radialGradient');
+    heat.setAttribute('id', HEAT_GRADIENT_ID);
+    [['0%', 0.55], ['45%', 0.25], ['100%', 0]].forEach(([offset, opacity]) => {
+      const stop = document.createElementNS(NS, 'stop');
+      stop.setAttribute('offset', offset);
+      stop.setAttribute('stop-color', '#ef4444');
+      stop.setAttribute('stop-opacity', opacity);
+      heat.appendChild(stop);
+    });
+    defs.appendChild(heat);
+    svg.appendChild(defs);
+  }
+
   function buildControls() {
     const wrap = document.createElement('div');
     wrap.style.position = 'absolute';
@@ -103,6 +195,26 @@ const NS = 'http://www.w3.org/2000/svg';
       zoomFit();
     });
 
+    const sel = document.createElement('select');
+    sel.className = 'graph-ctl-btn graph-layout-select';
+    sel.title = 'Layout';
+    sel.style.padding = '3px 6px';
+    sel.style.borderRadius = '999px';
+    sel.style.border = '1px solid rgba(148,163,184,.4)';
+    sel.style.background = 'rgba(15,23,42,.9)';
+    sel.style.color = '#e5e7eb';
+    sel.style.fontSize = '11px';
+    LAYOUTS.forEach(kind => {
+      const opt = document.createElement('option');
+      opt.value = kind;
+      opt.textContent = kind[0].toUpperCase() + kind.slice(1);
+      sel.appendChild(opt);
+    });
+    sel.value = state.layout;
+    sel.addEventListener('change', () => setLayout(sel.value));
+    on('layoutChanged', kind => { sel.value = kind; });
+    wrap.appendChild(sel);
+
     container.appendChild(wrap);
   }
 
@@ -126,33 +238,39 @@ const NS = 'http://www.w3.org/2000/svg';
     const vw = W / zoom;
     const vh = H / zoom;
     svg.setAttribute('viewBox', `0 0 ${vw} ${vh}`);
+    if (canvasActive()) canvasView.requestRedraw();
   }
 
   /* ========= layout ========= */
 
+  function measureView() {
+    const bbox = container.getBoundingClientRect();
+    state.viewWidth = bbox.width || 800;
+    state.viewHeight = bbox.height || 480;
+    svg.setAttribute('viewBox', `0 0 ${state.viewWidth / zoom} ${state.viewHeight / zoom}`);
+  }
+
   function layoutRadial() {
     if (!svg) return;
-    const bbox = container.getBoundingClientRect();
-    const W = bbox.width || 800;
-    const H = bbox.height || 480;
+    measureView();
+    const W = state.viewWidth;
+    const H = state.viewHeight;
     const cx = W / 2;
     const cy = H / 2;
 
-    state.viewWidth = W;
-    state.viewHeight = H;
-
-    svg.setAttribute('viewBox', `0 0 ${W / zoom} ${H / zoom}`);
-
     if (!state.nodes.length) return;
 
     const centerId = state.focusedId || state.nodes[0].id;
     state.focusedId = centerId;
 
     const center = state.nodes.find(n => n.id === centerId) || state.nodes[0];
-    center.x = cx;
-    center.y = cy;
+    const isPinned = (n) => state.pinned.has(n.id) && Number.isFinite(n.x) && Number.isFinite(n.y);
+    if (!isPinned(center)) {
+      center.x = cx;
+      center.y = cy;
+    }
 
-    const others = state.nodes.filter(n => n !== center);
+    const others = state.nodes.filter(n => n !== center && !isPinned(n));
     const r = Math.min(W, H) * 0.3;
     const step = (2 * Math.PI) / Math.max(others.length, 1);
 
@@ -163,29 +281,290 @@ const NS = 'http://www.w3.org/2000/svg';
     });
   }
 
+  // Runs the active layout and renders. incremental keeps existing positions
+  // and only settles what changed (new nodes, a released pin). Big graphs go
+  // to the layout worker: the provisional picture (known positions, new
+  // nodes next to a neighbor) renders now, the settled one when it returns.
+  function relayout({ incremental = false } = {}) {
+    if (!svg) return;
+    const seq = ++state.layoutSeq;
+
+    if (state.layout === 'radial') {
+      layoutRadial();
+      render();
+      return;
+    }
+
+    measureView();
+    const input = {
+      kind: state.layout,
+      nodes: state.nodes.map(n => ({ id: n.id, x: n.x, y: n.y })),
+      links: state.links.map(L => ({ a: L.a, b: L.b, weight: L.weight })),
+      opts: {
+        width: state.viewWidth,
+        height: state.viewHeight,
+        pinned: [...state.pinned],
+        incremental,
+        rootId: state.focusedId
+      }
+    };
+
+    const worker = state.nodes.length >= LAYOUT_WORKER_MIN_NODES ? getLayoutWorker() : null;
+    if (!worker) {
+      applyPositions(computeLayout(input.kind, input.nodes, input.links, input.opts));
+      render();
+      return;
+    }
+
+    applyPositions(seedPositions(input.nodes, input.links, input.opts));
+    render();
+    worker.postMessage({ seq, ...input });
+  }
+
+  function applyPositions(pos) {
+    state.nodes.forEach(n => {
+      const p = pos.get(n.id);
+      if (p) {
+        n.x = p.x;
+        n.y = p.y;
+      }
+    });
+  }
+
+  function getLayoutWorker() {
+    if (layoutWorker !== null) return layoutWorker || null;
+    try {
+      layoutWorker = new Worker(new URL('./workers/layout.worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+      console.warn('[graph] layout worker unavailable, laying out on the main thread', e);
+      layoutWorker = false;
+      return null;
+    }
+    layoutWorker.onmessage = (e) => {
+      const { seq, positions, error } = e.data || {};
+      if (seq !== state.layoutSeq) return; // superseded by a newer layout
+      if (error) {
+        console.warn('[graph] layout worker error', error);
+        return;
+      }
+      applyPositions(new Map(positions.map(([id, x, y]) => [id, { x, y }])));
+      render();
+      emit('viewportChanged');
+    };
+    return layoutWorker;
+  }
+
   /* ========= render ========= */
 
+  function render() {
+    updateSizeRange();
+    if (syncRenderer()) {
+      canvasView.render();
+      return;
+    }
+    renderHeatmap();
+    renderEdges();
+    renderNodes();
+  }
+
+  function wantsCanvas() {
+    if (state.renderer === 'canvas') return true;
+    return state.renderer === 'auto' && state.nodes.length >= CANVAS_MIN_NODES;
+  }
+
+  function canvasActive() {
+    return !!canvasView?.visible;
+  }
+
+  // Shows the backend wantsCanvas picks; true when that is the canvas.
+  // Leaving SVG empties its layers so thousands of idle elements do not
+  // linger in the DOM.
+  function syncRenderer() {
+    const useCanvas = wantsCanvas();
+    if (useCanvas && !canvasView) canvasView = createCanvasRenderer(container, canvasHost());
+    if (useCanvas && !canvasView.visible) {
+      clearLayer(heatLayer);
+      clearLayer(edgesLayer);
+      clearLayer(nodesLayer);
+    }
+    svg.style.display = useCanvas ? 'none' : '';
+    canvasView?.show(useCanvas);
+    return useCanvas;
+  }
+
+  // What graph-canvas.js reads and calls back into; the geometry helpers are
+  // the ones the SVG path uses so both backends draw the same picture
+  function canvasHost() {
+    return {
+      state,
+      baseRadius: NODE_RADIUS,
+      heatMaxRadius: HEAT_MAX_RADIUS,
+      getZoom: () => zoom,
+      nodeRadius,
+      edgeWidths,
+      edgeEnds,
+      edgeFlags,
+      edgeTooltip,
+      heatBlob,
+      shorten,
+      onClick: (n) => focusNode(n.id, { emitSelect: true }),
+      onDblClick: (n) => emit('expandNode', n),
+      onMenu: (n, e) => openNodeMenu(n, e),
+      onHoverNode: (n) => emit('hoverNode', n),
+      onHoverEdge: (L) => emit('hoverEdge', L),
+      onDrop: (n) => {
+        state.pinned.add(n.id);
+        if (state.layout === 'force') relayout({ incremental: true });
+        else render();
+      }
+    };
+  }
+
   function clearLayer(layer) {
     while (layer.firstChild) layer.removeChild(layer.firstChild);
   }
 
+  // Stroke width follows total value moved when the backend reports values,
+  // else the tx count (older backends, token-only flows)
+  function edgeWidths() {
+    const links = state.links || [];
+    const byValue = links.some(L => edgeValue(L) > 0);
+    const size = L => byValue ? edgeValue(L) : (Number(L.txCount ?? L.weight) || 1);
+    let max = 0;
+    links.forEach(L => { max = Math.max(max, size(L)); });
+    return L => max > 0
+      ? EDGE_MIN_WIDTH + (EDGE_MAX_WIDTH - EDGE_MIN_WIDTH) * Math.sqrt(size(L) / max)
+      : EDGE_MIN_WIDTH;
+  }
+
+  // Segment between the node rims so arrowheads stay visible → [x1, y1, x2, y2]
+  function edgeEnds(src, dst, rSrc = nodeRadius(src.id), rDst = nodeRadius(dst.id)) {
+    const dx = dst.x - src.x;
+    const dy = dst.y - src.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const fits = len > 1.5 * (rSrc + rDst);
+    const padSrc = fits ? rSrc + 2 : 0;
+    const padDst = fits ? rDst + 2 : 0;
+    return [
+      src.x + (dx / len) * padSrc,
+      src.y + (dy / len) * padSrc,
+      dst.x - (dx / len) * padDst,
+      dst.y - (dy / len) * padDst
+    ];
+  }
+
   function renderEdges() {
     clearLayer(edgesLayer);
     const links = state.links || [];
+    const byId = new Map(state.nodes.map(n => [n.id, n]));
+    const widthOf = edgeWidths();
+
     links.forEach(L => {
-      const src = state.nodes.find(n => n.id === (L.a || L.source));
-      const dst = state.nodes.find(n => n.id === (L.b || L.target));
+      const src = byId.get(L.a || L.source);
+      const dst = byId.get(L.b || L.target);
       if (!src || !dst) return;
+      const [x1, y1, x2, y2] = edgeEnds(src, dst);
+
+      const g = document.createElementNS(NS, 'g');
+      g.classList.add('edge-wrap');
+      g.dataset.a = src.id;
+      g.dataset.b = dst.id;
+      if (L.direction) g.dataset.dir = L.direction;
+
       const line = document.createElementNS(NS, 'line');
-      line.setAttribute('x1', src.x);
-      line.setAttribute('y1', src.y);
-      line.setAttribute('x2', dst.x);
-      line.setAttribute('y2', dst.y);
+      line.setAttribute('x1', x1);
+      line.setAttribute('y1', y1);
+      line.setAttribute('x2', x2);
+      line.setAttribute('y2', y2);
       line.classList.add('edge');
-      edgesLayer.appendChild(line);
+      line.setAttribute('stroke-width', widthOf(L).toFixed(2));
+
+      // wide transparent twin so thin edges are still easy to hover
+      const hit = document.createElementNS(NS, 'line');
+      hit.setAttribute('x1', x1);
+      hit.setAttribute('y1', y1);
+      hit.setAttribute('x2', x2);
+      hit.setAttribute('y2', y2);
+      hit.classList.add('edge-hit');
+
+      const title = document.createElementNS(NS, 'title');
+      title.textContent = edgeTooltip(L, src.id, dst.id);
+      g.appendChild(title);
+      g.appendChild(line);
+      g.appendChild(hit);
+
+      g.addEventListener('mouseenter', () => emit('hoverEdge', L));
+      g.addEventListener('mouseleave', () => emit('hoverEdge', null));
+
+      edgesLayer.appendChild(g);
+      applyEdgeFlags(g);
     });
   }
 
+  function edgeValue(L) {
+    return (Number(L.valueOut) || 0) + (Number(L.valueIn) || 0);
+  }
+
+  function fmtValue(v, asset) {
+    const n = Number(v) || 0;
+    const digits = n >= 100 ? 0 : n >= 1 ? 2 : 4;
+    return `${n.toFixed(digits)}${asset ? ` ${asset}` : ''}`;
+  }
+
+  function fmtDay(ms) {
+    return ms ? new Date(ms).toISOString().slice(0, 10) : '—';
+  }
+
+  function edgeTooltip(L, a, b) {
+    if (!L.direction) return `${shorten(a)} — ${shorten(b)}\n${Number(L.weight) || 1} tx`;
+    const lines = [
+      `${shorten(a)} ${L.direction === 'both' ? '⇄' : '→'} ${shorten(b)}`,
+      `Out: ${fmtValue(L.valueOut, L.asset)} (${L.txOut ?? 0} tx)`,
+      `In: ${fmtValue(L.valueIn, L.asset)} (${L.txIn ?? 0} tx)`,
+      `Txs: ${L.txCount ?? L.weight ?? 0}`,
+      `First seen: ${fmtDay(L.firstSeen)} · Last seen: ${fmtDay(L.lastSeen)}`
+    ];
+    return lines.join('\n');
+  }
+
+  // Funds sent to a blocked node turn the edge red; funds received from one
+  // get the from-flagged style
+  function edgeFlags({ a, b, direction }) {
+    const aFlag = !!state.halos[a]?.blocked;
+    const bFlag = !!state.halos[b]?.blocked;
+    return {
+      toFlagged: bFlag || (direction === 'both' && aFlag),
+      fromFlagged: aFlag || (direction === 'both' && bFlag)
+    };
+  }
+
+  // Re-run whenever a halo's blocked flag changes
+  function applyEdgeFlags(g) {
+    const line = g.querySelector('.edge');
+    if (!line) return;
+    const dir = g.dataset.dir;
+    const { toFlagged, fromFlagged } = edgeFlags({ a: g.dataset.a, b: g.dataset.b, direction: dir });
+    g.classList.toggle('edge-to-flagged', toFlagged);
+    g.classList.toggle('edge-from-flagged', fromFlagged && !toFlagged);
+
+    if (!dir) {
+      line.removeAttribute('marker-end');
+      line.removeAttribute('marker-start');
+      return;
+    }
+    const marker = `url(#${toFlagged ? ARROW_FLAGGED_ID : ARROW_ID})`;
+    line.setAttribute('marker-end', marker);
+    if (dir === 'both') line.setAttribute('marker-start', marker);
+    else line.removeAttribute('marker-start');
+  }
+
+  function refreshEdgeFlags(id) {
+    if (!edgesLayer || canvasActive()) return;
+    const sel = CSS.escape(id);
+    edgesLayer.querySelectorAll(`g.edge-wrap[data-a="${sel}"], g.edge-wrap[data-b="${sel}"]`)
+      .forEach(applyEdgeFlags);
+  }
+
   function hexPoints(r) {
     const pts = [];
     for (let i = 0; i < 6; i++) {
@@ -195,6 +574,96 @@ const NS = 'http://www.w3.org/2000/svg';
     return pts.join(' ');
   }
 
+  /* ========= overlays ========= */
+
+  // Sizes are spread linearly between the smallest and largest value on
+  // screen, so the scale adapts as results arrive. Recomputed per render.
+  function updateSizeRange() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const n of state.nodes) {
+      const v = state.sizes[n.id];
+      if (!Number.isFinite(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    sizeRange = max > min ? { min, max } : null;
+  }
+
+  // Radius multiple for a node (1 when sizing is off or unknown)
+  function sizeScale(id) {
+    const v = state.sizes[id];
+    if (!state.overlays.nodeSize || !sizeRange || !Number.isFinite(v)) return 1;
+    const t = (v - sizeRange.min) / (sizeRange.max - sizeRange.min);
+    return SIZE_MIN_SCALE + (SIZE_MAX_SCALE - SIZE_MIN_SCALE) * t;
+  }
+
+  function nodeRadius(id) {
+    return NODE_RADIUS * sizeScale(id);
+  }
+
+  function applyNodeSize(g, id) {
+    const k = sizeScale(id);
+    g.querySelector('.node-outer')?.setAttribute('r', NODE_RADIUS * k);
+    g.querySelector('.node-inner')?.setAttribute('r', 6 * k);
+    g.querySelector('.node-hex')?.setAttribute('points', hexPoints(8 * k));
+    g.querySelector('.node-label')?.setAttribute('y', -(NODE_RADIUS * k + 7));
+  }
+
+  function renderHeatmap() {
+    if (!heatLayer) return;
+    clearLayer(heatLayer);
+    heatLayer.style.display = state.overlays.heatmap ? '' : 'none';
+    if (!state.overlays.heatmap) return;
+    state.nodes.forEach(n => {
+      const b = heatBlob(n.id);
+      if (!b || !Number.isFinite(n.x)) return;
+      const blob = document.createElementNS(NS, 'circle');
+      blob.classList.add('heat-blob');
+      blob.setAttribute('cx', n.x);
+      blob.setAttribute('cy', n.y);
+      blob.setAttribute('r', b.r);
+      blob.setAttribute('fill', `url(#${HEAT_GRADIENT_ID})`);
+      blob.setAttribute('opacity', b.opacity.toFixed(2));
+      heatLayer.appendChild(blob);
+    });
+  }
+
+  // → { r, opacity } for a node's heat blob, or null when it adds no heat
+  function heatBlob(id) {
+    const score = Number(state.heat[id]);
+    if (!(score >= HEAT_MIN_SCORE)) return null;
+    const t = Math.min(score, 100) / 100;
+    return {
+      r: HEAT_MIN_RADIUS + (HEAT_MAX_RADIUS - HEAT_MIN_RADIUS) * t,
+      opacity: 0.25 + 0.75 * t
+    };
+  }
+
+  // Scores arrive one result at a time; batch the redraw per frame
+  function scheduleOverlays({ sizes = false } = {}) {
+    if (!svg) return;
+    overlaySizesDirty = overlaySizesDirty || sizes;
+    if (overlayFrame) return;
+    overlayFrame = requestAnimationFrame(() => {
+      overlayFrame = 0;
+      if (canvasActive()) {
+        // sizes move edge ends and the index; heat alone is a repaint
+        if (overlaySizesDirty) render();
+        else canvasView.invalidateAll();
+        overlaySizesDirty = false;
+        return;
+      }
+      renderHeatmap();
+      if (overlaySizesDirty) {
+        overlaySizesDirty = false;
+        updateSizeRange();
+        nodesLayer.querySelectorAll('g.node').forEach(g => applyNodeSize(g, g.dataset.id));
+        renderEdges();
+      }
+    });
+  }
+
   function renderNodes() {
     clearLayer(nodesLayer);
     const nodes = state.nodes || [];
@@ -203,12 +672,14 @@ const NS = 'http://www.w3.org/2000/svg';
       const g = document.createElementNS(NS, 'g');
       g.classList.add('node');
       if (n.id === state.focusedId) g.classList.add('focused');
+      if (state.pinned.has(n.id)) g.classList.add('pinned');
+      if (n.expanded) g.classList.add('expanded');
       g.dataset.id = n.id;
       g.setAttribute('transform', `translate(${n.x},${n.y})`);
 
       const outer = document.createElementNS(NS, 'circle');
       outer.classList.add('node-outer');
-      outer.setAttribute('r', 11);
+      outer.setAttribute('r', NODE_RADIUS);
 
       const inner = document.createElementNS(NS, 'circle');
       inner.classList.add('node-inner');
@@ -229,10 +700,21 @@ const NS = 'http://www.w3.org/2000/svg';
       g.appendChild(inner);
       g.appendChild(hex);
       g.appendChild(label);
+      applyNodeSize(g, n.id);
 
       g.addEventListener('click', () => {
+        if (g.dataset.dragged) {
+          delete g.dataset.dragged;
+          return;
+        }
         focusNode(n.id, { emitSelect: true });
       });
+      g.addEventListener('pointerdown', (e) => startDrag(e, n, g));
+      g.addEventListener('dblclick', () => emit('expandNode', n));
+      g.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        openNodeMenu(n, e);
+      });
 
       g.addEventListener('mouseenter', () => {
         emit('hoverNode', n);
@@ -247,6 +729,87 @@ const NS = 'http://www.w3.org/2000/svg';
     });
   }
 
+  // Dragging a node pins it where it is dropped
+  function startDrag(e, n, g) {
+    if (e.button !== 0) return;
+    const ctm = svg.getScreenCTM();
+    if (!ctm) return;
+    const inv = ctm.inverse();
+    const toSvg = (ev) => {
+      const pt = svg.createSVGPoint();
+      pt.x = ev.clientX;
+      pt.y = ev.clientY;
+      return pt.matrixTransform(inv);
+    };
+    const start = toSvg(e);
+    const origin = { x: n.x, y: n.y };
+    let moved = false;
+
+    const move = (ev) => {
+      const p = toSvg(ev);
+      if (!moved && Math.hypot(p.x - start.x, p.y - start.y) < 3) return;
+      moved = true;
+      n.x = origin.x + (p.x - start.x);
+      n.y = origin.y + (p.y - start.y);
+      g.setAttribute('transform', `translate(${n.x},${n.y})`);
+      renderEdges();
+      if (state.overlays.heatmap && state.heat[n.id] != null) renderHeatmap();
+    };
+    const up = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+      if (!moved) return;
+      g.dataset.dragged = '1';
+      state.pinned.add(n.id);
+      g.classList.add('pinned');
+      if (state.layout === 'force') relayout({ incremental: true });
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+  }
+
+  /* ========= node context menu ========= */
+
+  function openNodeMenu(n, e) {
+    closeNodeMenu();
+    const bbox = container.getBoundingClientRect();
+    nodeMenu = document.createElement('div');
+    nodeMenu.className = 'graph-node-menu';
+    nodeMenu.style.left = `${e.clientX - bbox.left}px`;
+    nodeMenu.style.top = `${e.clientY - bbox.top}px`;
+
+    const pinned = state.pinned.has(n.id);
+    const items = [
+      ['Expand neighbors', () => emit('expandNode', n)],
+      n.expanded ? ['Collapse', () => emit('collapseNode', n)] : null,
+      ['Re-center here', () => emit('recenterNode', n)],
+      [pinned ? 'Unpin' : 'Pin', () => pinNode(n.id, !pinned)]
+    ].filter(Boolean);
+
+    items.forEach(([label, action]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        closeNodeMenu();
+        action();
+      });
+      nodeMenu.appendChild(btn);
+    });
+    container.appendChild(nodeMenu);
+    setTimeout(() => document.addEventListener('pointerdown', onMenuOutside), 0);
+  }
+
+  function onMenuOutside(e) {
+    if (nodeMenu && !nodeMenu.contains(e.target)) closeNodeMenu();
+  }
+
+  function closeNodeMenu() {
+    document.removeEventListener('pointerdown', onMenuOutside);
+    nodeMenu?.remove();
+    nodeMenu = null;
+  }
+
   function shorten(id) {
     if (!id) return '';
     const s = String(id);
@@ -255,6 +818,10 @@ const NS = 'http://www.w3.org/2000/svg';
   }
 
   function applyHaloToDom(id) {
+    if (canvasActive()) {
+      canvasView.invalidateNodes([id]);
+      return;
+    }
     if (!nodesLayer) return;
     const cfg = state.halos[id];
     const g = nodesLayer.querySelector(`g.node[data-id="${CSS.escape(id)}"]`);
@@ -278,10 +845,18 @@ const NS = 'http://www.w3.org/2000/svg';
 
   function setData({ nodes, links }) {
     ensureSvg();
-    state.nodes = (nodes || []).map(n => ({
-      ...n,
-      id: String(n.id || n.address || '').toLowerCase()
-    }));
+    // keep positions of nodes already on screen so a force relayout is incremental
+    const prev = new Map(state.nodes.map(n => [n.id, n]));
+    state.nodes = (nodes || []).map(n => {
+      const id = String(n.id || n.address || '').toLowerCase();
+      const old = prev.get(id);
+      const keep = old && (state.layout === 'force' || state.pinned.has(id));
+      return keep ? { ...n, id, x: old.x, y: old.y } : { ...n, id };
+    });
+    const kept = state.nodes.filter(n => prev.has(n.id)).length;
+    for (const id of state.pinned) {
+      if (!state.nodes.some(n => n.id === id)) state.pinned.delete(id);
+    }
     state.links = (links || []).map(L => ({
       ...L,
       a: String(L.a || L.source || '').toLowerCase(),
@@ -289,8 +864,10 @@ const NS = 'http://www.w3.org/2000/svg';
     }));
 
     if (!state.nodes.length) {
+      clearLayer(heatLayer);
       clearLayer(edgesLayer);
       clearLayer(nodesLayer);
+      if (canvasActive()) canvasView.render();
       emit('dataChanged', { nodes: [], links: [] });
       return;
     }
@@ -299,9 +876,7 @@ const NS = 'http://www.w3.org/2000/svg';
       state.focusedId = state.nodes[0].id;
     }
 
-    layoutRadial();
-    renderEdges();
-    renderNodes();
+    relayout({ incremental: kept > 0 });
 
     emit('dataChanged', { nodes: state.nodes, links: state.links });
     emit('viewportChanged');
@@ -329,6 +904,7 @@ const NS = 'http://www.w3.org/2000/svg';
     };
 
     if (cfg.focused) {
+      if (canvasActive()) canvasView.invalidateNodes([state.focusedId]);
       state.focusedId = id;
       if (nodesLayer) {
         nodesLayer.querySelectorAll('g.node').forEach(g => {
@@ -338,9 +914,11 @@ const NS = 'http://www.w3.org/2000/svg';
     }
 
     applyHaloToDom(id);
+    if (!!prev.blocked !== state.halos[id].blocked) refreshEdgeFlags(id);
   }
 
   function focusNode(id, { emitSelect = false } = {}) {
+    if (canvasActive()) canvasView.invalidateNodes([state.focusedId]);
     state.focusedId = String(id || '').toLowerCase();
     if (nodesLayer) {
       nodesLayer.querySelectorAll('g.node').forEach(g => {
@@ -357,6 +935,82 @@ const NS = 'http://www.w3.org/2000/svg';
     focusNode(id, { emitSelect: true });
   }
 
+  function setLayout(kind) {
+    if (!LAYOUTS.includes(kind)) {
+      console.warn('[graph] unknown layout', kind);
+      return false;
+    }
+    state.layout = kind;
+    relayout();
+    emit('layoutChanged', kind);
+    emit('viewportChanged');
+    return true;
+  }
+
+  function getLayout() {
+    return state.layout;
+  }
+
+  function pinNode(id, pinned = true) {
+    const key = String(id || '').toLowerCase();
+    if (pinned) state.pinned.add(key);
+    else state.pinned.delete(key);
+    if (nodesLayer) {
+      nodesLayer.querySelector(`g.node[data-id="${CSS.escape(key)}"]`)?.classList.toggle('pinned', pinned);
+    }
+    if (canvasActive()) canvasView.invalidateNodes([key]);
+    if (!pinned && state.layout !== 'radial') relayout({ incremental: true });
+  }
+
+  // score 0..100; the blob follows the node through relayouts
+  function setHeatmap(id, score) {
+    const key = String(id || '').toLowerCase();
+    if (!key) return;
+    const v = Number(score);
+    if (Number.isFinite(v)) state.heat[key] = v;
+    else delete state.heat[key];
+    if (state.overlays.heatmap) scheduleOverlays();
+  }
+
+  // value on any monotonic scale (app.js passes log10 of balance / volume);
+  // radii are relative to the other sized nodes; null unsizes the node
+  function setNodeSize(id, value) {
+    const key = String(id || '').toLowerCase();
+    if (!key) return;
+    const v = value == null ? NaN : Number(value);
+    if (Number.isFinite(v)) state.sizes[key] = v;
+    else delete state.sizes[key];
+    if (state.overlays.nodeSize) scheduleOverlays({ sizes: true });
+  }
+
+  // { heatmap?, nodeSize? } – values set while an overlay is off are kept
+  // and show up when it is switched on
+  function setOverlays(opts = {}) {
+    const next = {
+      heatmap: opts.heatmap != null ? !!opts.heatmap : state.overlays.heatmap,
+      nodeSize: opts.nodeSize != null ? !!opts.nodeSize : state.overlays.nodeSize
+    };
+    const sizesChanged = next.nodeSize !== state.overlays.nodeSize;
+    state.overlays = next;
+    scheduleOverlays({ sizes: sizesChanged });
+  }
+
+  // 'auto' | 'svg' | 'canvas'
+  function setRenderer(kind) {
+    if (!RENDERERS.includes(kind)) {
+      console.warn('[graph] unknown renderer', kind);
+      return false;
+    }
+    state.renderer = kind;
+    if (svg && state.nodes.length) render();
+    return true;
+  }
+
+  // the backend in use right now ('svg' | 'canvas')
+  function getRenderer() {
+    return canvasActive() ? 'canvas' : 'svg';
+  }
+
   function zoomFit() {
     zoom = 1;
     updateZoomViewBox();
@@ -371,6 +1025,14 @@ const NS = 'http://www.w3.org/2000/svg';
     on,
     setHalo,
     centerOn,
-    zoomFit
+    zoomFit,
+    setLayout,
+    getLayout,
+    pinNode,
+    setHeatmap,
+    setNodeSize,
+    setOverlays,
+    setRenderer,
+    getRenderer
   };
 })();
@@ -0,0 +1,311 @@
+// lib/graph-layout.js
+// Layout algorithms shared by graph.js (small graphs, main thread) and
+// workers/layout.worker.js (large graphs). Pure functions over plain
+// { id, x, y } nodes and { a, b, weight } links; they return positions
+// and never touch the DOM.
+
+export const LAYOUTS = ['radial', 'force', 'hierarchical'];
+
+/* ================== helpers ================== */
+
+// FNV-1a – stable per-id jitter so the same graph lays out the same way
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function jitter(id, salt) {
+  return (hash(`${id}:${salt}`) / 4294967296) - 0.5;
+}
+
+function adjacency(links) {
+  const adj = new Map();
+  const add = (a, b, w) => {
+    if (!adj.has(a)) adj.set(a, []);
+    adj.get(a).push({ id: b, w });
+  };
+  for (const L of links) {
+    if (!L.a || !L.b || L.a === L.b) continue;
+    const w = Number(L.weight) || 1;
+    add(L.a, L.b, w);
+    add(L.b, L.a, w);
+  }
+  return adj;
+}
+
+const placed = (n) => Number.isFinite(n?.x) && Number.isFinite(n?.y);
+
+// Keeps known positions; new nodes start next to an already placed
+// neighbor (so incremental relayouts only nudge the existing picture),
+// else at a stable spot around the view center.
+export function seedPositions(nodes, links, { width = 800, height = 480, spread = 60 } = {}) {
+  const adj = adjacency(links);
+  const pos = new Map();
+  for (const n of nodes) if (placed(n)) pos.set(n.id, { x: n.x, y: n.y });
+
+  let pending = nodes.filter(n => !pos.has(n.id));
+  // several passes so chains of new nodes grow outward from placed ones
+  for (let pass = 0; pass < 4 && pending.length; pass++) {
+    const rest = [];
+    for (const n of pending) {
+      const anchor = (adj.get(n.id) || []).map(e => pos.get(e.id)).find(Boolean);
+      if (anchor) {
+        pos.set(n.id, {
+          x: anchor.x + jitter(n.id, 'x') * spread * 2,
+          y: anchor.y + jitter(n.id, 'y') * spread * 2
+        });
+      } else {
+        rest.push(n);
+      }
+    }
+    if (rest.length === pending.length) break;
+    pending = rest;
+  }
+  for (const n of pending) {
+    pos.set(n.id, {
+      x: width / 2 + jitter(n.id, 'x') * width * 0.6,
+      y: height / 2 + jitter(n.id, 'y') * height * 0.6
+    });
+  }
+  return pos;
+}
+
+// Scale/translate positions into the view, leaving a margin
+function fitInto(pos, width, height, margin = 40) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of pos.values()) {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  }
+  if (!isFinite(minX)) return;
+  const s = Math.min(
+    (width - 2 * margin) / Math.max(maxX - minX, 1),
+    (height - 2 * margin) / Math.max(maxY - minY, 1),
+    1.5
+  );
+  const ox = (width - (maxX - minX) * s) / 2;
+  const oy = (height - (maxY - minY) * s) / 2;
+  for (const p of pos.values()) {
+    p.x = ox + (p.x - minX) * s;
+    p.y = oy + (p.y - minY) * s;
+  }
+}
+
+/* ================== force-directed ================== */
+
+const GRAVITY = 0.02;
+
+// Fruchterman–Reingold with a cooling schedule. Repulsion only looks at
+// nodes in neighboring grid cells (cell = 2k), which keeps each iteration
+// near-linear for the multi-thousand node graphs the worker handles.
+//
+// opts:
+//   width, height  view size
+//   pinned         ids that never move (dragged nodes, the focused node…)
+//   incremental    nodes that arrive with a position start cool and barely
+//                  move; only the new ones get the full starting temperature
+//   iterations     upper bound; cooling usually ends the run earlier
+//   cooling        temperature multiplier per iteration
+export function forceLayout(nodes, links, opts = {}) {
+  const {
+    width = 800,
+    height = 480,
+    pinned = [],
+    incremental = false,
+    iterations = 300,
+    cooling = 0.96
+  } = opts;
+  const pinnedSet = new Set(pinned);
+  const known = new Set(incremental ? nodes.filter(placed).map(n => n.id) : []);
+  const pos = seedPositions(nodes, links, { width, height });
+  const ids = nodes.map(n => n.id);
+  const n = ids.length;
+  if (n < 2) return pos;
+
+  const k = Math.max(30, Math.min(120, Math.sqrt((width * height) / n) * 0.75));
+  const cell = 2 * k;
+  const cx = width / 2;
+  const cy = height / 2;
+
+  // flat typed arrays: the inner loops run ~150 × n × neighbors times
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+  const dxs = new Float64Array(n);
+  const dys = new Float64Array(n);
+  const fixed = new Uint8Array(n);
+  const settled = new Uint8Array(n);
+  ids.forEach((id, i) => {
+    const p = pos.get(id);
+    xs[i] = p.x;
+    ys[i] = p.y;
+    fixed[i] = pinnedSet.has(id) ? 1 : 0;
+    settled[i] = known.has(id) ? 1 : 0;
+  });
+  const edgeA = [];
+  const edgeB = [];
+  const edgeW = [];
+  for (const L of links) {
+    const a = index.get(L.a);
+    const b = index.get(L.b);
+    if (a === undefined || b === undefined || a === b) continue;
+    edgeA.push(a);
+    edgeB.push(b);
+    edgeW.push(Math.min(3, 1 + Math.log10(Number(L.weight) || 1)));
+  }
+
+  let temp = Math.max(width, height) / 8;
+  // settled nodes start cooler and cool faster: total drift stays under ~k
+  let settledTemp = Math.min(temp, k * 0.1);
+  const grid = new Map();
+  const cellKey = (gx, gy) => gx * 1000003 + gy;
+
+  for (let it = 0; it < iterations && temp > 0.5; it++) {
+    dxs.fill(0);
+    dys.fill(0);
+
+    // repulsion
+    grid.clear();
+    for (let i = 0; i < n; i++) {
+      const key = cellKey(Math.floor(xs[i] / cell), Math.floor(ys[i] / cell));
+      const bucket = grid.get(key);
+      if (bucket) bucket.push(i);
+      else grid.set(key, [i]);
+    }
+    for (let i = 0; i < n; i++) {
+      const gx = Math.floor(xs[i] / cell);
+      const gy = Math.floor(ys[i] / cell);
+      for (let ix = gx - 1; ix <= gx + 1; ix++) {
+        for (let iy = gy - 1; iy <= gy + 1; iy++) {
+          const bucket = grid.get(cellKey(ix, iy));
+          if (!bucket) continue;
+          for (let b = 0; b < bucket.length; b++) {
+            const j = bucket[b];
+            if (j === i) continue;
+            let dx = xs[i] - xs[j];
+            let dy = ys[i] - ys[j];
+            let dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist < 0.01) {
+              dx = jitter(ids[i], ids[j]);
+              dy = jitter(ids[j], ids[i]);
+              dist = 0.01;
+            }
+            if (dist > cell) continue;
+            const f = (k * k) / (dist * dist);
+            dxs[i] += dx * f;
+            dys[i] += dy * f;
+          }
+        }
+      }
+    }
+
+    // attraction along edges
+    for (let e = 0; e < edgeA.length; e++) {
+      const a = edgeA[e];
+      const b = edgeB[e];
+      const dx = xs[a] - xs[b];
+      const dy = ys[a] - ys[b];
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+      const f = (dist / k) * edgeW[e];
+      dxs[a] -= dx * f;
+      dys[a] -= dy * f;
+      dxs[b] += dx * f;
+      dys[b] += dy * f;
+    }
+
+    // mild gravity keeps disconnected pieces on screen; move capped by temp
+    for (let i = 0; i < n; i++) {
+      if (fixed[i]) continue;
+      const dx = dxs[i] + (cx - xs[i]) * GRAVITY;
+      const dy = dys[i] + (cy - ys[i]) * GRAVITY;
+      const len = Math.sqrt(dx * dx + dy * dy);
+      if (len > 0) {
+        const step = Math.min(len, settled[i] ? settledTemp : temp);
+        xs[i] += (dx / len) * step;
+        ys[i] += (dy / len) * step;
+      }
+    }
+
+    temp *= cooling;
+    settledTemp *= cooling * 0.94;
+  }
+
+  ids.forEach((id, i) => pos.set(id, { x: xs[i], y: ys[i] }));
+
+  // a fresh layout is fitted to the view; with pins or an existing picture,
+  // rescaling would move nodes the user (or the last layout) already placed
+  if (!incremental && !pinnedSet.size) fitInto(pos, width, height);
+  return pos;
+}
+
+/* ================== hierarchical ================== */
+
+// Layered top-down tree from rootId (BFS depth = layer). Each layer is
+// ordered by the mean position of its parents to limit edge crossings;
+// nodes unreachable from the root form a final layer.
+export function hierarchicalLayout(nodes, links, opts = {}) {
+  const { width = 800, height = 480, rootId = nodes[0]?.id, pinned = [], margin = 40 } = opts;
+  const pinnedSet = new Set(pinned);
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const adj = adjacency(links);
+  const depth = new Map();
+  const parents = new Map();
+
+  if (byId.has(rootId)) {
+    depth.set(rootId, 0);
+    const queue = [rootId];
+    while (queue.length) {
+      const id = queue.shift();
+      for (const e of adj.get(id) || []) {
+        if (!byId.has(e.id)) continue;
+        if (!depth.has(e.id)) {
+          depth.set(e.id, depth.get(id) + 1);
+          parents.set(e.id, [id]);
+          queue.push(e.id);
+        } else if (depth.get(e.id) === depth.get(id) + 1) {
+          parents.get(e.id).push(id);
+        }
+      }
+    }
+  }
+  const maxDepth = Math.max(0, ...depth.values());
+  const orphanLayer = maxDepth + 1;
+  const layers = [];
+  for (const n of nodes) {
+    const d = depth.has(n.id) ? depth.get(n.id) : orphanLayer;
+    (layers[d] = layers[d] || []).push(n.id);
+  }
+
+  const pos = new Map();
+  const rows = layers.filter(Boolean);
+  const dy = rows.length > 1 ? (height - 2 * margin) / (rows.length - 1) : 0;
+  rows.forEach((row, r) => {
+    if (r > 0) {
+      const bary = (id) => {
+        const ps = (parents.get(id) || []).map(p => pos.get(p)?.x).filter(Number.isFinite);
+        return ps.length ? ps.reduce((s, x) => s + x, 0) / ps.length : width / 2;
+      };
+      row.sort((a, b) => bary(a) - bary(b) || (a < b ? -1 : 1));
+    }
+    const dx = (width - 2 * margin) / (row.length + 1);
+    row.forEach((id, i) => {
+      const n = byId.get(id);
+      pos.set(id, pinnedSet.has(id) && placed(n)
+        ? { x: n.x, y: n.y }
+        : { x: margin + dx * (i + 1), y: rows.length > 1 ? margin + dy * r : height / 2 });
+    });
+  });
+  return pos;
+}
+
+// kind: 'force' | 'hierarchical' → Map(id → { x, y })
+export function computeLayout(kind, nodes, links, opts) {
+  if (kind === 'hierarchical') return hierarchicalLayout(nodes, links, opts);
+  return forceLayout(nodes, links, opts);
+}
@@ -2,6 +2,8 @@
 // RiskXLabs Vision risk model v1.6.4 – standalone module
 // This mirrors the logic embedded in workers/server.worker.js
 
+import HEURISTICS from "../data/heuristics.json" with { type: "json" };
+
 const VERSION = "RXL-V1.6.4";
 
 export function parseHexSet(raw) {
@@ -18,8 +20,9 @@ export function clamp(x, lo = 0, hi = 100) {
   return Math.max(lo, Math.min(hi, x));
 }
 
-export function buildFeatures(address, txs, nowMs = Date.now()) {
+export function buildFeatures(address, txs, nowMs = Date.now(), lists = {}, network = "eth") {
   const addr = address.toLowerCase();
+  const reports = chainabuseReports(addr, network, nowMs, lists);
   const txList = Array.isArray(txs) ? [...txs] : [];
   if (!txList.length) {
     return {
@@ -37,10 +40,16 @@ export function buildFeatures(address, txs, nowMs = Date.now()) {
       neighborCount: 0,
       sanctionedNeighborRatio: 0,
       highRiskNeighborRatio: 0,
+      scamNeighborRatio: 0,
       dormantNeighborRatio: 0,
       mixerProximity: 0,
       custodianExposure: 0,
       scamPlatformExposure: 0,
+      flaggedNeighbors: [],
+      chainabuseReports: reports,
+      flow: flowConcentration(addr, []),
+      tokenTransferCount: 0,
+      assetBreakdown: [],
       local: {
         riskyNeighborRatio: 0,
         neighborAvgTx: 0,
@@ -87,9 +96,11 @@ export function buildFeatures(address, txs, nowMs = Date.now()) {
     (nowMs - (lastTs || nowMs)) / (1000 * 60 * 60 * 24);
   const isDormant = ageDays > 180 && daysSinceLast > 90;
 
+  const exposure = neighborExposure(cpCounts, totalCpTx, lists);
+
   const neighborCount = uniqueCounterparties;
   const local = {
-    riskyNeighborRatio: 0,
+    riskyNeighborRatio: exposure.highRiskNeighborRatio,
     neighborAvgTx: uniqueCounterparties ? totalCpTx / uniqueCounterparties : 0,
     neighborAvgAgeDays: 0,
     neighborCount,
@@ -108,62 +119,394 @@ export function buildFeatures(address, txs, nowMs = Date.now()) {
     dormantDays: daysSinceLast,
     resurrectedRecently: !isDormant && daysSinceLast < 14 && ageDays > 60,
     neighborCount,
-    sanctionedNeighborRatio: 0,
-    highRiskNeighborRatio: 0,
+    sanctionedNeighborRatio: exposure.sanctionedNeighborRatio,
+    highRiskNeighborRatio: exposure.highRiskNeighborRatio,
+    scamNeighborRatio: exposure.scamNeighborRatio,
     dormantNeighborRatio: 0,
-    mixerProximity: 0,
-    custodianExposure: 0,
+    mixerProximity: exposure.mixerProximity,
+    custodianExposure: exposure.custodianExposure,
     scamPlatformExposure: 0,
+    flaggedNeighbors: exposure.flaggedNeighbors,
+    chainabuseReports: reports,
+    flow: flowConcentration(addr, txList),
+    tokenTransferCount: txList.filter((tx) => tx.category && tx.category !== "external").length,
+    assetBreakdown: assetBreakdown(addr, txList),
     local,
   };
 }
 
-export function scoreWithLists(address, network, feats, lists) {
+// Reports filed against the address up to nowMs, with their age in months
+// (decay is applied by scoring, from the ruleset's half-life)
+function chainabuseReports(addr, network, nowMs, lists) {
+  const rows = lists.chainabuse?.get(`${network}:${addr}`) || [];
+  const out = [];
+  for (const r of rows) {
+    const ts = Date.parse(r.reportedAt);
+    if (!Number.isFinite(ts) || ts > nowMs) continue;
+    out.push({
+      category: r.category,
+      reportedAt: r.reportedAt,
+      count: r.count || 1,
+      ageMonths: (nowMs - ts) / (1000 * 60 * 60 * 24 * 30.44),
+    });
+  }
+  return out;
+}
+
+const MAX_FLAGGED_NEIGHBORS = 20;
+
+// Share of counterparty interactions that touch OFAC / scam-cluster / mixer
+// addresses, plus the share that goes through low-risk custodians. Every
+// matched neighbor is kept (top MAX_FLAGGED_NEIGHBORS by interactions) so the
+// narrative can name them.
+function neighborExposure(cpCounts, totalCpTx, lists) {
+  const ofacSet = lists.ofacSet || new Set();
+  const scamSet = lists.scamSet || new Set();
+  const tornadoSet = lists.tornadoSet || new Set();
+  const custodianEntries = lists.custodianEntries || new Map();
+
+  let sanctioned = 0;
+  let risky = 0;
+  let mixer = 0;
+  let scamOnly = 0;
+  let custodian = 0;
+  const flagged = [];
+  for (const [cp, interactions] of cpCounts) {
+    if (custodianEntries.get(cp)?.riskLevel === "low") custodian += interactions;
+    const hits = [];
+    if (ofacSet.has(cp)) hits.push("ofac");
+    if (scamSet.has(cp)) hits.push("scamCluster");
+    if (tornadoSet.has(cp)) hits.push("tornado");
+    if (!hits.length) continue;
+    if (hits.includes("ofac")) sanctioned += interactions;
+    if (hits.includes("tornado")) mixer += interactions;
+    else if (!hits.includes("ofac")) scamOnly += interactions;
+    risky += interactions;
+    flagged.push({ address: cp, lists: hits, interactions, entity: entityFor(cp, lists)?.name || null });
+  }
+
+  flagged.sort((a, b) => b.interactions - a.interactions);
+  return {
+    sanctionedNeighborRatio: sanctioned / totalCpTx,
+    highRiskNeighborRatio: risky / totalCpTx,
+    scamNeighborRatio: scamOnly / totalCpTx,
+    mixerProximity: mixer / totalCpTx,
+    custodianExposure: custodian / totalCpTx,
+    flaggedNeighbors: flagged.slice(0, MAX_FLAGGED_NEIGHBORS),
+  };
+}
+
+// Registry entity (custodian / mixer / OFAC designation) behind an address
+function entityFor(addr, lists) {
+  const custodian = lists.custodianEntries?.get(addr);
+  if (custodian) return { type: "custodian", ...custodian };
+  const mixer = lists.mixerEntries?.get(addr);
+  if (mixer) return { type: "mixer", ...mixer };
+  const ofac = lists.ofacEntries?.get(addr);
+  if (ofac?.entity) return { type: "ofac", name: ofac.entity, category: "Sanctioned", riskLevel: "critical" };
+  return null;
+}
+
+// Per-asset flow summary – native coin plus one row per token contract
+function assetBreakdown(addr, txList) {
+  const byAsset = new Map();
+  for (const tx of txList) {
+    const key = tx.contract || "native";
+    let row = byAsset.get(key);
+    if (!row) {
+      row = {
+        asset: tx.asset || null,
+        category: tx.category || "external",
+        contract: tx.contract || null,
+        decimals: tx.decimals ?? null,
+        transfers: 0,
+        inCount: 0,
+        outCount: 0,
+        amountIn: 0,
+        amountOut: 0,
+        counterparties: new Set(),
+      };
+      byAsset.set(key, row);
+    }
+    row.transfers++;
+    const from = tx.from?.toLowerCase();
+    const to = tx.to?.toLowerCase();
+    const amount = Number(tx.amount) || 0;
+    if (from === addr && to !== addr) {
+      row.outCount++;
+      row.amountOut += amount;
+      if (to) row.counterparties.add(to);
+    } else if (to === addr && from !== addr) {
+      row.inCount++;
+      row.amountIn += amount;
+      if (from) row.counterparties.add(from);
+    }
+  }
+  return [...byAsset.values()]
+    .map((row) => ({ ...row, counterparties: row.counterparties.size }))
+    .sort((a, b) => b.transfers - a.transfers);
+}
+
+const FLOW_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Fan-in / fan-out shape of the history: distinct senders and receivers
+// overall and in the busiest FLOW_WINDOW_MS window, plus the Gini of value
+// per counterparty (0 = even split, → 1 = one counterparty dominates).
+// Amounts only compare within one asset, so the Gini is taken per asset
+// (native, or a token contract) and reported for the asset with the most
+// counterparties; null when no asset was moved to or from at least two.
+function flowConcentration(addr, txList) {
+  const senders = new Set();
+  const receivers = new Set();
+  const inByAsset = new Map(); // asset → (from → value received)
+  const outByAsset = new Map(); // asset → (to → value sent)
+  const windows = new Map(); // window index → { senders, receivers }
+  for (const tx of txList) {
+    const from = tx.from?.toLowerCase();
+    const to = tx.to?.toLowerCase();
+    const inbound = to === addr && from && from !== addr;
+    const outbound = from === addr && to && to !== addr;
+    if (!inbound && !outbound) continue;
+
+    const value = Number(tx.amount) || 0;
+    const asset = tx.contract ? tx.contract.toLowerCase() : "native";
+    const w = Math.floor((tx.timeStamp || 0) / FLOW_WINDOW_MS);
+    if (!windows.has(w)) windows.set(w, { senders: new Set(), receivers: new Set() });
+    const [parties, byAsset, other] = inbound
+      ? [senders, inByAsset, from]
+      : [receivers, outByAsset, to];
+    parties.add(other);
+    windows.get(w)[inbound ? "senders" : "receivers"].add(other);
+    if (!byAsset.has(asset)) byAsset.set(asset, new Map());
+    const amounts = byAsset.get(asset);
+    amounts.set(other, (amounts.get(other) || 0) + value);
+  }
+
+  let peakSendersPerWindow = 0;
+  let peakReceiversPerWindow = 0;
+  for (const w of windows.values()) {
+    peakSendersPerWindow = Math.max(peakSendersPerWindow, w.senders.size);
+    peakReceiversPerWindow = Math.max(peakReceiversPerWindow, w.receivers.size);
+  }
+
+  return {
+    windowHours: FLOW_WINDOW_MS / (60 * 60 * 1000),
+    uniqueSenders: senders.size,
+    uniqueReceivers: receivers.size,
+    peakSendersPerWindow,
+    peakReceiversPerWindow,
+    inGini: assetGini(inByAsset),
+    outGini: assetGini(outByAsset),
+  };
+}
+
+// Gini of the asset with the most valued counterparties, or null
+function assetGini(byAsset) {
+  let best = null;
+  for (const amounts of byAsset.values()) {
+    const values = [...amounts.values()].filter((v) => v > 0);
+    if (values.length >= 2 && (!best || values.length > best.length)) best = values;
+  }
+  return best ? gini(best) : null;
+}
+
+function gini(values) {
+  const xs = values.filter((v) => v > 0).sort((a, b) => a - b);
+  const n = xs.length;
+  const total = xs.reduce((a, b) => a + b, 0);
+  if (n < 2 || !total) return 0;
+  let acc = 0;
+  xs.forEach((x, i) => {
+    acc += (2 * (i + 1) - n - 1) * x;
+  });
+  return acc / (n * total);
+}
+
+// Shape a ruleset document (data/heuristics.json) must have before scoring
+// uses it. Leaves are type names; listed keys are required, extra keys are
+// allowed so rulesets can carry sections other consumers read.
+const RULESET_SCHEMA = {
+  version: "string",
+  score: numberKeys([
+    "min", "max", "base_score", "block_threshold", "warn_threshold", "confidence_floor",
+  ]),
+  weights: numberKeys([
+    "ofac_direct", "ofac_one_hop",
+    "mixer_direct", "mixer_one_hop", "scam_cluster_direct", "scam_mixer_combo", "risky_one_hop",
+    "young_wallet_lt_7d", "young_wallet_lt_30d", "young_wallet_30_90d",
+    "young_wallet_90_180d", "wallet_180d_2y", "aged_wallet_gt_2y",
+    "velocity_extreme", "velocity_high", "velocity_mild",
+    "mix_concentrated", "mix_diversified",
+    "neighbors_count_high", "neighbors_count_mid",
+    "neighbors_inactive_ratio_per_0_1", "neighbors_avg_tx_high", "neighbors_avg_age_low",
+    "dormant_resurrection",
+    "custodian_dampener",
+    "chainabuse_reports_1_2", "chainabuse_reports_ge_3", "chainabuse_category_bump",
+    "fan_in_high", "fan_out_burst",
+    "tx_value_spike", "tx_first_interaction", "tx_contract_creation", "tx_zero_value_spoof",
+  ]),
+  thresholds: numberKeys([
+    "age_lt_7d_days", "age_lt_30d_days", "age_lt_90d_days", "age_lt_180d_days", "age_lt_2y_days",
+    "velocity_extreme_tx_per_day", "velocity_extreme_burst",
+    "velocity_high_tx_per_day", "velocity_high_burst",
+    "velocity_mild_tx_per_day", "velocity_mild_burst",
+    "mix_concentrated_max_counterparties", "mix_concentrated_top_share",
+    "mix_diversified_min_counterparties", "mix_diversified_top_share",
+    "neighbor_exposure_full_ratio", "ofac_one_hop_floor", "risky_one_hop_floor", "mixer_one_hop_floor",
+    "neighbors_count_high", "neighbors_count_mid",
+    "neighbors_inactive_ratio_high", "neighbors_avg_tx_high", "neighbors_avg_age_low_days",
+    "dormant_min_age_days",
+    "fan_in_senders_per_window", "fan_out_receivers_per_window",
+    "collector_min_senders", "collector_max_receivers",
+    "distributor_min_receivers", "distributor_max_senders", "flow_even_gini",
+    "tx_value_spike_multiple", "tx_value_min_history", "tx_lookalike_chars",
+  ]),
+  decay: numberKeys(["reports_months_half_life"]),
+  chainabuse: { bump_categories: "array" },
+  governance: numberKeys(["allow_score_cap"]),
+  confidence: numberKeys([
+    "provider_failed", "partial_history", "sparse_neighbor_threshold",
+    "sparse_neighbors_min", "list_stale_days", "list_stale_factor",
+  ]),
+  bands: "bands",
+  platform_risk: numberKeys(["elevated", "neutral", "watch"]),
+};
+
+function numberKeys(keys) {
+  return Object.fromEntries(keys.map((k) => [k, "number"]));
+}
+
+// → list of human-readable problems; empty when the document is usable
+export function validateRuleset(doc, schema = RULESET_SCHEMA, path = "") {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return [`${path || "ruleset"} must be an object`];
+  }
+  const errors = [];
+  for (const [key, type] of Object.entries(schema)) {
+    const at = path ? `${path}.${key}` : key;
+    const value = doc[key];
+    if (value === undefined) {
+      errors.push(`${at} is required`);
+    } else if (typeof type === "object") {
+      errors.push(...validateRuleset(value, type, at));
+    } else if (type === "bands") {
+      const entries = value && typeof value === "object" ? Object.entries(value) : [];
+      if (!entries.length) errors.push(`${at} must be a non-empty object`);
+      for (const [name, range] of entries) {
+        const ok = Array.isArray(range) && range.length === 2 &&
+          range.every(Number.isFinite) && range[0] <= range[1];
+        if (!ok) errors.push(`${at}.${name} must be [lo, hi]`);
+      }
+    } else if (type === "array") {
+      if (!Array.isArray(value)) errors.push(`${at} must be an array`);
+    } else if (type === "number" ? !Number.isFinite(value) : typeof value !== type) {
+      errors.push(`${at} must be a ${type}`);
+    }
+  }
+  return errors;
+}
+
+export function loadRuleset(doc) {
+  const errors = validateRuleset(doc);
+  if (errors.length) {
+    throw new Error(`Invalid ruleset ${doc?.version || "(no version)"}: ${errors.join("; ")}`);
+  }
+  return doc;
+}
+
+export const DEFAULT_RULESET = loadRuleset(HEURISTICS);
+
+function bandFor(score, bands) {
+  const s = Math.round(score);
+  for (const [name, [lo, hi]] of Object.entries(bands)) {
+    if (s >= lo && s <= hi) return name;
+  }
+  return "unknown";
+}
+
+// weight × (floor … 1), reaching the full weight once x ≥ 1
+function exposureImpact(weight, floor, x) {
+  return Math.round(weight * (floor + (1 - floor) * Math.min(1, x)));
+}
+
+// 0…1 trust in a result: the product of one factor per weakness, so a
+// synthetic (all-providers-failed) history alone drives it to 0.
+// `history` is the fetch metadata ({ provider, historyComplete }); callers
+// without it are assumed to have a real, complete history.
+function confidenceFor(feats, history, lists, ruleset) {
+  const C = ruleset.confidence;
+  const factors = {
+    provider: history.provider === null ? C.provider_failed : 1,
+    history: history.historyComplete === false ? C.partial_history : 1,
+    neighbors: 1,
+    lists: 1,
+  };
+
+  const n = feats.neighborCount || 0;
+  if (n < C.sparse_neighbor_threshold) {
+    factors.neighbors = C.sparse_neighbors_min +
+      (1 - C.sparse_neighbors_min) * (n / C.sparse_neighbor_threshold);
+  }
+
+  const dates = Object.values(lists.listsUpdated || {})
+    .map((d) => Date.parse(d))
+    .filter(Number.isFinite);
+  if (dates.length) {
+    const staleDays = (Date.now() - Math.min(...dates)) / (1000 * 60 * 60 * 24);
+    if (staleDays > C.list_stale_days) factors.lists = C.list_stale_factor;
+  }
+
+  const value = Object.values(factors).reduce((a, b) => a * b, 1);
+  return { value: Math.round(value * 100) / 100, factors };
+}
+
+export function scoreWithLists(address, network, feats, lists, ruleset = DEFAULT_RULESET, history = {}) {
   const addr = address.toLowerCase();
   const ofacSet = lists.ofacSet || new Set();
   const scamSet = lists.scamSet || new Set();
   const tornadoSet = lists.tornadoSet || new Set();
+  const W = ruleset.weights;
+  const T = ruleset.thresholds;
 
   const parts = {};
   const notes = [];
-  const baseScore = 15;
+  const baseScore = ruleset.score.base_score;
 
   // Age
   const d = feats.ageDays;
-  let ageImpact = 0;
-  let ageBucket = "unknown";
-  if (d <= 7) {
-    ageImpact = 25;
-    ageBucket = "< 1 week";
-  } else if (d <= 180) {
-    ageImpact = 10;
-    ageBucket = "1w–6m";
-  } else if (d <= 730) {
-    ageImpact = 2;
-    ageBucket = "6m–2y";
-  } else if (d > 730) {
-    ageImpact = -10;
-    ageBucket = "> 2y";
-  }
+  const AGE_RULES = [
+    [T.age_lt_7d_days, "young_wallet_lt_7d", "< 1 week"],
+    [T.age_lt_30d_days, "young_wallet_lt_30d", "1w–30d"],
+    [T.age_lt_90d_days, "young_wallet_30_90d", "30d–90d"],
+    [T.age_lt_180d_days, "young_wallet_90_180d", "90d–6m"],
+    [T.age_lt_2y_days, "wallet_180d_2y", "6m–2y"],
+    [Infinity, "aged_wallet_gt_2y", "> 2y"],
+  ];
+  const ageRule = Number.isFinite(d) ? AGE_RULES.find(([maxDays]) => d <= maxDays) : null;
+  const ageImpact = ageRule ? W[ageRule[1]] : 0;
   parts.age = {
     id: "age",
     label: "Wallet age",
     impact: ageImpact,
-    details: { ageDays: d, bucket: ageBucket },
+    details: {
+      ageDays: d,
+      bucket: ageRule ? ageRule[2] : "unknown",
+      rule: ageRule ? ageRule[1] : null,
+    },
   };
 
   // Velocity
   const { txPerDay, burstScore } = feats;
   let velImpact = 0;
   let velBucket = "normal";
-  if (txPerDay > 50 || burstScore > 0.8) {
-    velImpact = 22;
+  if (txPerDay > T.velocity_extreme_tx_per_day || burstScore > T.velocity_extreme_burst) {
+    velImpact = W.velocity_extreme;
     velBucket = "extreme";
-  } else if (txPerDay > 10 || burstScore > 0.6) {
-    velImpact = 14;
+  } else if (txPerDay > T.velocity_high_tx_per_day || burstScore > T.velocity_high_burst) {
+    velImpact = W.velocity_high;
     velBucket = "high";
-  } else if (txPerDay >= 1 || burstScore > 0.4) {
-    velImpact = 4;
+  } else if (txPerDay >= T.velocity_mild_tx_per_day || burstScore > T.velocity_mild_burst) {
+    velImpact = W.velocity_mild;
     velBucket = "mild";
   }
   parts.velocity = {
@@ -177,11 +520,17 @@ export function scoreWithLists(address, network, feats, lists) {
   const { uniqueCounterparties, topCounterpartyShare } = feats;
   let mixImpact = 0;
   let mixBucket = "balanced";
-  if (uniqueCounterparties <= 2 && topCounterpartyShare > 0.8) {
-    mixImpact = 14;
+  if (
+    uniqueCounterparties <= T.mix_concentrated_max_counterparties &&
+    topCounterpartyShare > T.mix_concentrated_top_share
+  ) {
+    mixImpact = W.mix_concentrated;
     mixBucket = "concentrated";
-  } else if (uniqueCounterparties >= 8 && topCounterpartyShare < 0.3) {
-    mixImpact = -2;
+  } else if (
+    uniqueCounterparties >= T.mix_diversified_min_counterparties &&
+    topCounterpartyShare < T.mix_diversified_top_share
+  ) {
+    mixImpact = W.mix_diversified;
     mixBucket = "diversified";
   }
   parts.mix = {
@@ -195,11 +544,41 @@ export function scoreWithLists(address, network, feats, lists) {
     },
   };
 
-  // Neighbor risk (placeholder)
+  // Neighbor risk: listed counterparties, then neighborhood size
   let neighborImpact = 0;
   const neighborCount = feats.neighborCount || 0;
-  if (neighborCount >= 30) neighborImpact = 6;
-  else if (neighborCount >= 10) neighborImpact = 3;
+  const sanctionedRatio = feats.sanctionedNeighborRatio || 0;
+  const mixerRatio = feats.mixerProximity || 0;
+  const otherRiskRatio = feats.scamNeighborRatio || 0;
+  const fullRatio = T.neighbor_exposure_full_ratio;
+  if (sanctionedRatio > 0) {
+    // any sanctioned exposure counts; heavy exposure earns the full weight
+    neighborImpact += exposureImpact(W.ofac_one_hop, T.ofac_one_hop_floor, sanctionedRatio / fullRatio);
+  }
+  if (mixerRatio > 0) {
+    neighborImpact += exposureImpact(W.mixer_one_hop, T.mixer_one_hop_floor, mixerRatio / fullRatio);
+  }
+  if (otherRiskRatio > 0) {
+    neighborImpact += exposureImpact(W.risky_one_hop, T.risky_one_hop_floor, otherRiskRatio / fullRatio);
+  }
+  if (neighborCount >= T.neighbors_count_high) neighborImpact += W.neighbors_count_high;
+  else if (neighborCount >= T.neighbors_count_mid) neighborImpact += W.neighbors_count_mid;
+
+  const inactiveRatio = feats.dormantNeighborRatio || 0;
+  if (inactiveRatio >= T.neighbors_inactive_ratio_high) {
+    neighborImpact += W.neighbors_inactive_ratio_per_0_1 * Math.floor(inactiveRatio * 10);
+  }
+  const local = feats.local || {};
+  if ((local.neighborAvgTx || 0) >= T.neighbors_avg_tx_high) {
+    neighborImpact += W.neighbors_avg_tx_high;
+  }
+  // 0 means "not measured" for neighbor age
+  if (local.neighborAvgAgeDays > 0 && local.neighborAvgAgeDays < T.neighbors_avg_age_low_days) {
+    neighborImpact += W.neighbors_avg_age_low;
+  }
+
+  const flaggedNeighbors = feats.flaggedNeighbors || [];
+  const flaggedLists = new Set(flaggedNeighbors.flatMap((n) => n.lists));
 
   parts.neighbor = {
     id: "neighbor",
@@ -207,15 +586,19 @@ export function scoreWithLists(address, network, feats, lists) {
     impact: neighborImpact,
     details: {
       neighborCount,
-      sanctionedNeighborRatio: feats.sanctionedNeighborRatio,
-      highRiskNeighborRatio: feats.highRiskNeighborRatio,
-      mixedCluster: false,
+      sanctionedNeighborRatio: sanctionedRatio,
+      highRiskNeighborRatio: feats.highRiskNeighborRatio || 0,
+      mixerProximity: mixerRatio,
+      mixedCluster: flaggedLists.size > 1,
+      flagged: flaggedNeighbors,
     },
   };
 
   // Dormancy
   let dormantImpact = 0;
-  if (feats.isDormant && feats.ageDays > 365) dormantImpact = 4;
+  if (feats.isDormant && feats.ageDays > T.dormant_min_age_days) {
+    dormantImpact = W.dormant_resurrection;
+  }
   parts.dormant = {
     id: "dormant",
     label: "Dormancy & resurrection patterns",
@@ -231,27 +614,59 @@ export function scoreWithLists(address, network, feats, lists) {
   let listsImpact = 0;
   const listDetails = {};
 
+  const entity = entityFor(addr, lists);
   const ofacHit = ofacSet.has(addr);
   if (ofacHit) {
-    listsImpact += 70;
+    listsImpact += W.ofac_direct;
     listDetails.ofac = true;
     notes.push("OFAC / sanctions list match");
   }
 
   if (scamSet.has(addr)) {
-    listsImpact += 55;
+    listsImpact += W.scam_cluster_direct;
     listDetails.scamCluster = true;
   }
 
   if (tornadoSet.has(addr)) {
-    listsImpact += 30;
+    listsImpact += W.mixer_direct;
     listDetails.tornado = true;
   }
 
   if (listDetails.tornado && listDetails.scamCluster) {
-    listsImpact += 35;
+    listsImpact += W.scam_mixer_combo;
   }
 
+  // Chainabuse reports: each report's weight halves every half-life months
+  const halfLife = ruleset.decay.reports_months_half_life;
+  const bumpCategories = new Set(ruleset.chainabuse.bump_categories);
+  const reports = feats.chainabuseReports || [];
+  let decayedReports = 0;
+  let categoryBump = false;
+  for (const r of reports) {
+    const decay = Math.pow(0.5, r.ageMonths / halfLife);
+    decayedReports += r.count * decay;
+    if (bumpCategories.has(r.category) && decay >= 0.5) categoryBump = true;
+  }
+  if (reports.length) {
+    listsImpact += decayedReports >= 3
+      ? W.chainabuse_reports_ge_3
+      : Math.round(W.chainabuse_reports_1_2 * Math.min(1, decayedReports));
+    if (categoryBump) listsImpact += W.chainabuse_category_bump;
+    listDetails.chainabuse = {
+      reports: reports.reduce((n, r) => n + r.count, 0),
+      decayedReports: Math.round(decayedReports * 100) / 100,
+      categories: [...new Set(reports.map((r) => r.category))],
+      categoryBump,
+    };
+  }
+
+  // Registry platforms that are not plain custodians (e.g. DEX aggregators on watch)
+  if (entity?.type === "custodian" && entity.riskLevel !== "low") {
+    listsImpact += ruleset.platform_risk[entity.riskLevel] || 0;
+    listDetails.platform = entity.riskLevel;
+  }
+  if (entity) listDetails.entity = entity.name;
+
   parts.lists = {
     id: "lists",
     label: "External fraud & platform signals",
@@ -259,40 +674,123 @@ export function scoreWithLists(address, network, feats, lists) {
     details: listDetails,
   };
 
-  // Concentration placeholder
+  // Custodian dampener: the address itself, else its custodian flows
+  const custodianDirect = entity?.type === "custodian" && entity.riskLevel === "low";
+  const custodianShare = custodianDirect ? 1 : feats.custodianExposure || 0;
+  // a list hit (sanctions, scam cluster, mixer, Chainabuse reports) is never softened
+  const listHit = ofacHit || !!(listDetails.scamCluster || listDetails.tornado || listDetails.chainabuse);
+  const custodianImpact = listHit ? 0 : exposureImpact(W.custodian_dampener, 0, custodianShare / fullRatio);
+  parts.custodian = {
+    id: "custodian",
+    label: ruleset.custodian?.explain_label || "Custodian (reduced risk)",
+    impact: custodianImpact,
+    details: {
+      direct: custodianDirect,
+      custodianExposure: feats.custodianExposure || 0,
+      entity: custodianDirect ? entity.name : null,
+    },
+  };
+
+  // Flow concentration: collectors (fan-in) and payout sprayers (fan-out)
+  const flow = feats.flow || {};
+  const collector =
+    flow.uniqueSenders >= T.collector_min_senders &&
+    flow.uniqueReceivers <= T.collector_max_receivers;
+  const distributor =
+    flow.uniqueReceivers >= T.distributor_min_receivers &&
+    flow.uniqueSenders <= T.distributor_max_senders;
+  const fanInHigh = collector || flow.peakSendersPerWindow >= T.fan_in_senders_per_window;
+  const fanOutBurst = distributor || flow.peakReceiversPerWindow >= T.fan_out_receivers_per_window;
+  let concentrationImpact = 0;
+  if (fanInHigh) concentrationImpact += W.fan_in_high;
+  if (fanOutBurst) concentrationImpact += W.fan_out_burst;
+  let flowPattern = null;
+  if (collector && distributor) flowPattern = "mixed";
+  else if (collector) flowPattern = "collector";
+  else if (distributor) flowPattern = "distributor";
   parts.concentration = {
     id: "concentration",
     label: "Flow concentration (fan-in/out)",
-    impact: 0,
-    details: {},
-  };
-
-  const governanceImpact = 0;
-  parts.governance = {
-    id: "governance",
-    label: "Governance / override",
-    impact: governanceImpact,
-    details: {},
+    impact: concentrationImpact,
+    details: {
+      ...flow,
+      pattern: flowPattern,
+      fanInHigh,
+      fanOutBurst,
+      // near-equal amounts to many receivers look scripted
+      evenPayouts: fanOutBurst && flow.outGini != null && flow.outGini <= T.flow_even_gini,
+    },
   };
 
-  const rawContribution =
+  // Governance: manual allow / warn / block pinned by compliance
+  // The override moves the model score just far enough to land in the pinned
+  // band (warn clamps from both sides, so it can also lower a blocking score);
+  // a direct OFAC match is never allowed through.
+  const modelContribution =
     ageImpact +
     velImpact +
     mixImpact +
     neighborImpact +
     dormantImpact +
     listsImpact +
-    governanceImpact;
+    concentrationImpact +
+    custodianImpact;
+  const modelScore = clamp(baseScore + modelContribution, ruleset.score.min, ruleset.score.max);
+
+  const override = lists.overrides?.get(`${network}:${addr}`) || null;
+  let governanceImpact = 0;
+  let governanceApplied = false;
+  if (override?.action === "block") {
+    governanceImpact = Math.max(0, ruleset.score.block_threshold - modelScore);
+    governanceApplied = true;
+  } else if (override?.action === "warn") {
+    const warnCeiling = Math.max(ruleset.score.warn_threshold, ruleset.score.block_threshold - 1);
+    governanceImpact = clamp(modelScore, ruleset.score.warn_threshold, warnCeiling) - modelScore;
+    governanceApplied = true;
+  } else if (override?.action === "allow") {
+    if (ofacHit) {
+      notes.push("Allow override ignored: direct OFAC match");
+    } else {
+      governanceImpact = Math.min(0, ruleset.governance.allow_score_cap - modelScore);
+      governanceApplied = true;
+    }
+  }
+  parts.governance = {
+    id: "governance",
+    label: "Governance / override",
+    impact: governanceImpact,
+    details: override
+      ? {
+        id: override.id,
+        action: override.action,
+        applied: governanceApplied,
+        reason: override.reason,
+        author: override.author,
+        expiresAt: override.expiresAt || null,
+        modelScore,
+      }
+      : {},
+  };
+
+  const rawContribution = modelContribution + governanceImpact;
 
-  let score = clamp(baseScore + rawContribution, 0, 100);
+  let score = clamp(modelScore + governanceImpact, ruleset.score.min, ruleset.score.max);
+
+  const confidence = confidenceFor(feats, history, lists, ruleset);
+  const inconclusive = confidence.value < ruleset.score.confidence_floor;
 
   const signals = {
     ofacHit,
-    chainabuse: false,
+    chainabuse: reports.length > 0,
     caFraud: false,
     scamPlatform: !!listDetails.scamCluster,
     mixer: !!listDetails.tornado,
-    custodian: false,
+    mixerProximity: mixerRatio,
+    custodian: custodianDirect,
+    custodianName: custodianDirect ? entity.name : null,
+    entity: entity?.name || null,
+    entityType: entity?.type || null,
+    entityCategory: entity?.category || null,
     unifiedSanctions: null,
     chainalysis: null,
     scorechain: null,
@@ -300,12 +798,16 @@ export function scoreWithLists(address, network, feats, lists) {
 
   const explain = {
     version: VERSION,
+    ruleset: ruleset.version,
+    band: bandFor(score, ruleset.bands),
     address: addr,
     network,
     baseScore,
     rawContribution,
     score,
-    confidence: 1,
+    confidence: confidence.value,
+    confidenceFactors: confidence.factors,
+    inconclusive,
     parts,
     feats,
     signals,
@@ -316,6 +818,7 @@ export function scoreWithLists(address, network, feats, lists) {
   explain.mixerLink = !!listDetails.tornado;
   explain.scamHit = !!listDetails.scamCluster;
   explain.sketchyCluster = !!listDetails.scamCluster;
+  explain.governance = governanceApplied ? parts.governance.details : null;
 
   explain.factorImpacts = [
     { id: "age", label: "Wallet age", delta: ageImpact },
@@ -344,6 +847,21 @@ export function scoreWithLists(address, network, feats, lists) {
       label: "External fraud & platform signals",
       delta: listsImpact,
     },
+    {
+      id: "concentration",
+      label: "Flow concentration (fan-in/out)",
+      delta: concentrationImpact,
+    },
+    {
+      id: "custodian",
+      label: parts.custodian.label,
+      delta: custodianImpact,
+    },
+    {
+      id: "governance",
+      label: "Governance / override",
+      delta: governanceImpact,
+    },
   ];
 
   const reasons = [];
@@ -351,13 +869,24 @@ export function scoreWithLists(address, network, feats, lists) {
   if (velImpact > 0) reasons.push("Transaction velocity & bursts");
   if (mixImpact > 0) reasons.push("Counterparty mix & concentration");
   if (neighborImpact > 0) reasons.push("Neighbor & cluster risk");
+  if (concentrationImpact > 0) reasons.push("Flow concentration (fan-in/out)");
+  if (sanctionedRatio > 0) reasons.push("Sanctioned counterparty exposure");
   if (listsImpact > 0 && ofacHit) reasons.push("OFAC / sanctions list match");
   if (listsImpact > 0 && listDetails.scamCluster && !ofacHit)
     reasons.push("Sketchy / scam cluster pattern");
   if (listsImpact > 0 && listDetails.tornado && !ofacHit)
     reasons.push("Mixer proximity pattern");
-
-  const block = !!(ofacHit || score >= 95);
+  if (mixerRatio > 0 && !listDetails.tornado) reasons.push("Mixer counterparty exposure");
+  if (listDetails.chainabuse) reasons.push("Chainabuse abuse reports");
+  if (inconclusive) reasons.push("Low confidence – result inconclusive");
+  if (governanceApplied) reasons.push(`Governance override: ${override.action} (${override.reason})`);
+
+  const governed = governanceApplied ? override.action : null;
+  const block = !!(
+    ofacHit ||
+    governed === "block" ||
+    (!governed && score >= ruleset.score.block_threshold)
+  );
   const sanctionHits = ofacHit ? 1 : 0;
 
   return {
@@ -368,6 +897,8 @@ export function scoreWithLists(address, network, feats, lists) {
     risk_factors: reasons,
     block,
     sanctionHits,
+    confidence: confidence.value,
+    inconclusive,
     feats,
     explain,
     score,
@@ -375,7 +906,14 @@ export function scoreWithLists(address, network, feats, lists) {
 }
 
 // Convenience entrypoint
-export function evaluateAddress({ address, network = "eth", txs, lists }) {
-  const feats = buildFeatures(address, txs, Date.now());
-  return scoreWithLists(address, network, feats, lists);
+export function evaluateAddress({
+  address,
+  network = "eth",
+  txs,
+  lists,
+  ruleset = DEFAULT_RULESET,
+  history = {},
+}) {
+  const feats = buildFeatures(address, txs, Date.now(), lists, network);
+  return scoreWithLists(address, network, feats, lists, ruleset, history);
 }
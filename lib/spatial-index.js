@@ -0,0 +1,133 @@
+// lib/spatial-index.js
+// Uniform-grid spatial hash used by the canvas renderer (graph-canvas.js)
+// for hit-testing and for finding what a dirty region has to redraw.
+// Items are stored by bounding box; boxes spanning more than MAX_CELLS
+// cells (long edges across the whole graph) go to a "wide" list that every
+// query checks, so one edge never fills thousands of cells.
+
+const MAX_CELLS = 64;
+
+export function createSpatialIndex(cellSize = 64) {
+  const cells = new Map();
+  const wide = [];
+  let size = 0;
+
+  const cellKey = (gx, gy) => gx * 1000003 + gy;
+  const cellOf = (v) => Math.floor(v / cellSize);
+
+  // Cells covered by a box, or null when it belongs on the wide list
+  function cellsOf(x0, y0, x1, y1) {
+    const gx0 = cellOf(Math.min(x0, x1));
+    const gx1 = cellOf(Math.max(x0, x1));
+    const gy0 = cellOf(Math.min(y0, y1));
+    const gy1 = cellOf(Math.max(y0, y1));
+    if ((gx1 - gx0 + 1) * (gy1 - gy0 + 1) > MAX_CELLS) return null;
+    const keys = [];
+    for (let gx = gx0; gx <= gx1; gx++) {
+      for (let gy = gy0; gy <= gy1; gy++) keys.push(cellKey(gx, gy));
+    }
+    return keys;
+  }
+
+  function insert(item, x0, y0, x1 = x0, y1 = y0) {
+    const keys = cellsOf(x0, y0, x1, y1);
+    size++;
+    if (!keys) {
+      wide.push(item);
+      return;
+    }
+    for (const key of keys) {
+      const bucket = cells.get(key);
+      if (bucket) bucket.push(item);
+      else cells.set(key, [item]);
+    }
+  }
+
+  // The box must be the one the item was inserted with
+  function remove(item, x0, y0, x1 = x0, y1 = y0) {
+    const keys = cellsOf(x0, y0, x1, y1);
+    const drop = (list) => {
+      const i = list.indexOf(item);
+      if (i < 0) return false;
+      list.splice(i, 1);
+      return true;
+    };
+    let found = false;
+    if (!keys) {
+      found = drop(wide);
+    } else {
+      for (const key of keys) {
+        const bucket = cells.get(key);
+        if (!bucket || !drop(bucket)) continue;
+        found = true;
+        if (!bucket.length) cells.delete(key);
+      }
+    }
+    if (found) size--;
+    return found;
+  }
+
+  // Candidates whose cells touch the rect (callers do the exact test)
+  function query(x0, y0, x1, y1) {
+    const out = new Set(wide);
+    const gx0 = cellOf(Math.min(x0, x1));
+    const gx1 = cellOf(Math.max(x0, x1));
+    const gy0 = cellOf(Math.min(y0, y1));
+    const gy1 = cellOf(Math.max(y0, y1));
+    // a huge rect (zoomed far out) is cheaper to answer by walking the map
+    if ((gx1 - gx0 + 1) * (gy1 - gy0 + 1) > cells.size) {
+      for (const [key, bucket] of cells) {
+        const gx = Math.round(key / 1000003);
+        const gy = key - gx * 1000003;
+        if (gx < gx0 || gx > gx1 || gy < gy0 || gy > gy1) continue;
+        for (const item of bucket) out.add(item);
+      }
+      return out;
+    }
+    for (let gx = gx0; gx <= gx1; gx++) {
+      for (let gy = gy0; gy <= gy1; gy++) {
+        const bucket = cells.get(cellKey(gx, gy));
+        if (bucket) for (const item of bucket) out.add(item);
+      }
+    }
+    return out;
+  }
+
+  // Closest item with distFn(item) <= maxDist, or null
+  function nearest(x, y, maxDist, distFn) {
+    let best = null;
+    let bestDist = maxDist;
+    for (const item of query(x - maxDist, y - maxDist, x + maxDist, y + maxDist)) {
+      const d = distFn(item);
+      if (d <= bestDist) {
+        best = item;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  function clear() {
+    cells.clear();
+    wide.length = 0;
+    size = 0;
+  }
+
+  return {
+    insert,
+    remove,
+    query,
+    nearest,
+    clear,
+    get size() { return size; }
+  };
+}
+
+// Distance from (px, py) to the segment (x1, y1)–(x2, y2)
+export function segmentDistance(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / len2)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
@@ -0,0 +1,193 @@
+// lib/synthetic-graph.js
+// Deterministic synthetic neighborhoods for demos, offline use and UI tests.
+//
+// Everything is derived from a seed (by default the center address), so the
+// same address always yields the same graph and the same tx history.
+// Topologies:
+//   star          – center with direct counterparties, one of them a listed mixer
+//   peel_chain    – center peels value hop by hop, cashing out at a custodian
+//   mixer_fan_in  – many depositors feed a listed mixer that pays the center
+//   exchange_hub  – center deposits to a custodian hot wallet shared with a
+//                   sanctioned counterparty
+// Planted risky nodes are real entries from data/ so list matching, entity
+// tags and the risk narrative light up exactly as they would on live data.
+
+import OFAC_LIST from '../data/ofac_list.json' with { type: 'json' };
+import CUSTODIANS from '../data/custodians.json' with { type: 'json' };
+import MIXERS from '../data/mixers.json' with { type: 'json' };
+
+export const TOPOLOGIES = ['star', 'peel_chain', 'mixer_fan_in', 'exchange_hub'];
+
+// Anchor for synthetic timestamps; pass `now` to make them wall-clock relative.
+const SYNTHETIC_EPOCH_MS = Date.UTC(2025, 10, 1);
+const DAY_MS = 86400000;
+
+/* ================== seeded PRNG ================== */
+
+// FNV-1a 32-bit
+export function seedFrom(input) {
+  const s = String(input ?? '').toLowerCase();
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32 – small, fast, good enough for layout-grade randomness
+export function createRng(seed) {
+  let a = (typeof seed === 'number' ? seed : seedFrom(seed)) >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.int = (lo, hi) => lo + Math.floor(next() * (hi - lo + 1));
+  next.pick = (arr) => arr[Math.floor(next() * arr.length)];
+  next.hex = (n) => {
+    let out = '';
+    for (let i = 0; i < n; i++) out += '0123456789abcdef'[Math.floor(next() * 16)];
+    return out;
+  };
+  return next;
+}
+
+/* ================== planted list entries ================== */
+
+function evmOnly(addresses) {
+  return addresses
+    .map(a => String(a || '').toLowerCase())
+    .filter(a => /^0x[0-9a-f]{40}$/.test(a));
+}
+
+const PLANTS = {
+  ofac: OFAC_LIST.entries
+    .flatMap(e => evmOnly([e.address]).map(address => ({ address, entity: e.entity, list: 'ofac' }))),
+  mixer: MIXERS.mixers
+    .flatMap(m => evmOnly(m.addresses).map(address => ({ address, entity: m.name, list: 'mixer' }))),
+  custodian: CUSTODIANS.custodians
+    .flatMap(c => evmOnly(c.addresses).map(address => ({ address, entity: c.name, list: 'custodian' })))
+};
+
+/* ================== neighborhoods ================== */
+
+function pickTopology(topology, seed) {
+  if (TOPOLOGIES.includes(topology)) return topology;
+  return TOPOLOGIES[seed % TOPOLOGIES.length];
+}
+
+export function syntheticNeighborhood(center, { network = 'eth', topology = 'auto', count = 12, seed } = {}) {
+  const centerId = String(center || '').toLowerCase() || '0xseed';
+  const seedValue = seedFrom(seed ?? `${network}:${centerId}`);
+  const rng = createRng(seedValue);
+  const kind = pickTopology(topology, seedValue);
+  const n = Math.max(3, Math.min(count | 0 || 12, 200));
+
+  const nodes = new Map([[centerId, { id: centerId, address: centerId, network }]]);
+  const links = [];
+
+  const addNode = (id, extra = {}) => {
+    if (!nodes.has(id)) nodes.set(id, { id, address: id, network, synthetic: true, ...extra });
+    return id;
+  };
+  const fresh = (role) => addNode(`0x${rng.hex(40)}`, { role });
+  const plant = (pool, role) => {
+    const p = rng.pick(PLANTS[pool]);
+    if (!p || p.address === centerId) return fresh(role);
+    return addNode(p.address, { role, entity: p.entity, planted: p.list });
+  };
+  // one-way a → b flows; value is proportional to weight so peel chains
+  // visibly shrink hop by hop
+  const unit = 0.05 + rng() * 0.5;
+  const link = (a, b, weight) => {
+    const txs = Math.max(1, Math.round(weight));
+    const lastSeen = SYNTHETIC_EPOCH_MS - rng.int(0, 30) * DAY_MS;
+    links.push({
+      a,
+      b,
+      weight: txs,
+      direction: 'a->b',
+      txOut: txs,
+      txIn: 0,
+      txCount: txs,
+      valueOut: Number((weight * unit).toFixed(4)),
+      valueIn: 0,
+      firstSeen: lastSeen - rng.int(1, 60) * DAY_MS,
+      lastSeen
+    });
+  };
+
+  if (kind === 'star') {
+    const mixerAt = rng.int(0, n - 1);
+    for (let i = 0; i < n; i++) {
+      const id = i === mixerAt ? plant('mixer', 'mixer') : fresh('counterparty');
+      link(centerId, id, rng.int(1, 6));
+    }
+  } else if (kind === 'peel_chain') {
+    // each hop forwards most of the value and peels a small output off
+    const hops = Math.max(2, Math.ceil(n / 2));
+    let prev = centerId;
+    let value = 100;
+    for (let i = 0; i < hops; i++) {
+      const next = i === hops - 1 ? plant('custodian', 'cash_out') : fresh('peel_hop');
+      link(prev, next, value);
+      if (i < hops - 1) link(next, fresh('peel_output'), Math.max(1, value * 0.1));
+      value *= 0.85;
+      prev = next;
+    }
+  } else if (kind === 'mixer_fan_in') {
+    const mixer = plant('mixer', 'mixer');
+    link(mixer, centerId, n);
+    const sanctionedAt = rng.int(0, n - 2);
+    for (let i = 0; i < n - 1; i++) {
+      const id = i === sanctionedAt ? plant('ofac', 'depositor') : fresh('depositor');
+      link(id, mixer, rng.int(1, 3));
+    }
+  } else {
+    const hub = plant('custodian', 'exchange');
+    link(centerId, hub, rng.int(4, 10));
+    const sanctionedAt = rng.int(0, n - 2);
+    for (let i = 0; i < n - 1; i++) {
+      const id = i === sanctionedAt ? plant('ofac', 'hub_client') : fresh('hub_client');
+      link(id, hub, rng.int(1, 8));
+      // a few clients also trade with the center directly
+      if (rng() < 0.25) link(centerId, id, 1);
+    }
+  }
+
+  return { nodes: [...nodes.values()], links, synthetic: true, topology: kind };
+}
+
+/* ================== tx history ================== */
+
+// Txs between the center and its synthetic one-hop counterparties, spread
+// over ~90 days before `now`. Amounts are in wei (decimal strings).
+export function syntheticTxs(address, { network = 'eth', topology = 'auto', limit = 20, now = SYNTHETIC_EPOCH_MS, seed } = {}) {
+  const center = String(address || '').toLowerCase();
+  if (!center) return [];
+
+  const { links } = syntheticNeighborhood(center, { network, topology, seed });
+  const direct = links.filter(L => L.a === center || L.b === center);
+  const rng = createRng(seedFrom(`${seed ?? `${network}:${center}`}:txs`));
+  const n = Math.max(3, Math.min(limit | 0 || 20, 200));
+  const start = now - 90 * DAY_MS;
+
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const L = direct[i % direct.length];
+    const t = start + Math.floor(((i + rng()) / n) * 90 * DAY_MS);
+    const wei = BigInt(rng.int(1, 1000)) * 10n ** 15n * BigInt(L.weight);
+    out.push({
+      hash: `0x${rng.hex(64)}`,
+      from: L.a,
+      to: L.b,
+      value: wei.toString(),
+      metadata: { blockTimestamp: new Date(t).toISOString() },
+      timestamp: Math.floor(t / 1000)
+    });
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { ADMIN_HEADERS, addr, call, fakeKV, post, stubExplorer } from "./helpers.js";
+
+// data/ofac_list.json: Blender.io, listed_on 2022-05-06
+const BLENDER = "0x1356c5cdb6b3cc46bf0ba5d1b6e3faaf8afd24f9";
+const A = addr(51);
+const B = addr(52);
+
+// transfers on 2021-06-01, 2022-06-01 and 2023-06-01
+const dated = (address) =>
+  ["2021-06-01", "2022-06-01", "2023-06-01"].map((day, i) => ({
+    blockNumber: String(1000 + i),
+    timeStamp: String(Date.parse(`${day}T00:00:00Z`) / 1000),
+    hash: `0x${address.slice(2, 10)}${String(i).padStart(56, "0")}`,
+    from: B,
+    to: address,
+    value: "1000000000000000000",
+  }));
+
+const env = (extra = {}) => ({ ETHERSCAN_API_KEY: "k", TX_CACHE: "off", ...extra });
+const score = async (address, asOf, e = env()) =>
+  (await call(`/score?address=${address}&asOf=${asOf}&balance=0`, e)).json();
+
+test("history is truncated at the asOf date", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+
+  const then = await score(A, "2022-12-31");
+  assert.equal(then.txConsidered, 2);
+  assert.equal(then.asOf.iso, "2022-12-31T00:00:00.000Z");
+  assert.equal((await score(A, "2021-12-31")).txConsidered, 1);
+});
+
+test("dated list entries only count once they were listed", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+
+  const before = await score(BLENDER, "2022-01-01");
+  assert.equal(before.sanctionHits, 0);
+  assert.equal(before.block, false);
+
+  const after = await score(BLENDER, "2023-01-01");
+  assert.equal(after.sanctionHits, 1);
+  assert.equal(after.block, true);
+});
+
+test("the response names the list sources that could not be time-filtered", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+
+  const { asOf } = await score(A, "2023-01-01", env({ OFAC_SET: B }));
+  assert.ok(asOf.lists.timeFiltered.includes("ofac_list"));
+  assert.ok(asOf.lists.timeFiltered.includes("chainabuse"));
+  assert.ok(asOf.lists.notTimeFiltered.includes("OFAC_SET"));
+  assert.ok(!asOf.lists.notTimeFiltered.includes("TORNADO_SET"));
+});
+
+test("Chainabuse reports filed after asOf are ignored", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+  const reports = fakeKV();
+  await reports.put(`reports:eth:${A}`, JSON.stringify([{ category: "phishing", reportedAt: "2023-03-01T00:00:00Z", count: 3 }]));
+  const e = env({ CHAINABUSE: reports });
+
+  assert.equal((await score(A, "2023-01-01", e)).explain.parts.lists.details.chainabuse, undefined);
+  assert.equal((await score(A, "2023-06-01", e)).explain.parts.lists.details.chainabuse.reports, 3);
+});
+
+test("overrides created after asOf do not apply", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+  const e = env({ ADMIN_TOKEN: "admin-secret", GOVERNANCE: fakeKV() });
+  const created = await post("/admin/overrides", e, { address: A, action: "block", reason: "case 7", author: "analyst" }, ADMIN_HEADERS);
+  assert.equal(created.status, 201);
+
+  assert.equal((await score(A, "2023-01-01", e)).explain.governance, null);
+  const now = await (await call(`/score?address=${A}&balance=0`, e)).json();
+  assert.equal(now.block, true);
+});
+
+test("invalid or future asOf values are rejected", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+
+  for (const asOf of ["yesterday", "2999-01-01"]) {
+    const resp = await call(`/score?address=${A}&asOf=${asOf}`, env());
+    assert.equal(resp.status, 400, asOf);
+  }
+});
+
+test("fixture mode resolves block asOf from the bundled fixtures", async (t) => {
+  const upstream = stubExplorer(dated);
+  t.after(upstream.restore);
+  const e = { TX_PROVIDER_MODE: "fixture" };
+  const fixtureWallet = "0x1111111111111111111111111111111111111111";
+
+  const resolved = await score(fixtureWallet, "18100000", e);
+  assert.equal(resolved.asOf.block, 18100000);
+  assert.equal(resolved.asOf.iso, "2023-09-15T00:00:00.000Z");
+  assert.equal(resolved.txConsidered, 2);
+
+  const unknown = await call(`/score?address=${fixtureWallet}&asOf=5`, e);
+  assert.equal(unknown.status, 400);
+  assert.equal(upstream.calls, 0);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_RULESET, buildFeatures, scoreWithLists } from "../lib/risk-model.js";
+import { ADMIN_HEADERS as ADMIN, addr, call, fakeKV, post, stubExplorer, transfers } from "./helpers.js";
+
+const { warn_threshold: WARN, block_threshold: BLOCK } = DEFAULT_RULESET.score;
+const A = addr(11);
+const B = addr(12);
+
+const pinned = (action) => ({ get: () => ({ action, reason: "compliance review" }) });
+const feats = buildFeatures(A, [], Date.parse("2024-06-01T00:00:00Z"));
+
+function governed(action, lists = {}) {
+  return scoreWithLists(A, "eth", feats, { ...lists, overrides: pinned(action) });
+}
+
+test("a warn override lifts a low score into the warn band", () => {
+  const res = governed("warn");
+  assert.equal(res.score, WARN);
+  assert.equal(res.block, false);
+});
+
+test("a warn override pulls a blocking score down below the block threshold", () => {
+  const res = governed("warn", { scamSet: new Set([A]), tornadoSet: new Set([A]) });
+  assert.equal(res.explain.governance.modelScore >= BLOCK, true);
+  assert.equal(res.score, BLOCK - 1);
+  assert.equal(res.block, false);
+});
+
+test("a warn override never clears an OFAC block", () => {
+  const res = governed("warn", { ofacSet: new Set([A]) });
+  assert.equal(res.score, BLOCK - 1);
+  assert.equal(res.block, true);
+});
+
+test("block raises the score to the block threshold; allow caps it", () => {
+  assert.equal(governed("block").score, BLOCK);
+  assert.equal(governed("block").block, true);
+  const allowed = governed("allow", { scamSet: new Set([A]) });
+  assert.equal(allowed.score, DEFAULT_RULESET.governance.allow_score_cap);
+});
+
+test("an allow override is ignored on a direct OFAC match", () => {
+  const res = governed("allow", { ofacSet: new Set([A]) });
+  assert.equal(res.block, true);
+  assert.equal(res.explain.governance, null);
+});
+
+test("admin routes need the bearer token", async () => {
+  const env = { ADMIN_TOKEN: "admin-secret", GOVERNANCE: fakeKV() };
+  assert.equal((await call("/admin/audit", env)).status, 401);
+  assert.equal((await call("/admin/audit", { GOVERNANCE: fakeKV() })).status, 403);
+});
+
+for (const [name, kv] of [["KV", () => fakeKV()], ["memory", () => undefined]]) {
+  test(`overrides and decisions land in the audit log (${name} store)`, async (t) => {
+    const upstream = stubExplorer((address) => transfers(address, 3));
+    t.after(upstream.restore);
+    const env = { ADMIN_TOKEN: "admin-secret", GOVERNANCE: kv(), ETHERSCAN_API_KEY: "k", TX_CACHE: "off" };
+
+    const created = await post(
+      "/admin/overrides",
+      env,
+      { address: A, action: "block", reason: "<img src=x onerror=alert(1)>", author: "analyst" },
+      ADMIN
+    );
+    assert.equal(created.status, 201);
+    const { override } = await created.json();
+
+    const scored = await (await call(`/score?address=${A}`, env)).json();
+    assert.equal(scored.block, true);
+    assert.ok(scored.reasons.includes(`Governance override: block (${override.reason})`));
+
+    // audit keys carry a millisecond timestamp; keep the two entries apart
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const checked = await (await post("/check-transfer", env, { sender: B, recipient: A })).json();
+    assert.equal(checked.decision, "block");
+
+    const latest = await (await call("/admin/audit?limit=1", env, { headers: ADMIN })).json();
+    assert.equal(latest.count, 1);
+    assert.equal(latest.entries[0].type, "transfer.check");
+    assert.equal(latest.entries[0].id, checked.decisionId);
+
+    const clamped = await (await call("/admin/audit?limit=-5", env, { headers: ADMIN })).json();
+    assert.equal(clamped.count, 1);
+    assert.equal(clamped.entries[0].id, checked.decisionId);
+
+    const all = await (await call("/admin/audit", env, { headers: ADMIN })).json();
+    const types = all.entries.map((e) => e.type);
+    assert.ok(types.indexOf("transfer.check") < types.indexOf("override.create"), types.join(", "));
+
+    const one = await call(`/admin/audit?id=${checked.decisionId}`, env, { headers: ADMIN });
+    assert.equal(one.status, 200);
+    assert.equal((await one.json()).entries[0].recipient, A);
+    assert.equal((await call("/admin/audit?id=dec_missing", env, { headers: ADMIN })).status, 404);
+  });
+}
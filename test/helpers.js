@@ -0,0 +1,84 @@
+// test/helpers.js
+// Fakes shared by the worker tests: an in-memory KV namespace, a fetch stub
+// that answers like the Etherscan-family explorer, and a ctx for the fetch
+// handler. Run the suite with `node --test` from the repository root.
+
+import worker from "../workers/server.worker.js";
+
+export const ctx = { waitUntil() {} };
+
+// matches the ADMIN_TOKEN the tests configure
+export const ADMIN_HEADERS = { authorization: "Bearer admin-secret" };
+
+export const addr = (n) => `0x${String(n).padStart(40, "0")}`;
+
+// get / put / delete / list over a Map (list honours prefix and limit)
+export function fakeKV() {
+  const mem = new Map();
+  return {
+    mem,
+    get: async (key, type) => {
+      const raw = mem.get(key);
+      if (raw == null) return null;
+      return type === "json" ? JSON.parse(raw) : raw;
+    },
+    put: async (key, value) => {
+      mem.set(key, String(value));
+    },
+    delete: async (key) => {
+      mem.delete(key);
+    },
+    list: async ({ prefix = "", limit = 1000 } = {}) => {
+      if (limit < 1 || limit > 1000) throw new Error(`invalid list limit ${limit}`);
+      const names = [...mem.keys()].filter((k) => k.startsWith(prefix)).sort();
+      return { keys: names.slice(0, limit).map((name) => ({ name })), list_complete: names.length <= limit };
+    },
+  };
+}
+
+// One outgoing external transfer per second of `count`, for history stubs
+export function transfers(from, count, { startSec = 1600000000, to = (i) => addr(`9${i}`) } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    blockNumber: String(1000 + i),
+    timeStamp: String(startSec + i * 86400),
+    hash: `0x${from.slice(2, 10)}${String(i).padStart(56, "0")}`,
+    from,
+    to: to(i),
+    value: "1000000000000000000",
+  }));
+}
+
+// Replaces global fetch with an explorer stub. historyFor(address, params)
+// returns the txlist rows; every other account action answers empty.
+// Returns { calls, requests, restore }.
+export function stubExplorer(historyFor = () => []) {
+  const real = globalThis.fetch;
+  const state = { calls: 0, requests: [] };
+  globalThis.fetch = async (input) => {
+    state.calls++;
+    const params = new URL(String(input)).searchParams;
+    state.requests.push(params);
+    const action = params.get("action");
+    if (action === "balance") return Response.json({ status: "1", message: "OK", result: "0" });
+    const rows = action === "txlist" ? historyFor(params.get("address"), params) : [];
+    return rows.length
+      ? Response.json({ status: "1", message: "OK", result: rows })
+      : Response.json({ status: "0", message: "No transactions found", result: [] });
+  };
+  state.restore = () => {
+    globalThis.fetch = real;
+  };
+  return state;
+}
+
+export function call(path, env, init, context = ctx) {
+  return worker.fetch(new Request(`https://worker.test${path}`, init), env, context);
+}
+
+export function post(path, env, body, headers = {}) {
+  return call(path, env, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { addr, call, stubExplorer } from "./helpers.js";
+
+// every address sends to 30 counterparties of its own, so a deep crawl
+// always has more neighbors to expand than the budget allows
+const fanOut = (address) =>
+  Array.from({ length: 30 }, (_, i) => ({
+    blockNumber: String(100 + i),
+    timeStamp: String(1600000000 + i),
+    hash: `0x${address.slice(2, 12)}${String(i).padStart(54, "0")}`,
+    from: address,
+    to: `0x${address.slice(2, 30)}${String(i).padStart(12, "0")}`,
+    value: "1000",
+  }));
+
+const env = (extra = {}) => ({ ETHERSCAN_API_KEY: "k", TX_CACHE: "off", ...extra });
+const crawl = async (query, e) => (await call(`/neighbors?address=${addr("a1")}&${query}`, e)).json();
+
+test("a one-hop crawl pulls only the center and is not capped", async (t) => {
+  const upstream = stubExplorer(fanOut);
+  t.after(upstream.restore);
+
+  const graph = await crawl("hop=1", env());
+  assert.equal(graph.nodes.length, 31);
+  assert.equal(graph.subrequestCapped, false);
+  assert.equal(graph.subrequests, upstream.calls);
+});
+
+test("a deep crawl stays within the default subrequest budget", async (t) => {
+  const upstream = stubExplorer(fanOut);
+  t.after(upstream.restore);
+
+  const graph = await crawl("hop=3", env());
+  assert.ok(upstream.calls <= 40, `${upstream.calls} upstream calls`);
+  assert.equal(graph.subrequests, upstream.calls);
+  assert.equal(graph.subrequestCapped, true);
+  assert.equal(graph.truncated, true);
+  assert.ok(graph.expanded > 1);
+});
+
+test("CRAWL_MAX_SUBREQUESTS lowers the budget", async (t) => {
+  const upstream = stubExplorer(fanOut);
+  t.after(upstream.restore);
+
+  const graph = await crawl("hop=3", env({ CRAWL_MAX_SUBREQUESTS: "12" }));
+  assert.ok(upstream.calls <= 12, `${upstream.calls} upstream calls`);
+  assert.equal(graph.subrequestCapped, true);
+});
+
+test("neighbor histories are pulled newest first", async (t) => {
+  const upstream = stubExplorer(fanOut);
+  t.after(upstream.restore);
+
+  await crawl("hop=2", env());
+  const center = addr("a1");
+  const neighborPulls = upstream.requests.filter((p) => p.get("address") !== center);
+  assert.ok(neighborPulls.length > 0);
+  assert.ok(neighborPulls.every((p) => p.get("sort") === "desc"));
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { memoryLimitStore } from "../workers/server.worker.js";
+import { addr, call, post, stubExplorer, transfers } from "./helpers.js";
+
+const keys = (grant) => JSON.stringify({ "key-1": { name: "tests", ...grant } });
+const KEY = { "x-api-key": "key-1" };
+
+function env(grant, extra = {}) {
+  return { API_KEYS: keys(grant), API_LIMITS_STORE: memoryLimitStore(), ETHERSCAN_API_KEY: "k", TX_CACHE: "off", ...extra };
+}
+
+test("memoryLimitStore counts by the given step and resets after the window", async () => {
+  const store = memoryLimitStore();
+  assert.equal(await store.incr("k", 0.02), 1);
+  assert.equal(await store.incr("k", 0.02, 3), 4);
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(await store.incr("k", 0.02, 2), 2);
+});
+
+test("memoryLimitStore evicts the oldest counter past its size cap", async () => {
+  const mem = new Map();
+  const store = memoryLimitStore(mem, 2);
+  await store.incr("a", 60);
+  await store.incr("b", 60);
+  await store.incr("c", 60);
+  assert.deepEqual([...mem.keys()], ["b", "c"]);
+});
+
+test("requests without a valid key, route or origin are refused", async (t) => {
+  const upstream = stubExplorer();
+  t.after(upstream.restore);
+  const e = env({ routes: ["/txs"], origins: ["https://vision.example"] });
+
+  assert.equal((await call(`/txs?address=${addr(31)}`, e)).status, 401);
+  assert.equal((await call(`/score?address=${addr(31)}`, e, { headers: KEY })).status, 403);
+  const foreign = { headers: { ...KEY, origin: "https://elsewhere.example" } };
+  assert.equal((await call(`/txs?address=${addr(31)}`, e, foreign)).status, 403);
+
+  const ok = await call(`/txs?address=${addr(31)}`, e, { headers: { ...KEY, origin: "https://vision.example" } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get("access-control-allow-origin"), "https://vision.example");
+});
+
+test("a batch is charged one unit per item", async (t) => {
+  const upstream = stubExplorer((address) => transfers(address, 1));
+  t.after(upstream.restore);
+  const e = env({ rate_per_min: 5 });
+  const batch = (n) => ({ items: Array.from({ length: n }, (_, i) => addr(40 + i)) });
+
+  const first = await post("/score/batch", e, batch(3), KEY);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-ratelimit-cost"), "3");
+  assert.equal(first.headers.get("x-ratelimit-remaining"), "2");
+  assert.equal((await first.json()).results.length, 3);
+
+  const second = await post("/score/batch", e, batch(3), KEY);
+  assert.equal(second.status, 429);
+  assert.ok(Number(second.headers.get("retry-after")) > 0);
+  const body = await second.json();
+  assert.equal(body.window, "minute");
+  assert.equal(body.cost, 3);
+});
+
+test("the daily quota is checked after the per-minute rate", async (t) => {
+  const upstream = stubExplorer();
+  t.after(upstream.restore);
+  const e = env({ rate_per_min: 100, daily_quota: 2 });
+
+  assert.equal((await call(`/txs?address=${addr(32)}`, e, { headers: KEY })).status, 200);
+  assert.equal((await call(`/txs?address=${addr(32)}`, e, { headers: KEY })).status, 200);
+  const over = await call(`/txs?address=${addr(32)}`, e, { headers: KEY });
+  assert.equal(over.status, 429);
+  assert.equal((await over.json()).window, "day");
+});
+
+test("/neighbors is charged for the histories its crawl may pull", async (t) => {
+  const upstream = stubExplorer();
+  t.after(upstream.restore);
+  const e = env({ rate_per_min: 1000 });
+
+  const one = await call(`/neighbors?address=${addr(33)}&hop=1`, e, { headers: KEY });
+  assert.equal(one.headers.get("x-ratelimit-cost"), "1");
+  const deep = await call(`/neighbors?address=${addr(33)}&hop=2&fanout=5`, e, { headers: KEY });
+  assert.equal(deep.headers.get("x-ratelimit-cost"), "6");
+});
+
+test("a failing counter store lets the request through and says so", async (t) => {
+  const upstream = stubExplorer();
+  t.after(upstream.restore);
+  const broken = { incr: async () => { throw new Error("store down"); } };
+  const e = env({ rate_per_min: 1 }, { API_LIMITS_STORE: broken });
+
+  for (let i = 0; i < 3; i++) {
+    const resp = await call(`/txs?address=${addr(34)}`, e, { headers: KEY });
+    assert.equal(resp.status, 200);
+    assert.equal(resp.headers.get("x-ratelimit-warning"), "limit counters unavailable");
+    assert.equal(resp.headers.get("x-ratelimit-remaining"), null);
+  }
+});
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_RULESET,
+  buildFeatures,
+  loadRuleset,
+  scoreWithLists,
+  validateRuleset,
+} from "../lib/risk-model.js";
+import { addr, call, stubExplorer } from "./helpers.js";
+
+const A = addr(1);
+const B = addr(2);
+const NOW = Date.parse("2024-06-01T00:00:00Z");
+const DAY = 86400000;
+
+const tx = (daysAgo, from, to, extra = {}) => ({
+  timeStamp: NOW - daysAgo * DAY,
+  blockNumber: 1000 - daysAgo,
+  hash: `0x${daysAgo}`,
+  from,
+  to,
+  category: "external",
+  asset: "ETH",
+  contract: null,
+  decimals: 18,
+  value: "1000000000000000000",
+  amount: 1,
+  ...extra,
+});
+
+test("buildFeatures measures age and activity from the history", () => {
+  const feats = buildFeatures(A, [tx(400, B, A), tx(10, A, B), tx(5, A, B)], NOW);
+  assert.equal(feats.ageDays, 400);
+  assert.equal(feats.txCount, 3);
+  assert.equal(feats.uniqueCounterparties, 1);
+  assert.equal(feats.tokenTransferCount, 0);
+});
+
+test("buildFeatures returns zeroed features for an empty history", () => {
+  const feats = buildFeatures(A, [], NOW);
+  assert.equal(feats.ageDays, 0);
+  assert.equal(feats.txCount, 0);
+  assert.equal(feats.firstSeenMs, null);
+});
+
+test("scoreWithLists keeps an old, quiet wallet under the warn threshold", () => {
+  const feats = buildFeatures(A, [tx(900, B, A), tx(300, A, B)], NOW);
+  const res = scoreWithLists(A, "eth", feats, {});
+  assert.equal(res.block, false);
+  assert.ok(res.score < DEFAULT_RULESET.score.warn_threshold, `score ${res.score}`);
+});
+
+test("scoreWithLists blocks a direct OFAC match", () => {
+  const feats = buildFeatures(A, [tx(900, B, A)], NOW);
+  const res = scoreWithLists(A, "eth", feats, { ofacSet: new Set([A]) });
+  assert.equal(res.block, true);
+  assert.equal(res.sanctionHits, 1);
+  assert.ok(res.reasons.includes("OFAC / sanctions list match"));
+});
+
+test("scoreWithLists skips the custodian dampener on a list hit", () => {
+  const feats = { ...buildFeatures(A, [tx(900, B, A)], NOW), custodianExposure: 1 };
+  const clean = scoreWithLists(A, "eth", feats, {});
+  const listed = scoreWithLists(A, "eth", feats, { scamSet: new Set([A]) });
+  assert.ok(clean.explain.parts.custodian.impact < 0);
+  assert.equal(listed.explain.parts.custodian.impact, 0);
+});
+
+test("validateRuleset accepts the bundled ruleset", () => {
+  assert.deepEqual(validateRuleset(DEFAULT_RULESET), []);
+});
+
+test("validateRuleset names missing and mistyped keys", () => {
+  const { thresholds, ...rest } = DEFAULT_RULESET;
+  const doc = { ...rest, weights: { ...DEFAULT_RULESET.weights, ofac_direct: "100" } };
+  const errors = validateRuleset(doc);
+  assert.ok(errors.includes("thresholds is required"), errors.join("; "));
+  assert.ok(errors.includes("weights.ofac_direct must be a number"), errors.join("; "));
+  assert.deepEqual(validateRuleset([]), ["ruleset must be an object"]);
+});
+
+test("validateRuleset checks band ranges", () => {
+  const doc = { ...DEFAULT_RULESET, bands: { ...DEFAULT_RULESET.bands, low: [40, 10] } };
+  assert.ok(validateRuleset(doc).includes("bands.low must be [lo, hi]"));
+});
+
+test("loadRuleset throws with the version and every problem", () => {
+  assert.throws(
+    () => loadRuleset({ ...DEFAULT_RULESET, version: "broken-1", score: {} }),
+    /Invalid ruleset broken-1: score\.min is required/
+  );
+});
+
+test("a malformed RULESET_JSON fails the scoring routes only", async (t) => {
+  const upstream = stubExplorer(() => []);
+  t.after(upstream.restore);
+  const env = { RULESET_JSON: JSON.stringify({ version: "broken-1" }), ETHERSCAN_API_KEY: "k", TX_CACHE: "off" };
+
+  const scored = await call(`/score?address=${A}`, env);
+  assert.equal(scored.status, 500);
+  assert.match((await scored.json()).error, /Invalid ruleset broken-1/);
+
+  const txs = await call(`/txs?address=${A}`, env);
+  assert.equal(txs.status, 200);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { memoryCacheBackend } from "../workers/server.worker.js";
+import { addr, call, fakeKV, stubExplorer, transfers } from "./helpers.js";
+
+const env = (extra = {}) => ({ ETHERSCAN_API_KEY: "k", TX_CACHE: memoryCacheBackend(), ...extra });
+const history = async (address, e, context) =>
+  (await call(`/tx-debug?address=${address}`, e, undefined, context)).json();
+
+test("a second read inside the TTL is a hit with no upstream calls", async (t) => {
+  const upstream = stubExplorer((address) => transfers(address, 2));
+  t.after(upstream.restore);
+  const e = env();
+
+  const first = await history(addr(21), e);
+  assert.equal(first.cache.status, "miss");
+  assert.ok(first.subrequests > 0);
+  const pulled = upstream.calls;
+
+  const second = await history(addr(21), e);
+  assert.equal(second.cache.status, "hit");
+  assert.equal(second.subrequests, 0);
+  assert.equal(second.txs.length, 2);
+  assert.equal(upstream.calls, pulled);
+});
+
+test("past the TTL the cached history is served stale and refreshed in the background", async (t) => {
+  let rows = 2;
+  const upstream = stubExplorer((address) => transfers(address, rows));
+  t.after(upstream.restore);
+  const e = env({ TX_CACHE_TTL: "0", TX_CACHE_SWR: "300" });
+
+  await history(addr(22), e);
+  const pulled = upstream.calls;
+  rows = 3;
+
+  const background = [];
+  const stale = await history(addr(22), e, { waitUntil: (p) => background.push(p) });
+  assert.equal(stale.cache.status, "stale");
+  assert.equal(stale.txs.length, 2);
+  assert.equal(background.length, 1);
+  await Promise.all(background);
+  assert.ok(upstream.calls > pulled);
+
+  const refreshed = await history(addr(22), e);
+  assert.equal(refreshed.txs.length, 3);
+});
+
+test("concurrent reads of one address share a single upstream pull", async (t) => {
+  const upstream = stubExplorer((address) => transfers(address, 2));
+  t.after(upstream.restore);
+  const e = env();
+
+  const solo = await history(addr(23), env());
+  const onePull = upstream.calls;
+  assert.equal(solo.cache.status, "miss");
+
+  const results = await Promise.all([history(addr(24), e), history(addr(24), e)]);
+  assert.deepEqual(results.map((r) => r.cache.status).sort(), ["coalesced", "miss"]);
+  assert.equal(upstream.calls, onePull * 2);
+  // only the request that pulled is charged for it
+  assert.equal(results.reduce((n, r) => n + r.subrequests, 0), solo.subrequests);
+});
+
+test("record mode bypasses the cache so every read is recorded", async (t) => {
+  const upstream = stubExplorer((address) => transfers(address, 2));
+  t.after(upstream.restore);
+  const backend = memoryCacheBackend();
+  const fixtures = fakeKV();
+
+  const live = await history(addr(25), env({ TX_CACHE: backend }));
+  assert.equal(live.cache.status, "miss");
+
+  const recorded = await history(addr(25), env({ TX_CACHE: backend, TX_PROVIDER_MODE: "record", TX_FIXTURES: fixtures }));
+  assert.equal(recorded.cache.status, "bypass");
+  assert.equal(recorded.recorded, true);
+  assert.ok(fixtures.mem.has(`v1:history:eth:${addr(25)}`));
+});
@@ -21,6 +21,7 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
           <div class="label">
             <div class="score-text">0</div>
             <div class="score-sub">Moderate</div>
+            <div class="score-conf" hidden></div>
           </div>
         </div>
         <div class="reasons"></div>
@@ -30,6 +31,7 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
     const arcEl      = root.querySelector('.arc');
     const scoreText  = root.querySelector('.score-text');
     const scoreSub   = root.querySelector('.score-sub');
+    const confEl     = root.querySelector('.score-conf');
     const reasonsEl  = root.querySelector('.reasons');
     const panelEl    = root.querySelector('.score-panel');
     const CIRC       = 2 * Math.PI * 45; // circle length for r=45
@@ -51,6 +53,17 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
       else panelEl.classList.remove('blocked');
     }
 
+    // Inconclusive results keep their number but read as provisional:
+    // faded arc on a dashed track plus an explicit confidence line.
+    function setConfidence(confidence, inconclusive) {
+      const known = typeof confidence === 'number';
+      confEl.hidden = !known;
+      confEl.textContent = known
+        ? (inconclusive ? 'Inconclusive · ' : '') + `confidence ${Math.round(confidence * 100)}%`
+        : '';
+      panelEl.classList.toggle('low-confidence', !!inconclusive);
+    }
+
     function setReasons(breakdown) {
       reasonsEl.innerHTML = '';
       if (!Array.isArray(breakdown) || !breakdown.length) {
@@ -63,10 +76,13 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
         const delta = typeof item.delta === 'number'
           ? (item.delta > 0 ? `+${item.delta}` : String(item.delta))
           : '0';
-        div.innerHTML = `
-          <span>${item.label}</span>
-          <span class="val">${delta}</span>
-        `;
+        // labels can carry admin free text (override reasons): text nodes only
+        const label = document.createElement('span');
+        label.textContent = String(item.label ?? item);
+        const val = document.createElement('span');
+        val.className = 'val';
+        val.textContent = delta;
+        div.append(label, val);
         reasonsEl.appendChild(div);
       });
     }
@@ -93,6 +109,7 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
       setScore(score);
       scoreSub.textContent = band;
       setBlocked(blocked);
+      setConfidence(res.confidence ?? res.explain?.confidence, res.inconclusive ?? res.explain?.inconclusive);
       setReasons(res.breakdown || res.reasons || res.risk_factors || []);
 
       // Sync ring color to the shared palette
@@ -104,7 +121,7 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
       return Number(scoreText.textContent) || 0;
     }
 
-    return { setScore, setBlocked, setReasons, setSummary, getScore };
+    return { setScore, setBlocked, setConfidence, setReasons, setSummary, getScore };
   }
 
   // Public factory
@@ -114,7 +131,7 @@ import { colorForScore, bandForScore } from '../lib/risk-colors.js';
       : selector;
     if (!el) {
       return {
-        setScore() {}, setBlocked() {}, setReasons() {},
+        setScore() {}, setBlocked() {}, setConfidence() {}, setReasons() {},
         setSummary() {}, getScore() { return 0; }
       };
     }
@@ -1 +1,306 @@
+// workers/chainabuse.worker.js
+// RiskXLabs Vision – Chainabuse report ingestion worker
+//
+// Pulls abuse-report exports, normalizes every row to
+//   { address, network, category, reportedAt, count }
+// and stores the result where workers/server.worker.js reads it, sharded per
+// address in the CHAINABUSE KV:
+//   reports:<network>:<address>  → [report]   (that address's reports)
+//   meta                         → { last_updated, source, addresses, reports }
+// so neither side ever reads or rewrites the whole report set.
+//
+// Endpoints:
+//   POST /ingest                  (body: JSON or CSV export, e.g. curl --data-binary @export.csv)
+//   POST /ingest?source=endpoint  (pull CHAINABUSE_ENDPOINT now)
+//   GET  /reports?address=0x...[&network=eth]
+//   GET  /status
+//
+// Cron trigger: scheduled() pulls CHAINABUSE_ENDPOINT.
+//
+// Uses:
+//   CHAINABUSE          (KV – normalized report store)
+//   CHAINABUSE_ENDPOINT (optional – export URL returning JSON or CSV)
+//   CHAINABUSE_API_KEY  (Secret – sent as basic auth to CHAINABUSE_ENDPOINT)
+//   INGEST_TOKEN        (Secret – bearer token required for POST /ingest)
 
+import BUNDLED from "../data/chainabuse.json" with { type: "json" };
+
+const SHARD_PREFIX = "reports:";
+const META_KEY = "meta";
+
+/* ========= Utilities ========= */
+
+const json = (obj, status = 200) =>
+  new Response(JSON.stringify(obj, null, 2), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "access-control-allow-origin": "*",
+    },
+  });
+
+const badRequest = (msg) => json({ ok: false, error: msg }, 400);
+
+/* ========= Parsing ========= */
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, CRLF or LF rows
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter((r) => r.some((c) => c.trim()));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return body.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+// Export column names vary between the UI download, the API and hand-made
+// files; match case- and punctuation-insensitively.
+const FIELD_ALIASES = {
+  address: ["address", "reportedaddress", "walletaddress"],
+  network: ["chain", "network", "blockchain"],
+  category: ["scamcategory", "category", "type"],
+  reportedAt: ["createdat", "reportedat", "date", "reportdate", "created"],
+  count: ["count", "reportcount", "reports"],
+};
+
+const NETWORK_ALIASES = {
+  eth: "eth",
+  ethereum: "eth",
+  polygon: "polygon",
+  matic: "polygon",
+  arbitrum: "arbitrum",
+  arb: "arbitrum",
+  bitcoin: "btc",
+  btc: "btc",
+};
+
+function pick(row, field) {
+  const wanted = FIELD_ALIASES[field];
+  for (const [key, value] of Object.entries(row)) {
+    if (wanted.includes(key.toLowerCase().replace(/[^a-z]/g, ""))) return value;
+  }
+  return undefined;
+}
+
+function normalizeCategory(raw) {
+  const s = String(raw || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_");
+  return s.replace(/^_+|_+$/g, "") || "other";
+}
+
+// One export row → zero or more normalized reports. API-style rows carry
+// an addresses array ([{ address, chain }]); flat rows carry one address.
+function rowReports(row, defaultNetwork) {
+  const category = normalizeCategory(pick(row, "category"));
+  const ts = Date.parse(pick(row, "reportedAt") || "");
+  if (!Number.isFinite(ts)) return [];
+  const reportedAt = new Date(ts).toISOString().slice(0, 10);
+  const count = Math.max(1, Math.floor(Number(pick(row, "count")) || 1));
+
+  const targets = Array.isArray(row.addresses)
+    ? row.addresses.map((a) => (typeof a === "string" ? { address: a } : a))
+    : [{ address: pick(row, "address"), chain: pick(row, "network") }];
+
+  const out = [];
+  for (const t of targets) {
+    let address = String(t?.address || "").trim();
+    if (!address) continue;
+    if (address.startsWith("0x")) address = address.toLowerCase();
+    const rawNetwork = String(t.chain || t.network || defaultNetwork || "").toLowerCase();
+    const network = NETWORK_ALIASES[rawNetwork] || rawNetwork || "eth";
+    out.push({ address, network, category, reportedAt, count });
+  }
+  return out;
+}
+
+function reportKey(r) {
+  return `${r.network}|${r.address}|${r.category}|${r.reportedAt}`;
+}
+
+// Raw export (CSV text, JSON array, { reports | data | items }) → normalized
+// reports, one row per address / category / day with the reports summed.
+export function normalizeReports(raw, { network } = {}) {
+  let rows = raw;
+  if (typeof rows === "string") {
+    const text = rows.trim();
+    rows = text.startsWith("[") || text.startsWith("{") ? JSON.parse(text) : parseCsv(text);
+  }
+  if (rows && !Array.isArray(rows)) rows = rows.reports || rows.data || rows.items || [];
+  if (!Array.isArray(rows)) throw new Error("Unrecognized report export");
+
+  const merged = new Map();
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+    for (const r of rowReports(row, network)) {
+      const key = reportKey(r);
+      const prev = merged.get(key);
+      if (prev) prev.count += r.count;
+      else merged.set(key, r);
+    }
+  }
+  return [...merged.values()];
+}
+
+// Re-ingesting the same export must not double counts, so incoming rows
+// replace stored rows with the same address / category / day.
+export function mergeReports(existing, incoming) {
+  const merged = new Map((existing || []).map((r) => [reportKey(r), r]));
+  for (const r of incoming) merged.set(reportKey(r), r);
+  return [...merged.values()].sort((a, b) =>
+    a.reportedAt < b.reportedAt ? -1 : a.reportedAt > b.reportedAt ? 1 : 0
+  );
+}
+
+/* ========= Store ========= */
+
+const shardKey = (network, address) => `${SHARD_PREFIX}${network}:${address}`;
+
+async function readMeta(env) {
+  const stored = env.CHAINABUSE ? await env.CHAINABUSE.get(META_KEY, "json") : null;
+  return stored || {
+    last_updated: BUNDLED.last_updated,
+    source: BUNDLED.source,
+    addresses: new Set((BUNDLED.reports || []).map((r) => `${r.network}:${r.address}`)).size,
+    reports: (BUNDLED.reports || []).length,
+  };
+}
+
+async function readShard(env, network, address) {
+  if (!env.CHAINABUSE) {
+    return (BUNDLED.reports || []).filter((r) => r.network === network && r.address === address);
+  }
+  return (await env.CHAINABUSE.get(shardKey(network, address), "json")) || [];
+}
+
+// Each touched address shard is read, merged and rewritten on its own; the
+// meta counts are adjusted by the difference.
+async function ingest(env, reports, source) {
+  if (!env.CHAINABUSE) throw new Error("CHAINABUSE KV binding not configured");
+  const groups = new Map();
+  for (const r of reports) {
+    const key = `${r.network}:${r.address}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const meta = (await env.CHAINABUSE.get(META_KEY, "json")) || {};
+  let addresses = meta.addresses || 0;
+  let stored = meta.reports || 0;
+  for (const group of groups.values()) {
+    const { network, address } = group[0];
+    const current = await env.CHAINABUSE.get(shardKey(network, address), "json");
+    const merged = mergeReports(current, group);
+    await env.CHAINABUSE.put(shardKey(network, address), JSON.stringify(merged));
+    if (!current) addresses++;
+    stored += merged.length - (current?.length || 0);
+  }
+
+  await env.CHAINABUSE.put(META_KEY, JSON.stringify({
+    last_updated: new Date().toISOString(),
+    source,
+    addresses,
+    reports: stored,
+  }));
+  return { ingested: reports.length, addresses: groups.size, stored };
+}
+
+async function pullEndpoint(env) {
+  if (!env.CHAINABUSE_ENDPOINT) throw new Error("CHAINABUSE_ENDPOINT not configured");
+  const headers = { accept: "application/json, text/csv" };
+  if (env.CHAINABUSE_API_KEY) {
+    headers.authorization = `Basic ${btoa(`${env.CHAINABUSE_API_KEY}:${env.CHAINABUSE_API_KEY}`)}`;
+  }
+  const resp = await fetch(env.CHAINABUSE_ENDPOINT, { headers });
+  if (!resp.ok) throw new Error(`Chainabuse endpoint HTTP ${resp.status}`);
+  const reports = normalizeReports(await resp.text());
+  return ingest(env, reports, env.CHAINABUSE_ENDPOINT);
+}
+
+/* ========= Worker entry ========= */
+
+export default {
+  async fetch(request, env) {
+    const { pathname, searchParams } = new URL(request.url);
+
+    if (pathname === "/ingest") {
+      if (request.method !== "POST") return badRequest("Only POST supported");
+      const auth = request.headers.get("authorization") || "";
+      if (!env.INGEST_TOKEN || auth !== `Bearer ${env.INGEST_TOKEN}`) {
+        return json({ ok: false, error: "Unauthorized" }, 401);
+      }
+      try {
+        const result = searchParams.get("source") === "endpoint"
+          ? await pullEndpoint(env)
+          : await ingest(
+            env,
+            normalizeReports(await request.text(), { network: searchParams.get("network") }),
+            searchParams.get("label") || "upload"
+          );
+        return json({ ok: true, ...result });
+      } catch (e) {
+        return badRequest(String(e.message || e));
+      }
+    }
+
+    if (pathname === "/reports") {
+      const raw = searchParams.get("address") || "";
+      const address = raw.startsWith("0x") ? raw.toLowerCase() : raw;
+      if (!address) return badRequest("Missing address");
+      const rawNetwork = searchParams.get("network");
+      const networks = rawNetwork
+        ? [NETWORK_ALIASES[rawNetwork.toLowerCase()] || rawNetwork.toLowerCase()]
+        : [...new Set(Object.values(NETWORK_ALIASES))];
+      const reports = (await Promise.all(networks.map((n) => readShard(env, n, address)))).flat();
+      return json({ ok: true, address, count: reports.reduce((n, r) => n + r.count, 0), reports });
+    }
+
+    if (pathname === "/status") {
+      const meta = await readMeta(env);
+      return json({
+        ok: true,
+        last_updated: meta.last_updated || null,
+        source: meta.source || null,
+        addresses: meta.addresses || 0,
+        reports: meta.reports || 0,
+      });
+    }
+
+    return json({ ok: false, error: "Not found" }, 404);
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(pullEndpoint(env));
+  },
+};
@@ -0,0 +1,18 @@
+// workers/layout.worker.js
+// Off-main-thread layout for large graphs (see graph.js, LAYOUT_WORKER_MIN_NODES).
+// Message in:  { seq, kind: 'force'|'hierarchical', nodes: [{id,x,y}], links: [{a,b,weight}], opts }
+// Message out: { seq, positions: [[id, x, y], …] }  or  { seq, error }
+
+import { computeLayout } from '../lib/graph-layout.js';
+
+self.onmessage = (e) => {
+  const { seq, kind, nodes, links, opts } = e.data || {};
+  try {
+    const pos = computeLayout(kind, nodes || [], links || [], opts || {});
+    const positions = [];
+    for (const [id, p] of pos) positions.push([id, p.x, p.y]);
+    self.postMessage({ seq, positions });
+  } catch (err) {
+    self.postMessage({ seq, error: String(err?.message || err) });
+  }
+};
@@ -2,17 +2,58 @@
 // RiskXLabs Vision – Cloudflare Worker risk engine v1.6.4
 //
 // Endpoints:
-//   GET /score?address=0x...&network=eth
-//   GET /neighbors?address=0x...&network=eth&hop=1&limit=120
-//   GET /tx-debug?address=0x...  (diagnostics only)
+//   GET /score?address=0x...&network=eth[&asOf=<iso date|block>][&balance=0]
+//   GET /score-tx?hash=0x...&network=eth
+//   POST /score/batch  { items: [{ address, network }], network?, balances? }
+//     (/score and batch results carry feats.balance / flowVolume, plus *Usd with
+//      NATIVE_PRICES_USD; pass balance=0 / balances: false to skip the balance read)
+//   GET /neighbors?address=0x...&network=eth&hop=1&limit=120[&fanout=25,8,4]
+//     (links: a → b dominant flow, direction, valueOut/valueIn, txOut/txIn, firstSeen/lastSeen)
+//   POST /check-transfer  { sender, recipient, asset, amount, network } → allow/warn/block
+//   GET /ofac?address=0x...&network=eth   (or ?addresses=0x..,0x.. / POST { addresses })
+//   GET /txs?address=0x...&network=eth&limit=100&sort=asc
+//   GET /tx-debug?address=0x...&network=eth  (diagnostics only)
+//   GET|POST /admin/overrides, POST /admin/overrides/revoke, GET /admin/audit[?id=<decisionId>]
+//     (Authorization: Bearer ADMIN_TOKEN)
+//   (all GET routes accept &sync=full|incremental)
+//   (with API_KEYS set, send X-API-Key; over-limit requests get 429 + Retry-After)
+//
+// Networks: eth, polygon, arbitrum (see NETWORKS); anything else → 400
 //
 // Uses:
-//   ETHERSCAN_API_KEY (Secret)
-//   ALCHEMY_API_KEY   (Secret)
-//   OFAC_SET          (Plaintext – newline/CSV of hex addresses)
-//   SCAM_CLUSTERS     (Plaintext – newline/CSV of hex addresses)
-//   TORNADO_SET       (Plaintext – newline/CSV of hex addresses)
-//   OFACLIST          (optional legacy list – ignored by this version)
+//   ETHERSCAN_API_KEY   (Secret – eth)
+//   POLYGONSCAN_API_KEY (Secret – polygon)
+//   ARBISCAN_API_KEY    (Secret – arbitrum)
+//   ALCHEMY_API_KEY     (Secret – all networks)
+//   OFAC_SET            (Plaintext – newline/CSV of hex addresses; merged with data/ofac_list.json)
+//   SCAM_CLUSTERS       (Plaintext – newline/CSV of hex addresses)
+//   TORNADO_SET         (Plaintext – newline/CSV of hex addresses; merged with data/mixers.json)
+//   OFACLIST            (optional legacy list – ignored by this version)
+//   TX_FETCH_MAX        (optional – max history entries pulled per fetch, default 10000)
+//   TX_SYNC_MODE        (optional – "full" (default) or "incremental")
+//   TX_HISTORY          (optional KV – synced history for incremental mode)
+//   TX_PROVIDER_MODE    (optional – "live" (default), "fixture" or "record"; see Fixture provider)
+//   TX_FIXTURES         (optional KV – recorded fixtures; else data/fixtures.json)
+//   TX_CACHE            (optional – "memory" (default), "cache", "kv" or "off"; see Tx cache)
+//   TX_CACHE_KV         (optional KV – history cache when TX_CACHE=kv)
+//   TX_CACHE_TTL        (optional – seconds a cached history is fresh, default 60)
+//   TX_CACHE_SWR        (optional – seconds stale history is served while refreshing, default 300)
+//   CHAINABUSE          (optional KV – reports from workers/chainabuse.worker.js; else data/chainabuse.json)
+//   GOVERNANCE          (optional KV – overrides + append-only audit log)
+//   ADMIN_TOKEN         (Secret – bearer token for /admin/* routes)
+//   API_KEYS            (optional Secret – JSON of API keys with routes/origins/limits;
+//                        unset = open API; see API keys & rate limits)
+//   API_LIMITS          (optional KV – rate limit / quota counters)
+//   NATIVE_PRICES_USD   (optional – JSON of USD prices per native asset, e.g. {"ETH":3000})
+//   CRAWL_MAX_SUBREQUESTS (optional – upstream calls per /neighbors crawl, default 40)
+//   RULESET_JSON        (optional – heuristics ruleset JSON overriding data/heuristics.json)
+
+import OFAC_LIST from "../data/ofac_list.json" with { type: "json" };
+import HEURISTICS from "../data/heuristics.json" with { type: "json" };
+import CUSTODIANS from "../data/custodians.json" with { type: "json" };
+import MIXERS from "../data/mixers.json" with { type: "json" };
+import CHAINABUSE_SNAPSHOT from "../data/chainabuse.json" with { type: "json" };
+import BUNDLED_FIXTURES from "../data/fixtures.json" with { type: "json" };
 
 const VERSION = "RXL-V1.6.4";
 
@@ -24,8 +65,9 @@ const json = (obj, status = 200) =>
     headers: {
       "content-type": "application/json; charset=utf-8",
       "access-control-allow-origin": "*",
-      "access-control-allow-headers": "Content-Type",
-      "access-control-allow-methods": "GET,OPTIONS",
+      "access-control-allow-headers": "Content-Type, Authorization, X-API-Key",
+      "access-control-allow-methods": "GET,POST,OPTIONS",
+      "access-control-expose-headers": "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining",
     },
   });
 
@@ -47,97 +89,743 @@ function clamp(x, lo = 0, hi = 100) {
   return Math.max(lo, Math.min(hi, x));
 }
 
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    return null;
+  }
+}
+
+// Run fn over items with at most `limit` in flight; keeps input order
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function run() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, run));
+  return out;
+}
+
+/* ========= Network registry ========= */
+
+// One entry per chain the UI can select. Each lists its tx providers in
+// fallback order: "explorer" is an Etherscan-family API (same txlist shape on
+// every chain), "alchemy" is the Alchemy JSON-RPC endpoint for that chain.
+const NETWORKS = {
+  eth: {
+    id: "eth",
+    chainId: 1,
+    label: "Ethereum",
+    nativeSymbol: "ETH",
+    aliases: ["ethereum", "mainnet"],
+    providers: [
+      {
+        kind: "explorer",
+        name: "etherscan",
+        base: "https://api.etherscan.io/api",
+        keyName: "ETHERSCAN_API_KEY",
+      },
+      {
+        kind: "alchemy",
+        name: "alchemy",
+        base: "https://eth-mainnet.g.alchemy.com/v2",
+        keyName: "ALCHEMY_API_KEY",
+      },
+    ],
+  },
+  polygon: {
+    id: "polygon",
+    chainId: 137,
+    label: "Polygon",
+    nativeSymbol: "POL",
+    aliases: ["matic", "polygon-pos"],
+    providers: [
+      {
+        kind: "explorer",
+        name: "polygonscan",
+        base: "https://api.polygonscan.com/api",
+        keyName: "POLYGONSCAN_API_KEY",
+      },
+      {
+        kind: "alchemy",
+        name: "alchemy",
+        base: "https://polygon-mainnet.g.alchemy.com/v2",
+        keyName: "ALCHEMY_API_KEY",
+      },
+    ],
+  },
+  arbitrum: {
+    id: "arbitrum",
+    chainId: 42161,
+    label: "Arbitrum One",
+    nativeSymbol: "ETH",
+    aliases: ["arb", "arbitrum-one"],
+    providers: [
+      {
+        kind: "explorer",
+        name: "arbiscan",
+        base: "https://api.arbiscan.io/api",
+        keyName: "ARBISCAN_API_KEY",
+      },
+      {
+        kind: "alchemy",
+        name: "alchemy",
+        base: "https://arb-mainnet.g.alchemy.com/v2",
+        keyName: "ALCHEMY_API_KEY",
+      },
+    ],
+  },
+};
+
+// "eth", "Ethereum", "matic" … → registry entry, or null when unsupported
+function resolveNetwork(raw) {
+  const id = String(raw || "eth").trim().toLowerCase();
+  if (NETWORKS[id]) return NETWORKS[id];
+  return Object.values(NETWORKS).find((n) => n.aliases.includes(id)) || null;
+}
+
+function unsupportedNetwork(raw) {
+  return json(
+    {
+      ok: false,
+      error: `Unsupported network: ${raw}`,
+      supported: Object.keys(NETWORKS),
+    },
+    400
+  );
+}
+
 /* ========= Tx providers ========= */
 
-async function fetchEtherscanTxs(address, env) {
-  const key = env.ETHERSCAN_API_KEY;
-  if (!key) throw new Error("missing ETHERSCAN_API_KEY");
-  const url =
-    "https://api.etherscan.io/api?module=account&action=txlist" +
-    `&address=${encodeURIComponent(address)}` +
-    "&startblock=0&endblock=99999999&sort=asc" +
-    `&apikey=${encodeURIComponent(key)}`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`etherscan bad status ${res.status}`);
-  const body = await res.json();
-  if (String(body.status) !== "1" || !Array.isArray(body.result)) {
-    throw new Error("etherscan no tx");
+// Normalized history entry (one per native tx or token transfer):
+//   { timeStamp, blockNumber, hash, from, to, value, category, asset, contract,
+//     decimals, amount, tokenId }
+// `value` is the raw base-unit string; `amount` is value scaled by decimals.
+
+const TOKEN_CATEGORIES = ["erc20", "erc721", "erc1155"];
+
+function toUnits(raw, decimals) {
+  try {
+    const n = Number(BigInt(raw || 0));
+    return decimals ? n / 10 ** decimals : n;
+  } catch {
+    return 0;
+  }
+}
+
+function hexToDec(hex) {
+  try {
+    return hex ? BigInt(hex).toString() : "0";
+  } catch {
+    return "0";
   }
-  return body.result.map((tx) => ({
+}
+
+// Same transfer can come back from several calls (e.g. self-sends in both
+// Alchemy directions); this key collapses them.
+function transferKey(tx) {
+  return [tx.hash, tx.category, tx.contract, tx.tokenId, tx.from, tx.to, tx.value].join("|");
+}
+
+function dedupeTransfers(txs) {
+  const seen = new Set();
+  return txs.filter((tx) => {
+    const k = transferKey(tx);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// Etherscan-family actions and how each maps onto the normalized entry
+const EXPLORER_ACTIONS = {
+  txlist: (tx, net) => ({
+    category: "external",
+    asset: net.nativeSymbol,
+    contract: null,
+    decimals: 18,
+    value: tx.value || "0",
+    amount: toUnits(tx.value, 18),
+  }),
+  tokentx: (tx) => {
+    const decimals = Number(tx.tokenDecimal) || 0;
+    return {
+      category: "erc20",
+      asset: tx.tokenSymbol || null,
+      contract: tx.contractAddress?.toLowerCase() || null,
+      decimals,
+      value: tx.value || "0",
+      amount: toUnits(tx.value, decimals),
+    };
+  },
+  tokennfttx: (tx) => ({
+    category: "erc721",
+    asset: tx.tokenSymbol || null,
+    contract: tx.contractAddress?.toLowerCase() || null,
+    decimals: 0,
+    value: "1",
+    amount: 1,
+    tokenId: tx.tokenID,
+  }),
+  token1155tx: (tx) => ({
+    category: "erc1155",
+    asset: tx.tokenSymbol || null,
+    contract: tx.contractAddress?.toLowerCase() || null,
+    decimals: 0,
+    value: tx.tokenValue || "0",
+    amount: toUnits(tx.tokenValue, 0),
+    tokenId: tx.tokenID,
+  }),
+};
+
+function normalizeExplorerTx(tx, action, net) {
+  return {
     timeStamp: Number(tx.timeStamp) * 1000,
+    blockNumber: Number(tx.blockNumber) || null,
     hash: tx.hash,
     from: tx.from?.toLowerCase(),
     to: tx.to?.toLowerCase() || null,
-    value: tx.value || "0",
-  }));
+    tokenId: null,
+    ...EXPLORER_ACTIONS[action](tx, net),
+  };
+}
+
+function normalizeAlchemyTransfer(t, net) {
+  const category = t.category === "external" || TOKEN_CATEGORIES.includes(t.category)
+    ? t.category
+    : "external";
+  const isNative = category === "external";
+  const decimals = isNative
+    ? 18
+    : (t.rawContract?.decimal ? Number(BigInt(t.rawContract.decimal)) : 0);
+
+  let value = hexToDec(t.rawContract?.value);
+  let amount = Number(t.value) || 0;
+  let tokenId = null;
+  if (category === "erc721") {
+    value = "1";
+    amount = 1;
+    tokenId = t.erc721TokenId ? hexToDec(t.erc721TokenId) : null;
+  } else if (category === "erc1155") {
+    const items = Array.isArray(t.erc1155Metadata) ? t.erc1155Metadata : [];
+    const total = items.reduce((acc, m) => acc + BigInt(m.value || 0), 0n);
+    value = total.toString();
+    amount = Number(total);
+    tokenId = items.length === 1 ? hexToDec(items[0].tokenId) : null;
+  }
+
+  return {
+    timeStamp: Date.parse(t.metadata?.blockTimestamp || new Date().toISOString()),
+    blockNumber: t.blockNum ? Number(BigInt(t.blockNum)) : null,
+    hash: t.hash,
+    from: t.from?.toLowerCase(),
+    to: t.to?.toLowerCase() || null,
+    category,
+    asset: isNative ? net.nativeSymbol : t.asset || null,
+    contract: isNative ? null : t.rawContract?.address?.toLowerCase() || null,
+    decimals,
+    value,
+    amount,
+    tokenId,
+  };
 }
 
-// Minimal Alchemy fallback – uses getAssetTransfers in both directions
-async function fetchAlchemyTxs(address, env) {
-  const key = env.ALCHEMY_API_KEY;
-  if (!key) throw new Error("missing ALCHEMY_API_KEY");
-  const base = `https://eth-mainnet.g.alchemy.com/v2/${key}`;
+const EXPLORER_PAGE_SIZE = 1000;
+const ALCHEMY_PAGE_SIZE = 1000;
+const DEFAULT_TX_FETCH_MAX = 10000;
+
+// Fetchers below take { cursors, budget, newestFirst, stats } and return
+// { txs, cursors, complete }. `cursors` records the last block read per stream
+// (explorer action or Alchemy direction) so an incremental sync can resume
+// there; `complete` is false when the budget ran out or a stream failed
+// part-way. newestFirst reads from the chain head backwards, so a budget cut
+// keeps the most recent transfers (no cursors then); stats.requests counts
+// the upstream calls made.
+
+// txlist plus the three token-transfer actions, each paged by sliding
+// startblock forward (page × offset is capped upstream, so page=N can't reach
+// deep history). Token actions answer status "0" / "No transactions found"
+// when empty. No endblock is sent: the explorer default is the chain head
+// (a fixed ceiling cuts Arbitrum off, its block numbers are past 10^8).
+// Each action gets a fair share of what is left of the budget; token actions
+// run first so a busy txlist can't starve them, and whatever they leave
+// unused rolls over to txlist.
+async function fetchExplorerTxs(address, provider, env, net, { cursors = {}, budget, newestFirst = false, stats = {} }) {
+  const key = env[provider.keyName];
+  if (!key) throw new Error(`missing ${provider.keyName}`);
+
+  const nextCursors = { ...cursors };
+  let remaining = budget;
+  let complete = true;
+
+  async function action(name, share) {
+    const out = [];
+    let startBlock = newestFirst ? 0 : cursors[name] ?? 0;
+    let endBlock = null; // newestFirst: slides down instead
+    let done = false;
+    let left = share;
+    while (left > 0) {
+      const offset = Math.min(EXPLORER_PAGE_SIZE, left);
+      const url =
+        `${provider.base}?module=account&action=${name}` +
+        `&address=${encodeURIComponent(address)}` +
+        `&startblock=${startBlock}` +
+        (endBlock != null ? `&endblock=${endBlock}` : "") +
+        `&page=1&offset=${offset}&sort=${newestFirst ? "desc" : "asc"}` +
+        `&apikey=${encodeURIComponent(key)}`;
+
+      stats.requests = (stats.requests || 0) + 1;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${provider.name} ${name} bad status ${res.status}`);
+      const body = await res.json();
+      if (!Array.isArray(body.result)) {
+        throw new Error(`${provider.name} ${name}: ${body.result || body.message || "no result"}`);
+      }
+      const page = body.result.map((tx) => normalizeExplorerTx(tx, name, net));
+      out.push(...page);
+      left -= page.length;
+      remaining -= page.length;
+      if (page.length < offset) {
+        done = true;
+        break;
+      }
+      const lastBlock = page[page.length - 1].blockNumber;
+      // a full page inside a single block can't be advanced past by
+      // startblock / endblock; the boundary block is re-read and dedupe
+      // drops the overlap
+      if (newestFirst) {
+        if (endBlock != null && !(lastBlock < endBlock)) break;
+        endBlock = lastBlock;
+      } else {
+        if (!(lastBlock > startBlock)) break;
+        startBlock = lastBlock;
+      }
+    }
+    if (out.length && !newestFirst) nextCursors[name] = out[out.length - 1].blockNumber;
+    if (!done) complete = false;
+    return out;
+  }
+
+  const merged = [];
+  // sequential – explorer free tiers allow ~5 req/s per key
+  const names = Object.keys(EXPLORER_ACTIONS).reverse();
+  for (let i = 0; i < names.length; i++) {
+    const share = Math.ceil(remaining / (names.length - i));
+    merged.push(...(await action(names[i], share)));
+  }
+
+  merged.sort((a, b) => a.timeStamp - b.timeStamp);
+  return { txs: dedupeTransfers(merged), cursors: nextCursors, complete };
+}
+
+// Uses getAssetTransfers in both directions, following pageKey
+async function fetchAlchemyTxs(address, provider, env, net, { cursors = {}, budget, newestFirst = false, stats = {} }) {
+  const key = env[provider.keyName];
+  if (!key) throw new Error(`missing ${provider.keyName}`);
+  const base = `${provider.base}/${key}`;
   const addr = address.toLowerCase();
+  const perDirection = Math.ceil(budget / 2);
 
   async function oneDirection(direction) {
-    const body = {
-      id: 1,
-      jsonrpc: "2.0",
-      method: "alchemy_getAssetTransfers",
-      params: [
-        {
-          category: ["external"],
-          [direction === "from" ? "fromAddress" : "toAddress"]: addr,
-          maxCount: "0x3e8", // 1000
-          withMetadata: true,
-        },
-      ],
-    };
-    const res = await fetch(base, {
-      method: "POST",
-      headers: { "content-type": "application/json" },
-      body: JSON.stringify(body),
-    });
-    if (!res.ok) throw new Error(`alchemy bad status ${res.status}`);
-    const json = await res.json();
-    const txs = json?.result?.transfers || [];
-    return txs.map((t) => ({
-      timeStamp: Date.parse(t.metadata?.blockTimestamp || new Date().toISOString()),
-      hash: t.hash,
-      from: t.from?.toLowerCase(),
-      to: t.to?.toLowerCase() || null,
-      value: t.value || "0",
-    }));
+    const out = [];
+    let pageKey;
+    const fromBlock = newestFirst ? 0 : cursors[direction] ?? 0;
+    do {
+      const body = {
+        id: 1,
+        jsonrpc: "2.0",
+        method: "alchemy_getAssetTransfers",
+        params: [
+          {
+            category: ["external", ...TOKEN_CATEGORIES],
+            [direction === "from" ? "fromAddress" : "toAddress"]: addr,
+            fromBlock: `0x${fromBlock.toString(16)}`,
+            order: newestFirst ? "desc" : "asc",
+            maxCount: `0x${Math.min(ALCHEMY_PAGE_SIZE, perDirection - out.length).toString(16)}`,
+            withMetadata: true,
+            ...(pageKey ? { pageKey } : {}),
+          },
+        ],
+      };
+      stats.requests = (stats.requests || 0) + 1;
+      const res = await fetch(base, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error(`${provider.name} bad status ${res.status}`);
+      const json = await res.json();
+      if (json?.error) throw new Error(`${provider.name}: ${json.error.message || "rpc error"}`);
+      const txs = json?.result?.transfers || [];
+      out.push(...txs.map((t) => normalizeAlchemyTransfer(t, net)));
+      pageKey = json?.result?.pageKey;
+    } while (pageKey && out.length < perDirection);
+    return { txs: out, complete: !pageKey };
   }
 
   const [out, incoming] = await Promise.allSettled([
     oneDirection("from"),
     oneDirection("to"),
   ]);
+  if (out.status === "rejected" && incoming.status === "rejected") {
+    throw out.reason;
+  }
 
   const merged = [];
-  if (out.status === "fulfilled") merged.push(...out.value);
-  if (incoming.status === "fulfilled") merged.push(...incoming.value);
+  const nextCursors = { ...cursors };
+  let complete = true;
+  for (const [direction, r] of [["from", out], ["to", incoming]]) {
+    if (r.status !== "fulfilled") {
+      complete = false;
+      continue;
+    }
+    merged.push(...r.value.txs);
+    if (!r.value.complete) complete = false;
+    const last = r.value.txs[r.value.txs.length - 1];
+    if (last && !newestFirst) nextCursors[direction] = last.blockNumber;
+  }
 
-  if (!merged.length) throw new Error("alchemy no tx");
   // sort oldest → newest
   merged.sort((a, b) => a.timeStamp - b.timeStamp);
-  return merged;
+  return { txs: dedupeTransfers(merged), cursors: nextCursors, complete };
 }
 
-// Try etherscan then alchemy; on total failure, synthetic stub
-async function fetchTxHistory(address, env) {
-  const providers = [
-    { name: "etherscan", fn: () => fetchEtherscanTxs(address, env) },
-    { name: "alchemy", fn: () => fetchAlchemyTxs(address, env) },
-  ];
+const PROVIDER_KINDS = {
+  explorer: fetchExplorerTxs,
+  alchemy: fetchAlchemyTxs,
+};
+
+// Most upstream calls one history pull of `budget` transfers can make,
+// counting a failover through every provider of the network
+function historyRequestBound(net, budget) {
+  let total = 0;
+  for (const p of net.providers) {
+    total += p.kind === "explorer"
+      ? Object.keys(EXPLORER_ACTIONS).length + Math.ceil(budget / EXPLORER_PAGE_SIZE) - 1
+      : 2 * Math.ceil(Math.ceil(budget / 2) / ALCHEMY_PAGE_SIZE);
+  }
+  return total;
+}
+
+/* ========= Tx lookup by hash ========= */
+
+// Single-tx JSON-RPC reads. Explorers expose the same methods through their
+// "proxy" module with flattened query params.
+const EXPLORER_PROXY_PARAMS = {
+  eth_getTransactionByHash: ([hash]) => ({ txhash: hash }),
+  eth_getTransactionReceipt: ([hash]) => ({ txhash: hash }),
+  eth_getBlockByNumber: ([tag, full]) => ({ tag, boolean: String(!!full) }),
+};
+
+// keccak256("Transfer(address,address,uint256)") – shared by ERC-20 and ERC-721
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+async function rpcCall(provider, env, method, params) {
+  const key = env[provider.keyName];
+  if (!key) throw new Error(`missing ${provider.keyName}`);
+
+  let body;
+  if (provider.kind === "explorer") {
+    const query = new URLSearchParams({
+      module: "proxy",
+      action: method,
+      ...EXPLORER_PROXY_PARAMS[method](params),
+      apikey: key,
+    });
+    const res = await fetch(`${provider.base}?${query}`);
+    if (!res.ok) throw new Error(`${provider.name} ${method} bad status ${res.status}`);
+    body = await res.json();
+  } else {
+    const res = await fetch(`${provider.base}/${key}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ id: 1, jsonrpc: "2.0", method, params }),
+    });
+    if (!res.ok) throw new Error(`${provider.name} ${method} bad status ${res.status}`);
+    body = await res.json();
+  }
+  if (body?.error) throw new Error(`${provider.name}: ${body.error.message || "rpc error"}`);
+  // explorers answer { status: "0", result: "<message>" } on key / rate errors
+  if (typeof body?.result === "string" && !body.result.startsWith("0x")) {
+    throw new Error(`${provider.name} ${method}: ${body.result}`);
+  }
+  return body?.result ?? null;
+}
+
+function topicAddress(topic) {
+  return topic ? `0x${topic.slice(-40)}`.toLowerCase() : null;
+}
+
+// ERC-20 (value in data) and ERC-721 (tokenId as 4th topic) Transfer events
+function decodeTransferLogs(logs) {
+  const out = [];
+  for (const log of logs || []) {
+    const topics = log.topics || [];
+    if (topics[0]?.toLowerCase() !== TRANSFER_TOPIC || topics.length < 3) continue;
+    const isNft = topics.length === 4;
+    out.push({
+      contract: log.address?.toLowerCase() || null,
+      category: isNft ? "erc721" : "erc20",
+      from: topicAddress(topics[1]),
+      to: topicAddress(topics[2]),
+      value: isNft ? "1" : hexToDec(log.data && log.data !== "0x" ? log.data : "0x0"),
+      tokenId: isNft ? hexToDec(topics[3]) : null,
+    });
+  }
+  return out;
+}
+
+// → { ok, provider, tx: { hash, blockNumber, timeStamp, from, to, value, amount,
+//     status, contractCreated, inputSize, tokenTransfers }, errors? }
+async function fetchTxByHash(hash, net, env) {
+  const errors = [];
+  const source = providerMode(env);
+  const key = fixtureKey("tx", net, hash);
+  if (source === "fixture") {
+    try {
+      const doc = await readFixture(env, key);
+      if (doc) return { ok: true, provider: "fixture", tx: doc.tx };
+      errors.push({ provider: "fixture", error: `no fixture ${key}` });
+    } catch (e) {
+      errors.push({ provider: "fixture", error: String(e.message || e) });
+    }
+  }
+
+  for (const p of source === "fixture" ? [] : net.providers) {
+    try {
+      const tx = await rpcCall(p, env, "eth_getTransactionByHash", [hash]);
+      if (!tx) {
+        errors.push({ provider: p.name, error: "transaction not found" });
+        continue;
+      }
+      const [receipt, block] = await Promise.all([
+        rpcCall(p, env, "eth_getTransactionReceipt", [hash]),
+        tx.blockNumber ? rpcCall(p, env, "eth_getBlockByNumber", [tx.blockNumber, false]) : null,
+      ]);
+      const value = hexToDec(tx.value);
+      const found = {
+        ok: true,
+        provider: p.name,
+        tx: {
+          hash: tx.hash,
+          blockNumber: tx.blockNumber ? Number(BigInt(tx.blockNumber)) : null,
+          timeStamp: block?.timestamp ? Number(BigInt(block.timestamp)) * 1000 : null,
+          from: tx.from?.toLowerCase() || null,
+          to: tx.to?.toLowerCase() || null,
+          value,
+          amount: toUnits(value, 18),
+          asset: net.nativeSymbol,
+          status: receipt?.status ? Number(BigInt(receipt.status)) : null,
+          contractCreated: receipt?.contractAddress?.toLowerCase() || null,
+          inputSize: tx.input && tx.input !== "0x" ? (tx.input.length - 2) / 2 : 0,
+          tokenTransfers: decodeTransferLogs(receipt?.logs),
+        },
+      };
+      if (source === "record") {
+        Object.assign(found, await recordFixture(env, key, { provider: p.name, tx: found.tx }));
+      }
+      return found;
+    } catch (e) {
+      errors.push({ provider: p.name, error: String(e.message || e) });
+    }
+  }
+  return { ok: false, errors };
+}
+
+/* ========= Fixture provider ========= */
+
+// TX_PROVIDER_MODE selects where history and tx lookups come from:
+//   live    – explorers / Alchemy (default)
+//   fixture – recorded fixtures only; no upstream calls at all
+//   record  – live but uncached, and every successful response is saved as a fixture
+// Fixtures are looked up in the TX_FIXTURES KV first, then in the bundled
+// data/fixtures.json (copy recorded KV entries there to ship them). Keys
+// carry FIXTURE_VERSION so a format change never serves stale shapes.
+const FIXTURE_VERSION = 1;
+const PROVIDER_MODES = ["live", "fixture", "record"];
+
+function providerMode(env) {
+  const mode = String(env.TX_PROVIDER_MODE || "live").toLowerCase();
+  return PROVIDER_MODES.includes(mode) ? mode : "live";
+}
+
+// kind: "history" / "balance" (id = address) or "tx" (id = hash)
+function fixtureKey(kind, net, id) {
+  return `v${FIXTURE_VERSION}:${kind}:${net.id}:${id}`;
+}
+
+async function readFixture(env, key) {
+  const doc = (env.TX_FIXTURES ? await env.TX_FIXTURES.get(key, "json") : null) ||
+    BUNDLED_FIXTURES.fixtures?.[key] ||
+    null;
+  if (doc && doc.fixture_version !== FIXTURE_VERSION) {
+    throw new Error(`fixture ${key} has version ${doc.fixture_version}, expected ${FIXTURE_VERSION}`);
+  }
+  return doc;
+}
+
+async function writeFixture(env, key, data) {
+  if (!env.TX_FIXTURES) throw new Error("record mode needs the TX_FIXTURES KV binding");
+  const doc = { fixture_version: FIXTURE_VERSION, key, recordedAt: new Date().toISOString(), ...data };
+  await env.TX_FIXTURES.put(key, JSON.stringify(doc));
+  return doc;
+}
+
+// A failed write must not discard the live response it was recording
+async function recordFixture(env, key, data) {
+  try {
+    await writeFixture(env, key, data);
+    return { recorded: true };
+  } catch (e) {
+    return { recorded: false, recordError: String(e.message || e) };
+  }
+}
+
+// Recorded history in fetchTxHistory's shape. recordedAt doubles as the
+// scoring clock so ages and decay stay identical run after run.
+async function fixtureHistory(address, net, env) {
+  const key = fixtureKey("history", net, address);
+  const doc = await readFixture(env, key);
+  if (!doc) throw new Error(`no fixture ${key}`);
+  return {
+    ok: true,
+    network: net.id,
+    provider: "fixture",
+    sync: "fixture",
+    historyComplete: doc.historyComplete,
+    txFetched: doc.txs.length,
+    txs: doc.txs.slice(),
+    recordedAt: Date.parse(doc.recordedAt),
+    fixture: { key, recordedAt: doc.recordedAt, source: doc.provider },
+  };
+}
+
+/* ========= History store ========= */
+
+// Last synced history per provider/network/address, used by incremental sync
+// only (full syncs never read it, so they don't write it either). Backed by
+// the TX_HISTORY KV namespace when bound, else an isolate-local map (lost on
+// cold start). The map is capped by the total number of stored transfers,
+// not by entries: one busy wallet can hold tens of thousands.
+const HISTORY_MEM_MAX_TXS = 100000;
+const historyMem = new Map();
+let historyMemTxs = 0;
+
+// Drop the oldest entries of an insertion-ordered map until the summed
+// txCount(entry) fits under maxTxs; returns the new total.
+function evictByTxCount(map, total, maxTxs, txCount) {
+  while (total > maxTxs && map.size > 1) {
+    const [oldest, entry] = map.entries().next().value;
+    map.delete(oldest);
+    total -= txCount(entry);
+  }
+  return total;
+}
 
+function historyStore(env) {
+  const kv = env.TX_HISTORY;
+  if (kv) {
+    return {
+      get: (key) => kv.get(key, "json"),
+      put: (key, value) => kv.put(key, JSON.stringify(value)),
+    };
+  }
+  const txCount = (value) => value.txs.length;
+  return {
+    get: async (key) => historyMem.get(key) || null,
+    put: async (key, value) => {
+      const prev = historyMem.get(key);
+      if (prev) historyMemTxs -= txCount(prev);
+      historyMem.delete(key);
+      historyMem.set(key, value);
+      historyMemTxs = evictByTxCount(
+        historyMem,
+        historyMemTxs + txCount(value),
+        HISTORY_MEM_MAX_TXS,
+        txCount
+      );
+    },
+  };
+}
+
+function syncMode(raw, env) {
+  const mode = String(raw || env.TX_SYNC_MODE || "full").toLowerCase();
+  return mode === "incremental" ? "incremental" : "full";
+}
+
+// Try the network's providers in order; on total failure, synthetic stub.
+// In incremental mode only blocks from the stored cursor onward are fetched
+// and merged into the stored history. Routes go through fetchTxHistory (Tx
+// cache) rather than calling this directly.
+// newestFirst pulls (neighbor crawls) skip incremental sync: they hold only
+// the latest slice of a history. Every result carries subrequests, the
+// upstream calls it took.
+async function pullTxHistory(address, net, env, { sync, budget: maxTx, newestFirst = false } = {}) {
+  const mode = newestFirst ? "full" : syncMode(sync, env);
+  const stats = { requests: 0 };
+  const ceiling = Number(env.TX_FETCH_MAX) || DEFAULT_TX_FETCH_MAX;
+  const budget = maxTx ? Math.min(maxTx, ceiling) : ceiling;
+  const store = historyStore(env);
   const errors = [];
-  for (const p of providers) {
+  const source = providerMode(env);
+
+  if (source === "fixture") {
+    try {
+      return await fixtureHistory(address, net, env);
+    } catch (e) {
+      errors.push({ provider: "fixture", error: String(e.message || e) });
+    }
+  }
+
+  for (const p of source === "fixture" ? [] : net.providers) {
+    const storeKey = `${p.name}:${net.id}:${address}`;
     try {
-      const txs = await p.fn();
-      return { ok: true, provider: p.name, txs };
+      const prev = mode === "incremental" ? await store.get(storeKey) : null;
+      const page = await PROVIDER_KINDS[p.kind](address, p, env, net, {
+        cursors: prev?.cursors || {},
+        budget,
+        newestFirst,
+        stats,
+      });
+      const txs = dedupeTransfers([...(prev?.txs || []), ...page.txs]);
+      if (!txs.length) throw new Error(`${p.name} no tx`);
+      txs.sort((a, b) => a.timeStamp - b.timeStamp);
+
+      // the stored record shares its txs array with the returned history
+      // (and so with a memory tx cache entry) rather than holding a copy
+      if (mode === "incremental") {
+        await store.put(storeKey, {
+          txs,
+          cursors: page.cursors,
+          historyComplete: page.complete,
+          syncedAt: Date.now(),
+        });
+      }
+
+      const hist = {
+        ok: true,
+        network: net.id,
+        provider: p.name,
+        sync: prev ? "incremental" : "full",
+        historyComplete: page.complete,
+        txFetched: page.txs.length,
+        subrequests: stats.requests,
+        txs,
+      };
+      if (source === "record") {
+        Object.assign(hist, await recordFixture(env, fixtureKey("history", net, address), {
+          provider: p.name,
+          historyComplete: page.complete,
+          txs,
+        }));
+      }
+      return hist;
     } catch (e) {
       errors.push({ provider: p.name, error: String(e.message || e) });
     }
@@ -147,99 +835,623 @@ async function fetchTxHistory(address, env) {
   const nowSec = Math.floor(Date.now() / 1000);
   return {
     ok: false,
+    network: net.id,
     provider: null,
+    sync: mode,
+    historyComplete: false,
+    txFetched: 0,
+    subrequests: stats.requests,
     txs: [
       {
         timeStamp: nowSec * 1000,
+        blockNumber: null,
         hash: "0xsynthetic",
         from: address,
         to: address,
         value: "0",
+        category: "external",
+        asset: net.nativeSymbol,
+        contract: null,
+        decimals: 18,
+        amount: 0,
+        tokenId: null,
       },
     ],
     errors,
   };
 }
 
-/* ========= Feature extraction ========= */
+/* ========= Tx cache ========= */
 
-function buildFeatures(address, txs, nowMs) {
-  const addr = address.toLowerCase();
-  const txList = Array.isArray(txs) ? txs : [];
-  if (!txList.length) {
-    return {
-      ageDays: 0,
-      firstSeenMs: null,
-      txCount: 0,
-      activeDays: 0,
-      txPerDay: 0,
-      burstScore: 0,
-      uniqueCounterparties: 0,
-      topCounterpartyShare: 0,
-      isDormant: false,
-      dormantDays: 0,
-      resurrectedRecently: false,
-      neighborCount: 0,
-      sanctionedNeighborRatio: 0,
-      highRiskNeighborRatio: 0,
-      dormantNeighborRatio: 0,
-      mixerProximity: 0,
-      custodianExposure: 0,
-      scamPlatformExposure: 0,
-      local: {
-        riskyNeighborRatio: 0,
-        neighborAvgTx: 0,
-        neighborAvgAgeDays: 0,
-        neighborCount: 0,
-      },
-    };
-  }
+// Successful history pulls are cached per provider chain / network / address
+// (and crawl budget), so /score, /neighbors, /txs and /tx-debug for the same
+// wallet share one upstream pull.
+//   age < TTL             → "hit"
+//   TTL ≤ age < TTL + SWR → "stale": served at once, refreshed in the background
+//   otherwise             → "miss": pulled now
+// Concurrent identical pulls in one isolate share a promise ("coalesced").
+// Every history carries cache: { status, backend, ageSec }.
+//
+// TX_CACHE picks the backend: "memory" (default), "cache" (Cache API),
+// "kv" (TX_CACHE_KV binding) or "off". Tests may pass any { get, put }
+// object instead, e.g. memoryCacheBackend().
+const TX_CACHE_VERSION = 1;
+const TX_CACHE_TTL_SEC = 60;
+const TX_CACHE_SWR_SEC = 300;
+const TX_CACHE_MEM_MAX_TXS = 100000;
+const txCacheMem = new Map();
+const txInflight = new Map();
+
+// get(key) → { hist, storedAt } | null; put(key, entry, ttlSec)
+// Capped like historyMem, by the total transfers held across entries.
+export function memoryCacheBackend(mem = new Map(), maxTxs = TX_CACHE_MEM_MAX_TXS) {
+  const txCount = (entry) => entry.hist?.txs?.length || 0;
+  let total = 0;
+  for (const entry of mem.values()) total += txCount(entry);
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = mem.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry;
+    },
+    put: async (key, entry, ttlSec) => {
+      const prev = mem.get(key);
+      if (prev) total -= txCount(prev);
+      mem.delete(key);
+      mem.set(key, { ...entry, expiresAt: Date.now() + ttlSec * 1000 });
+      total = evictByTxCount(mem, total + txCount(entry), maxTxs, txCount);
+    },
+  };
+}
 
-  // Sort oldest → newest by timestamp
-  txList.sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+function cacheApiBackend() {
+  const url = (key) => `https://tx-cache.invalid/${encodeURIComponent(key)}`;
+  return {
+    name: "cache",
+    get: async (key) => {
+      const resp = await caches.default.match(url(key));
+      return resp ? resp.json() : null;
+    },
+    put: (key, entry, ttlSec) =>
+      caches.default.put(
+        url(key),
+        new Response(JSON.stringify(entry), {
+          headers: { "content-type": "application/json", "cache-control": `max-age=${ttlSec}` },
+        })
+      ),
+  };
+}
 
-  const firstTs = txList[0].timeStamp || nowMs;
-  const lastTs = txList[txList.length - 1].timeStamp || nowMs;
-  const ageDays = (nowMs - firstTs) / (1000 * 60 * 60 * 24);
-  const spanDays = Math.max(1, (lastTs - firstTs) / (1000 * 60 * 60 * 24));
-  const txCount = txList.length;
-  const txPerDay = txCount / spanDays;
+function kvCacheBackend(kv) {
+  return {
+    name: "kv",
+    get: (key) => kv.get(key, "json"),
+    // KV rejects expirations under 60 s
+    put: (key, entry, ttlSec) =>
+      kv.put(key, JSON.stringify(entry), { expirationTtl: Math.max(60, ttlSec) }),
+  };
+}
 
-  // Burst metric – crude: max tx/day / avg tx/day
-  const perDay = new Map();
-  for (const tx of txList) {
-    const d = Math.floor((tx.timeStamp || nowMs) / (1000 * 60 * 60 * 24));
-    perDay.set(d, (perDay.get(d) || 0) + 1);
+function txCacheBackend(env) {
+  const setting = env.TX_CACHE;
+  if (setting && typeof setting === "object") return setting;
+  const kind = String(setting || "memory").toLowerCase();
+  if (kind === "off") return null;
+  // like historyStore, a missing binding degrades to the isolate-local map
+  if (kind === "kv" && env.TX_CACHE_KV) return kvCacheBackend(env.TX_CACHE_KV);
+  if (kind === "cache" && typeof caches !== "undefined") return cacheApiBackend();
+  return memoryCacheBackend(txCacheMem);
+}
+
+function txCacheConfig(env) {
+  const seconds = (raw, dflt) => {
+    const n = Number(raw);
+    return raw != null && raw !== "" && Number.isFinite(n) && n >= 0 ? n : dflt;
+  };
+  return {
+    ttlSec: seconds(env.TX_CACHE_TTL, TX_CACHE_TTL_SEC),
+    swrSec: seconds(env.TX_CACHE_SWR, TX_CACHE_SWR_SEC),
+  };
+}
+
+// The provider mode is part of the key so entries never cross between
+// live, record and fixture runs
+function txCacheKey(address, net, mode, budget, newestFirst) {
+  const chain = net.providers.map((p) => p.name).join("+");
+  return `txc:v${TX_CACHE_VERSION}:${mode}:${chain}:${net.id}:${address}` +
+    `${budget ? `:b${budget}` : ""}${newestFirst ? ":desc" : ""}`;
+}
+
+// Pull once per key at a time; only successful histories are stored
+function pullAndCache(key, backend, cfg, address, net, env, opts) {
+  if (txInflight.has(key)) return txInflight.get(key);
+  const pending = (async () => {
+    const hist = await pullTxHistory(address, net, env, opts);
+    if (hist.ok) {
+      try {
+        await backend.put(key, { hist, storedAt: Date.now() }, cfg.ttlSec + cfg.swrSec);
+      } catch {
+        // a cache write failure must not fail the request it was serving
+      }
+    }
+    return hist;
+  })();
+  txInflight.set(key, pending);
+  pending.then(
+    () => txInflight.delete(key),
+    () => txInflight.delete(key)
+  );
+  return pending;
+}
+
+// Cached front of pullTxHistory. opts.ctx (the fetch handler's ctx) keeps
+// background revalidation alive after the response is sent.
+async function fetchTxHistory(address, net, env, opts = {}) {
+  const { ctx, ...pullOpts } = opts;
+  // fixtures are already local and deterministic, and record mode must reach
+  // the provider to record anything; neither goes through the cache
+  const mode = providerMode(env);
+  const backend = mode === "live" ? txCacheBackend(env) : null;
+  if (!backend) {
+    const hist = await pullTxHistory(address, net, env, pullOpts);
+    return { ...hist, cache: { status: "bypass", backend: null, ageSec: 0 } };
   }
-  const maxPerDay = Math.max(...perDay.values());
-  const burstScore = txPerDay > 0 ? clamp(maxPerDay / txPerDay, 0, 10) / 10 : 0;
 
-  // Counterparty stats
-  const cpCounts = new Map(); // other address → count
-  for (const tx of txList) {
-    const from = tx.from?.toLowerCase();
-    const to = tx.to?.toLowerCase();
-    let other = null;
-    if (from === addr && to && to !== addr) other = to;
-    else if (to === addr && from && from !== addr) other = from;
-    if (other) cpCounts.set(other, (cpCounts.get(other) || 0) + 1);
+  const cfg = txCacheConfig(env);
+  const key = txCacheKey(address, net, mode, pullOpts.budget, pullOpts.newestFirst);
+  // only the request that pulled pays the pull's subrequests
+  const tag = (hist, status, ageSec = 0) => ({
+    ...hist,
+    txs: hist.txs.slice(),
+    subrequests: status === "miss" ? hist.subrequests || 0 : 0,
+    cache: { status, backend: backend.name || "custom", ageSec },
+  });
+
+  let entry = null;
+  try {
+    entry = await backend.get(key);
+  } catch {
+    // unreadable cache → treat as a miss
+  }
+  if (entry?.hist) {
+    const ageSec = Math.floor((Date.now() - entry.storedAt) / 1000);
+    if (ageSec < cfg.ttlSec) return tag(entry.hist, "hit", ageSec);
+    if (ageSec < cfg.ttlSec + cfg.swrSec) {
+      const refresh = pullAndCache(key, backend, cfg, address, net, env, pullOpts).catch(() => {});
+      if (ctx?.waitUntil) ctx.waitUntil(refresh);
+      return tag(entry.hist, "stale", ageSec);
+    }
   }
 
-  const uniqueCounterparties = cpCounts.size;
-  const totalCpTx = [...cpCounts.values()].reduce((a, b) => a + b, 0) || 1;
-  const topCounterpartyShare = totalCpTx
-    ? Math.max(...cpCounts.values(), 0) / totalCpTx
-    : 0;
+  const joined = txInflight.has(key);
+  const hist = await pullAndCache(key, backend, cfg, address, net, env, pullOpts);
+  return tag(hist, joined ? "coalesced" : "miss");
+}
+
+// Per-request memo so routes that touch the same address share one upstream pull
+function historyLoader(env, opts = {}) {
+  const memo = new Map();
+  return (address, net) => {
+    const key = `${net.id}:${address}`;
+    if (!memo.has(key)) memo.set(key, fetchTxHistory(address, net, env, opts));
+    return memo.get(key);
+  };
+}
+
+/* ========= Balances ========= */
+
+// Native balance at "latest", for graph node sizing. Explorers answer
+// account/balance with decimal wei; Alchemy goes through eth_getBalance.
+// Balances share the tx cache backend but are only ever served fresh
+// (TX_CACHE_TTL), never stale. USD values need a price in NATIVE_PRICES_USD
+// (JSON, e.g. {"ETH": 3000, "POL": 0.4}); there is no price feed.
+
+async function explorerBalance(provider, env, address) {
+  const key = env[provider.keyName];
+  if (!key) throw new Error(`missing ${provider.keyName}`);
+  const query = new URLSearchParams({
+    module: "account",
+    action: "balance",
+    address,
+    tag: "latest",
+    apikey: key,
+  });
+  const res = await fetch(`${provider.base}?${query}`);
+  if (!res.ok) throw new Error(`${provider.name} balance bad status ${res.status}`);
+  const body = await res.json();
+  if (body?.status !== "1" || !/^\d+$/.test(String(body.result))) {
+    throw new Error(`${provider.name} balance: ${body?.result || body?.message || "no result"}`);
+  }
+  return String(body.result);
+}
+
+async function providerBalance(provider, env, address) {
+  if (provider.kind === "explorer") return explorerBalance(provider, env, address);
+  return hexToDec(await rpcCall(provider, env, "eth_getBalance", [address, "latest"]));
+}
+
+function nativePriceUsd(net, env) {
+  let prices = env.NATIVE_PRICES_USD;
+  if (typeof prices === "string") {
+    try {
+      prices = JSON.parse(prices);
+    } catch {
+      return null;
+    }
+  }
+  const price = Number(prices?.[net.nativeSymbol]);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function balanceResult(provider, balanceWei, net, cached) {
+  return { ok: true, provider, balance: toUnits(balanceWei, 18), balanceWei, asset: net.nativeSymbol, cached };
+}
+
+// → { ok, provider, balance (native units), balanceWei, asset, cached } | { ok: false, errors }
+async function fetchBalance(address, net, env) {
+  const errors = [];
+  const source = providerMode(env);
+  const key = fixtureKey("balance", net, address);
+  if (source === "fixture") {
+    try {
+      const doc = await readFixture(env, key);
+      if (doc) return balanceResult("fixture", doc.balanceWei, net, false);
+      errors.push({ provider: "fixture", error: `no fixture ${key}` });
+    } catch (e) {
+      errors.push({ provider: "fixture", error: String(e.message || e) });
+    }
+    return { ok: false, errors };
+  }
+
+  // like fetchTxHistory, record mode skips the cache so every read is recorded
+  const backend = source === "live" ? txCacheBackend(env) : null;
+  const cacheKey = `bal:v${TX_CACHE_VERSION}:${source}:${net.id}:${address}`;
+  const { ttlSec } = txCacheConfig(env);
+  if (backend) {
+    try {
+      const entry = await backend.get(cacheKey);
+      if (entry?.balanceWei && Date.now() - entry.storedAt < ttlSec * 1000) {
+        return balanceResult(entry.provider, entry.balanceWei, net, true);
+      }
+    } catch {
+      // unreadable cache → treat as a miss
+    }
+  }
+
+  for (const p of net.providers) {
+    try {
+      const balanceWei = await providerBalance(p, env, address);
+      if (backend) {
+        try {
+          await backend.put(cacheKey, { balanceWei, provider: p.name, storedAt: Date.now() }, ttlSec);
+        } catch {
+          // a cache write failure must not fail the request it was serving
+        }
+      }
+      const found = balanceResult(p.name, balanceWei, net, false);
+      if (source === "record") {
+        Object.assign(found, await recordFixture(env, key, { provider: p.name, balanceWei }));
+      }
+      return found;
+    } catch (e) {
+      errors.push({ provider: p.name, error: String(e.message || e) });
+    }
+  }
+  return { ok: false, errors };
+}
+
+// Per-request memo, like historyLoader
+function balanceLoader(env) {
+  const memo = new Map();
+  return (address, net) => {
+    const key = `${net.id}:${address}`;
+    if (!memo.has(key)) memo.set(key, fetchBalance(address, net, env));
+    return memo.get(key);
+  };
+}
+
+// Native value moved in and out over the scored history (transfers without
+// a token contract, as in counterpartyFlows)
+function nativeFlowVolume(txs) {
+  let total = 0;
+  for (const tx of txs) {
+    if (!tx.contract) total += Number(tx.amount) || 0;
+  }
+  return total;
+}
+
+// Balance / value fields merged into feats. A balance is "now", so an
+// as-of score gets flow volume only.
+function valueFeatures(txs, net, env, bal) {
+  const price = nativePriceUsd(net, env);
+  const flowVolume = nativeFlowVolume(txs);
+  const out = { flowVolume, valueAsset: net.nativeSymbol };
+  if (price != null) out.flowVolumeUsd = flowVolume * price;
+  if (bal?.ok) {
+    out.balance = bal.balance;
+    if (price != null) out.balanceUsd = bal.balance * price;
+  }
+  return out;
+}
+
+/* ========= Lists ========= */
+
+// OFAC_SET from env plus the EVM entries of data/ofac_list.json; the JSON
+// entries also carry entity names and tags for /ofac and /txs. With asOfMs
+// the snapshot is the one active at that moment: dated entries go through
+// listedAt, Chainabuse reports through their reportedAt (chainabuseReports
+// drops reports filed after the scoring time). The env sets carry no dates,
+// so asOfCoverage names what was and wasn't time-filtered.
+async function buildLists(env, asOfMs = null) {
+  const ofacSet = parseHexSet(env.OFAC_SET);
+  const ofacEntries = new Map();
+  for (const e of OFAC_LIST.entries || []) {
+    const addr = String(e.address || "").toLowerCase();
+    if (!addr.startsWith("0x")) continue;
+    if (asOfMs != null && !listedAt(e, asOfMs)) continue;
+    ofacSet.add(addr);
+    ofacEntries.set(addr, { entity: e.entity || null, tags: e.tags || [] });
+  }
+  const tornadoSet = parseHexSet(env.TORNADO_SET);
+  const mixerEntries = registryEntries(MIXERS.mixers, asOfMs);
+  const chainabuse = await loadChainabuse(env);
+  for (const addr of mixerEntries.keys()) tornadoSet.add(addr);
+  return {
+    ofacSet,
+    ofacEntries,
+    scamSet: parseHexSet(env.SCAM_CLUSTERS),
+    tornadoSet,
+    mixerEntries,
+    custodianEntries: registryEntries(CUSTODIANS.custodians, asOfMs),
+    chainabuse: chainabuseLookup(env),
+    // publication dates feed the list-freshness part of confidence
+    listsUpdated: {
+      ofac: OFAC_LIST.last_updated || null,
+      chainabuse: chainabuse.lastUpdated,
+    },
+    overrides: overrideLookup(env, asOfMs ?? Date.now()),
+    ...(asOfMs == null ? {} : { asOfCoverage: asOfCoverage(env) }),
+  };
+}
+
+// Which list sources an as-of snapshot could date. A registry counts as
+// time-filtered only if every entry has listed_on; governance overrides are
+// always filtered (isActiveOverride).
+function asOfCoverage(env) {
+  const dated = (entries) => (entries || []).every((e) => e.listed_on);
+  const sources = {
+    ofac_list: dated(OFAC_LIST.entries),
+    mixers: dated(MIXERS.mixers),
+    custodians: dated(CUSTODIANS.custodians),
+    chainabuse: true,
+    overrides: true,
+  };
+  for (const name of ["OFAC_SET", "TORNADO_SET", "SCAM_CLUSTERS"]) {
+    if (env[name]) sources[name] = false;
+  }
+  const names = Object.keys(sources);
+  return {
+    timeFiltered: names.filter((n) => sources[n]),
+    notTimeFiltered: names.filter((n) => !sources[n]),
+  };
+}
+
+// Normalized reports (see workers/chainabuse.worker.js). The ingestion
+// worker shards the CHAINABUSE KV per address – reports:<network>:<address>
+// holds that address's reports, "meta" the publication date – so scoring
+// reads one key per scored address. Without the binding (or if a read
+// fails) the bundled snapshot is used. The meta document is re-read at most
+// every CHAINABUSE_TTL_MS per isolate.
+const CHAINABUSE_TTL_MS = 5 * 60 * 1000;
+const CHAINABUSE_SHARD_PREFIX = "reports:";
+let chainabuseCache = { at: 0, loaded: null };
+let chainabuseSnapshotIndex = null;
+
+// Bundled snapshot as `${network}:${address}` → reports
+function chainabuseSnapshot() {
+  if (!chainabuseSnapshotIndex) {
+    chainabuseSnapshotIndex = new Map();
+    for (const r of CHAINABUSE_SNAPSHOT.reports || []) {
+      const addr = String(r.address || "").toLowerCase();
+      if (!addr.startsWith("0x")) continue;
+      const key = `${r.network || "eth"}:${addr}`;
+      if (!chainabuseSnapshotIndex.has(key)) chainabuseSnapshotIndex.set(key, []);
+      chainabuseSnapshotIndex.get(key).push(r);
+    }
+  }
+  return chainabuseSnapshotIndex;
+}
+
+// → { lastUpdated }
+async function loadChainabuse(env) {
+  if (chainabuseCache.loaded && Date.now() - chainabuseCache.at < CHAINABUSE_TTL_MS) {
+    return chainabuseCache.loaded;
+  }
+  let meta = null;
+  if (env.CHAINABUSE) {
+    try {
+      meta = await env.CHAINABUSE.get("meta", "json");
+    } catch {
+      // fall back to the bundled snapshot
+    }
+  }
+  const loaded = { lastUpdated: (meta || CHAINABUSE_SNAPSHOT).last_updated || null };
+  chainabuseCache = { at: Date.now(), loaded };
+  return loaded;
+}
+
+// Per-request reports behind the `${network}:${address}` get() the model
+// reads; scoreAddress awaits load() first, like overrideLookup.
+function chainabuseLookup(env) {
+  const loadedReports = new Map();
+  const loading = new Map();
+  const readShard = async (network, address) => {
+    const key = `${network}:${address}`;
+    if (env.CHAINABUSE) {
+      try {
+        return (await env.CHAINABUSE.get(`${CHAINABUSE_SHARD_PREFIX}${key}`, "json")) || [];
+      } catch {
+        // fall back to the bundled snapshot
+      }
+    }
+    return chainabuseSnapshot().get(key) || [];
+  };
+  return {
+    get: (key) => loadedReports.get(key),
+    load(network, address) {
+      const key = `${network}:${address}`;
+      if (!loading.has(key)) {
+        loading.set(key, readShard(network, address).then((reports) => {
+          if (reports.length) loadedReports.set(key, reports);
+        }));
+      }
+      return loading.get(key);
+    },
+  };
+}
+
+// Point-in-time snapshot: an entry counts from listed_on until delisted_on.
+// Entries without dates (and the env sets) are treated as always listed.
+function listedAt(entry, ms) {
+  const from = Date.parse(entry.listed_on || "");
+  const until = Date.parse(entry.delisted_on || "");
+  return !(from > ms) && !(until <= ms);
+}
+
+// data/custodians.json / data/mixers.json → Map addr → { name, category, riskLevel }
+// (EVM addresses only; the registries also carry bitcoin entries). Entries
+// may carry listed_on / delisted_on like the OFAC list.
+function registryEntries(entries, asOfMs = null) {
+  const map = new Map();
+  for (const e of entries || []) {
+    if (asOfMs != null && !listedAt(e, asOfMs)) continue;
+    for (const raw of e.addresses || []) {
+      const addr = String(raw).toLowerCase();
+      if (!addr.startsWith("0x")) continue;
+      map.set(addr, {
+        name: e.name,
+        category: e.category || "Mixer",
+        riskLevel: e.risk_level || "unknown",
+      });
+    }
+  }
+  return map;
+}
+
+// Registry entity (custodian / mixer / OFAC designation) behind an address
+function entityFor(addr, lists) {
+  const custodian = lists.custodianEntries?.get(addr);
+  if (custodian) return { type: "custodian", ...custodian };
+  const mixer = lists.mixerEntries?.get(addr);
+  if (mixer) return { type: "mixer", ...mixer };
+  const ofac = lists.ofacEntries?.get(addr);
+  if (ofac?.entity) return { type: "ofac", name: ofac.entity, category: "Sanctioned", riskLevel: "critical" };
+  return null;
+}
+
+// Short human label for an address, used as fromTag / toTag in /txs
+function addressTag(addr, lists) {
+  if (!addr) return "";
+  if (lists.ofacSet.has(addr)) {
+    const entity = lists.ofacEntries.get(addr)?.entity;
+    return entity ? `OFAC: ${entity}` : "OFAC";
+  }
+  const entity = entityFor(addr, lists);
+  if (entity) return entity.name;
+  if (lists.tornadoSet.has(addr)) return "Mixer";
+  if (lists.scamSet.has(addr)) return "Scam cluster";
+  return "";
+}
+
+/* ========= Feature extraction ========= */
+
+function buildFeatures(address, txs, nowMs, lists = {}, network = "eth") {
+  const addr = address.toLowerCase();
+  const reports = chainabuseReports(addr, network, nowMs, lists);
+  const txList = Array.isArray(txs) ? txs : [];
+  if (!txList.length) {
+    return {
+      ageDays: 0,
+      firstSeenMs: null,
+      txCount: 0,
+      activeDays: 0,
+      txPerDay: 0,
+      burstScore: 0,
+      uniqueCounterparties: 0,
+      topCounterpartyShare: 0,
+      isDormant: false,
+      dormantDays: 0,
+      resurrectedRecently: false,
+      neighborCount: 0,
+      sanctionedNeighborRatio: 0,
+      highRiskNeighborRatio: 0,
+      scamNeighborRatio: 0,
+      dormantNeighborRatio: 0,
+      mixerProximity: 0,
+      custodianExposure: 0,
+      scamPlatformExposure: 0,
+      flaggedNeighbors: [],
+      chainabuseReports: reports,
+      flow: flowConcentration(addr, []),
+      tokenTransferCount: 0,
+      assetBreakdown: [],
+      local: {
+        riskyNeighborRatio: 0,
+        neighborAvgTx: 0,
+        neighborAvgAgeDays: 0,
+        neighborCount: 0,
+      },
+    };
+  }
+
+  // Sort oldest → newest by timestamp
+  txList.sort((a, b) => (a.timeStamp || 0) - (b.timeStamp || 0));
+
+  const firstTs = txList[0].timeStamp || nowMs;
+  const lastTs = txList[txList.length - 1].timeStamp || nowMs;
+  const ageDays = (nowMs - firstTs) / (1000 * 60 * 60 * 24);
+  const spanDays = Math.max(1, (lastTs - firstTs) / (1000 * 60 * 60 * 24));
+  const txCount = txList.length;
+  const txPerDay = txCount / spanDays;
+
+  // Burst metric – crude: max tx/day / avg tx/day
+  const perDay = new Map();
+  for (const tx of txList) {
+    const d = Math.floor((tx.timeStamp || nowMs) / (1000 * 60 * 60 * 24));
+    perDay.set(d, (perDay.get(d) || 0) + 1);
+  }
+  const maxPerDay = Math.max(...perDay.values());
+  const burstScore = txPerDay > 0 ? clamp(maxPerDay / txPerDay, 0, 10) / 10 : 0;
+
+  // Counterparty stats
+  const cpCounts = new Map(); // other address → count
+  for (const tx of txList) {
+    const from = tx.from?.toLowerCase();
+    const to = tx.to?.toLowerCase();
+    let other = null;
+    if (from === addr && to && to !== addr) other = to;
+    else if (to === addr && from && from !== addr) other = from;
+    if (other) cpCounts.set(other, (cpCounts.get(other) || 0) + 1);
+  }
+
+  const uniqueCounterparties = cpCounts.size;
+  const totalCpTx = [...cpCounts.values()].reduce((a, b) => a + b, 0) || 1;
+  const topCounterpartyShare = totalCpTx
+    ? Math.max(...cpCounts.values(), 0) / totalCpTx
+    : 0;
 
   // Dormancy – if no tx in last 90 days but age > 180d
   const daysSinceLast =
     (nowMs - (lastTs || nowMs)) / (1000 * 60 * 60 * 24);
   const isDormant = ageDays > 180 && daysSinceLast > 90;
 
-  // Neighbor details – only basic for now
+  // Neighbor exposure – listed counterparties, weighted by interaction count
+  const exposure = neighborExposure(cpCounts, totalCpTx, lists);
+
   const neighborCount = uniqueCounterparties;
   const local = {
-    riskyNeighborRatio: 0,
+    riskyNeighborRatio: exposure.highRiskNeighborRatio,
     neighborAvgTx: uniqueCounterparties
       ? totalCpTx / uniqueCounterparties
       : 0,
@@ -260,66 +1472,403 @@ function buildFeatures(address, txs, nowMs) {
     dormantDays: daysSinceLast,
     resurrectedRecently: !isDormant && daysSinceLast < 14 && ageDays > 60,
     neighborCount,
-    sanctionedNeighborRatio: 0,
-    highRiskNeighborRatio: 0,
+    sanctionedNeighborRatio: exposure.sanctionedNeighborRatio,
+    highRiskNeighborRatio: exposure.highRiskNeighborRatio,
+    scamNeighborRatio: exposure.scamNeighborRatio,
     dormantNeighborRatio: 0,
-    mixerProximity: 0,
-    custodianExposure: 0,
+    mixerProximity: exposure.mixerProximity,
+    custodianExposure: exposure.custodianExposure,
     scamPlatformExposure: 0,
+    flaggedNeighbors: exposure.flaggedNeighbors,
+    chainabuseReports: reports,
+    flow: flowConcentration(addr, txList),
+    tokenTransferCount: txList.filter((tx) => tx.category && tx.category !== "external").length,
+    assetBreakdown: assetBreakdown(addr, txList),
     local,
   };
 }
 
+// Reports filed against the address up to nowMs, with their age in months
+// (decay is applied by scoring, from the ruleset's half-life)
+function chainabuseReports(addr, network, nowMs, lists) {
+  const rows = lists.chainabuse?.get(`${network}:${addr}`) || [];
+  const out = [];
+  for (const r of rows) {
+    const ts = Date.parse(r.reportedAt);
+    if (!Number.isFinite(ts) || ts > nowMs) continue;
+    out.push({
+      category: r.category,
+      reportedAt: r.reportedAt,
+      count: r.count || 1,
+      ageMonths: (nowMs - ts) / (1000 * 60 * 60 * 24 * 30.44),
+    });
+  }
+  return out;
+}
+
+const MAX_FLAGGED_NEIGHBORS = 20;
+
+// Share of counterparty interactions that touch OFAC / scam-cluster / mixer
+// addresses, plus the share that goes through low-risk custodians. Every
+// matched neighbor is kept (top MAX_FLAGGED_NEIGHBORS by interactions) so the
+// narrative can name them.
+function neighborExposure(cpCounts, totalCpTx, lists) {
+  const ofacSet = lists.ofacSet || new Set();
+  const scamSet = lists.scamSet || new Set();
+  const tornadoSet = lists.tornadoSet || new Set();
+  const custodianEntries = lists.custodianEntries || new Map();
+
+  let sanctioned = 0;
+  let risky = 0;
+  let mixer = 0;
+  let scamOnly = 0;
+  let custodian = 0;
+  const flagged = [];
+  for (const [cp, interactions] of cpCounts) {
+    if (custodianEntries.get(cp)?.riskLevel === "low") custodian += interactions;
+    const hits = [];
+    if (ofacSet.has(cp)) hits.push("ofac");
+    if (scamSet.has(cp)) hits.push("scamCluster");
+    if (tornadoSet.has(cp)) hits.push("tornado");
+    if (!hits.length) continue;
+    if (hits.includes("ofac")) sanctioned += interactions;
+    if (hits.includes("tornado")) mixer += interactions;
+    else if (!hits.includes("ofac")) scamOnly += interactions;
+    risky += interactions;
+    flagged.push({ address: cp, lists: hits, interactions, entity: entityFor(cp, lists)?.name || null });
+  }
+
+  flagged.sort((a, b) => b.interactions - a.interactions);
+  return {
+    sanctionedNeighborRatio: sanctioned / totalCpTx,
+    highRiskNeighborRatio: risky / totalCpTx,
+    scamNeighborRatio: scamOnly / totalCpTx,
+    mixerProximity: mixer / totalCpTx,
+    custodianExposure: custodian / totalCpTx,
+    flaggedNeighbors: flagged.slice(0, MAX_FLAGGED_NEIGHBORS),
+  };
+}
+
+// Per-asset flow summary – native coin plus one row per token contract
+function assetBreakdown(addr, txList) {
+  const byAsset = new Map();
+  for (const tx of txList) {
+    const key = tx.contract || "native";
+    let row = byAsset.get(key);
+    if (!row) {
+      row = {
+        asset: tx.asset || null,
+        category: tx.category || "external",
+        contract: tx.contract || null,
+        decimals: tx.decimals ?? null,
+        transfers: 0,
+        inCount: 0,
+        outCount: 0,
+        amountIn: 0,
+        amountOut: 0,
+        counterparties: new Set(),
+      };
+      byAsset.set(key, row);
+    }
+    row.transfers++;
+    const from = tx.from?.toLowerCase();
+    const to = tx.to?.toLowerCase();
+    const amount = Number(tx.amount) || 0;
+    if (from === addr && to !== addr) {
+      row.outCount++;
+      row.amountOut += amount;
+      if (to) row.counterparties.add(to);
+    } else if (to === addr && from !== addr) {
+      row.inCount++;
+      row.amountIn += amount;
+      if (from) row.counterparties.add(from);
+    }
+  }
+  return [...byAsset.values()]
+    .map((row) => ({ ...row, counterparties: row.counterparties.size }))
+    .sort((a, b) => b.transfers - a.transfers);
+}
+
+const FLOW_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Fan-in / fan-out shape of the history: distinct senders and receivers
+// overall and in the busiest FLOW_WINDOW_MS window, plus the Gini of value
+// per counterparty (0 = even split, → 1 = one counterparty dominates).
+// Amounts only compare within one asset, so the Gini is taken per asset
+// (native, or a token contract) and reported for the asset with the most
+// counterparties; null when no asset was moved to or from at least two.
+function flowConcentration(addr, txList) {
+  const senders = new Set();
+  const receivers = new Set();
+  const inByAsset = new Map(); // asset → (from → value received)
+  const outByAsset = new Map(); // asset → (to → value sent)
+  const windows = new Map(); // window index → { senders, receivers }
+  for (const tx of txList) {
+    const from = tx.from?.toLowerCase();
+    const to = tx.to?.toLowerCase();
+    const inbound = to === addr && from && from !== addr;
+    const outbound = from === addr && to && to !== addr;
+    if (!inbound && !outbound) continue;
+
+    const value = Number(tx.amount) || 0;
+    const asset = tx.contract ? tx.contract.toLowerCase() : "native";
+    const w = Math.floor((tx.timeStamp || 0) / FLOW_WINDOW_MS);
+    if (!windows.has(w)) windows.set(w, { senders: new Set(), receivers: new Set() });
+    const [parties, byAsset, other] = inbound
+      ? [senders, inByAsset, from]
+      : [receivers, outByAsset, to];
+    parties.add(other);
+    windows.get(w)[inbound ? "senders" : "receivers"].add(other);
+    if (!byAsset.has(asset)) byAsset.set(asset, new Map());
+    const amounts = byAsset.get(asset);
+    amounts.set(other, (amounts.get(other) || 0) + value);
+  }
+
+  let peakSendersPerWindow = 0;
+  let peakReceiversPerWindow = 0;
+  for (const w of windows.values()) {
+    peakSendersPerWindow = Math.max(peakSendersPerWindow, w.senders.size);
+    peakReceiversPerWindow = Math.max(peakReceiversPerWindow, w.receivers.size);
+  }
+
+  return {
+    windowHours: FLOW_WINDOW_MS / (60 * 60 * 1000),
+    uniqueSenders: senders.size,
+    uniqueReceivers: receivers.size,
+    peakSendersPerWindow,
+    peakReceiversPerWindow,
+    inGini: assetGini(inByAsset),
+    outGini: assetGini(outByAsset),
+  };
+}
+
+// Gini of the asset with the most valued counterparties, or null
+function assetGini(byAsset) {
+  let best = null;
+  for (const amounts of byAsset.values()) {
+    const values = [...amounts.values()].filter((v) => v > 0);
+    if (values.length >= 2 && (!best || values.length > best.length)) best = values;
+  }
+  return best ? gini(best) : null;
+}
+
+function gini(values) {
+  const xs = values.filter((v) => v > 0).sort((a, b) => a - b);
+  const n = xs.length;
+  const total = xs.reduce((a, b) => a + b, 0);
+  if (n < 2 || !total) return 0;
+  let acc = 0;
+  xs.forEach((x, i) => {
+    acc += (2 * (i + 1) - n - 1) * x;
+  });
+  return acc / (n * total);
+}
+
+/* ========= Ruleset ========= */
+
+// Shape a ruleset document (data/heuristics.json) must have before scoring
+// uses it. Leaves are type names; listed keys are required, extra keys are
+// allowed so rulesets can carry sections other consumers read.
+const RULESET_SCHEMA = {
+  version: "string",
+  score: numberKeys([
+    "min", "max", "base_score", "block_threshold", "warn_threshold", "confidence_floor",
+  ]),
+  weights: numberKeys([
+    "ofac_direct", "ofac_one_hop",
+    "mixer_direct", "mixer_one_hop", "scam_cluster_direct", "scam_mixer_combo", "risky_one_hop",
+    "young_wallet_lt_7d", "young_wallet_lt_30d", "young_wallet_30_90d",
+    "young_wallet_90_180d", "wallet_180d_2y", "aged_wallet_gt_2y",
+    "velocity_extreme", "velocity_high", "velocity_mild",
+    "mix_concentrated", "mix_diversified",
+    "neighbors_count_high", "neighbors_count_mid",
+    "neighbors_inactive_ratio_per_0_1", "neighbors_avg_tx_high", "neighbors_avg_age_low",
+    "dormant_resurrection",
+    "custodian_dampener",
+    "chainabuse_reports_1_2", "chainabuse_reports_ge_3", "chainabuse_category_bump",
+    "fan_in_high", "fan_out_burst",
+    "tx_value_spike", "tx_first_interaction", "tx_contract_creation", "tx_zero_value_spoof",
+  ]),
+  thresholds: numberKeys([
+    "age_lt_7d_days", "age_lt_30d_days", "age_lt_90d_days", "age_lt_180d_days", "age_lt_2y_days",
+    "velocity_extreme_tx_per_day", "velocity_extreme_burst",
+    "velocity_high_tx_per_day", "velocity_high_burst",
+    "velocity_mild_tx_per_day", "velocity_mild_burst",
+    "mix_concentrated_max_counterparties", "mix_concentrated_top_share",
+    "mix_diversified_min_counterparties", "mix_diversified_top_share",
+    "neighbor_exposure_full_ratio", "ofac_one_hop_floor", "risky_one_hop_floor", "mixer_one_hop_floor",
+    "neighbors_count_high", "neighbors_count_mid",
+    "neighbors_inactive_ratio_high", "neighbors_avg_tx_high", "neighbors_avg_age_low_days",
+    "dormant_min_age_days",
+    "fan_in_senders_per_window", "fan_out_receivers_per_window",
+    "collector_min_senders", "collector_max_receivers",
+    "distributor_min_receivers", "distributor_max_senders", "flow_even_gini",
+    "tx_value_spike_multiple", "tx_value_min_history", "tx_lookalike_chars",
+  ]),
+  decay: numberKeys(["reports_months_half_life"]),
+  chainabuse: { bump_categories: "array" },
+  governance: numberKeys(["allow_score_cap"]),
+  confidence: numberKeys([
+    "provider_failed", "partial_history", "sparse_neighbor_threshold",
+    "sparse_neighbors_min", "list_stale_days", "list_stale_factor",
+  ]),
+  bands: "bands",
+  platform_risk: numberKeys(["elevated", "neutral", "watch"]),
+};
+
+function numberKeys(keys) {
+  return Object.fromEntries(keys.map((k) => [k, "number"]));
+}
+
+// → list of human-readable problems; empty when the document is usable
+function validateRuleset(doc, schema = RULESET_SCHEMA, path = "") {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return [`${path || "ruleset"} must be an object`];
+  }
+  const errors = [];
+  for (const [key, type] of Object.entries(schema)) {
+    const at = path ? `${path}.${key}` : key;
+    const value = doc[key];
+    if (value === undefined) {
+      errors.push(`${at} is required`);
+    } else if (typeof type === "object") {
+      errors.push(...validateRuleset(value, type, at));
+    } else if (type === "bands") {
+      const entries = value && typeof value === "object" ? Object.entries(value) : [];
+      if (!entries.length) errors.push(`${at} must be a non-empty object`);
+      for (const [name, range] of entries) {
+        const ok = Array.isArray(range) && range.length === 2 &&
+          range.every(Number.isFinite) && range[0] <= range[1];
+        if (!ok) errors.push(`${at}.${name} must be [lo, hi]`);
+      }
+    } else if (type === "array") {
+      if (!Array.isArray(value)) errors.push(`${at} must be an array`);
+    } else if (type === "number" ? !Number.isFinite(value) : typeof value !== type) {
+      errors.push(`${at} must be a ${type}`);
+    }
+  }
+  return errors;
+}
+
+function loadRuleset(doc) {
+  const errors = validateRuleset(doc);
+  if (errors.length) {
+    throw new Error(`Invalid ruleset ${doc?.version || "(no version)"}: ${errors.join("; ")}`);
+  }
+  return doc;
+}
+
+const DEFAULT_RULESET = loadRuleset(HEURISTICS);
+
+// RULESET_JSON swaps in a different ruleset without a redeploy of the data
+// file; it is validated once per distinct value.
+let rulesetCache = { raw: null, ruleset: DEFAULT_RULESET };
+
+function activeRuleset(env) {
+  const raw = env.RULESET_JSON;
+  if (!raw) return DEFAULT_RULESET;
+  if (rulesetCache.raw !== raw) {
+    const doc = typeof raw === "string" ? JSON.parse(raw) : raw;
+    rulesetCache = { raw, ruleset: loadRuleset(doc) };
+  }
+  return rulesetCache.ruleset;
+}
+
+function bandFor(score, bands) {
+  const s = Math.round(score);
+  for (const [name, [lo, hi]] of Object.entries(bands)) {
+    if (s >= lo && s <= hi) return name;
+  }
+  return "unknown";
+}
+
+// weight × (floor … 1), reaching the full weight once x ≥ 1
+function exposureImpact(weight, floor, x) {
+  return Math.round(weight * (floor + (1 - floor) * Math.min(1, x)));
+}
+
+// 0…1 trust in a result: the product of one factor per weakness, so a
+// synthetic (all-providers-failed) history alone drives it to 0.
+// `history` is the fetch metadata ({ provider, historyComplete }); callers
+// without it are assumed to have a real, complete history.
+function confidenceFor(feats, history, lists, ruleset) {
+  const C = ruleset.confidence;
+  const factors = {
+    provider: history.provider === null ? C.provider_failed : 1,
+    history: history.historyComplete === false ? C.partial_history : 1,
+    neighbors: 1,
+    lists: 1,
+  };
+
+  const n = feats.neighborCount || 0;
+  if (n < C.sparse_neighbor_threshold) {
+    factors.neighbors = C.sparse_neighbors_min +
+      (1 - C.sparse_neighbors_min) * (n / C.sparse_neighbor_threshold);
+  }
+
+  const dates = Object.values(lists.listsUpdated || {})
+    .map((d) => Date.parse(d))
+    .filter(Number.isFinite);
+  if (dates.length) {
+    const staleDays = (Date.now() - Math.min(...dates)) / (1000 * 60 * 60 * 24);
+    if (staleDays > C.list_stale_days) factors.lists = C.list_stale_factor;
+  }
+
+  const value = Object.values(factors).reduce((a, b) => a * b, 1);
+  return { value: Math.round(value * 100) / 100, factors };
+}
+
 /* ========= Risk model (same logic as lib/risk-model.js) ========= */
 
-function scoreWithLists(address, network, feats, lists) {
+function scoreWithLists(address, network, feats, lists, ruleset = DEFAULT_RULESET, history = {}) {
   const addr = address.toLowerCase();
   const {
     ofacSet,
     scamSet,
     tornadoSet,
   } = lists;
+  const W = ruleset.weights;
+  const T = ruleset.thresholds;
 
   const parts = {};
   const notes = [];
-  const baseScore = 15;
+  const baseScore = ruleset.score.base_score;
 
   /* ---- Age ---- */
   const d = feats.ageDays;
-  let ageImpact = 0;
-  let ageBucket = "unknown";
-  if (d <= 7) {
-    ageImpact = 25;
-    ageBucket = "< 1 week";
-  } else if (d <= 180) {
-    ageImpact = 10;
-    ageBucket = "1w–6m";
-  } else if (d <= 730) {
-    ageImpact = 2;
-    ageBucket = "6m–2y";
-  } else if (d > 730) {
-    ageImpact = -10;
-    ageBucket = "> 2y";
-  }
+  const AGE_RULES = [
+    [T.age_lt_7d_days, "young_wallet_lt_7d", "< 1 week"],
+    [T.age_lt_30d_days, "young_wallet_lt_30d", "1w–30d"],
+    [T.age_lt_90d_days, "young_wallet_30_90d", "30d–90d"],
+    [T.age_lt_180d_days, "young_wallet_90_180d", "90d–6m"],
+    [T.age_lt_2y_days, "wallet_180d_2y", "6m–2y"],
+    [Infinity, "aged_wallet_gt_2y", "> 2y"],
+  ];
+  const ageRule = Number.isFinite(d) ? AGE_RULES.find(([maxDays]) => d <= maxDays) : null;
+  const ageImpact = ageRule ? W[ageRule[1]] : 0;
   parts.age = {
     id: "age",
     label: "Wallet age",
     impact: ageImpact,
-    details: { ageDays: d, bucket: ageBucket },
+    details: {
+      ageDays: d,
+      bucket: ageRule ? ageRule[2] : "unknown",
+      rule: ageRule ? ageRule[1] : null,
+    },
   };
 
   /* ---- Velocity ---- */
   const { txPerDay, burstScore } = feats;
   let velImpact = 0;
   let velBucket = "normal";
-  if (txPerDay > 50 || burstScore > 0.8) {
-    velImpact = 22;
+  if (txPerDay > T.velocity_extreme_tx_per_day || burstScore > T.velocity_extreme_burst) {
+    velImpact = W.velocity_extreme;
     velBucket = "extreme";
-  } else if (txPerDay > 10 || burstScore > 0.6) {
-    velImpact = 14;
+  } else if (txPerDay > T.velocity_high_tx_per_day || burstScore > T.velocity_high_burst) {
+    velImpact = W.velocity_high;
     velBucket = "high";
-  } else if (txPerDay >= 1 || burstScore > 0.4) {
-    velImpact = 4;
+  } else if (txPerDay >= T.velocity_mild_tx_per_day || burstScore > T.velocity_mild_burst) {
+    velImpact = W.velocity_mild;
     velBucket = "mild";
   }
   parts.velocity = {
@@ -333,11 +1882,17 @@ function scoreWithLists(address, network, feats, lists) {
   const { uniqueCounterparties, topCounterpartyShare } = feats;
   let mixImpact = 0;
   let mixBucket = "balanced";
-  if (uniqueCounterparties <= 2 && topCounterpartyShare > 0.8) {
-    mixImpact = 14;
+  if (
+    uniqueCounterparties <= T.mix_concentrated_max_counterparties &&
+    topCounterpartyShare > T.mix_concentrated_top_share
+  ) {
+    mixImpact = W.mix_concentrated;
     mixBucket = "concentrated";
-  } else if (uniqueCounterparties >= 8 && topCounterpartyShare < 0.3) {
-    mixImpact = -2;
+  } else if (
+    uniqueCounterparties >= T.mix_diversified_min_counterparties &&
+    topCounterpartyShare < T.mix_diversified_top_share
+  ) {
+    mixImpact = W.mix_diversified;
     mixBucket = "diversified";
   }
   parts.mix = {
@@ -351,11 +1906,41 @@ function scoreWithLists(address, network, feats, lists) {
     },
   };
 
-  /* ---- Neighbor risk (placeholder – no sanctions on neighbors yet) ---- */
+  /* ---- Neighbor risk: listed counterparties, then neighborhood size ---- */
   let neighborImpact = 0;
   const neighborCount = feats.neighborCount || 0;
-  if (neighborCount >= 30) neighborImpact = 6;
-  else if (neighborCount >= 10) neighborImpact = 3;
+  const sanctionedRatio = feats.sanctionedNeighborRatio || 0;
+  const mixerRatio = feats.mixerProximity || 0;
+  const otherRiskRatio = feats.scamNeighborRatio || 0;
+  const fullRatio = T.neighbor_exposure_full_ratio;
+  if (sanctionedRatio > 0) {
+    // any sanctioned exposure counts; heavy exposure earns the full weight
+    neighborImpact += exposureImpact(W.ofac_one_hop, T.ofac_one_hop_floor, sanctionedRatio / fullRatio);
+  }
+  if (mixerRatio > 0) {
+    neighborImpact += exposureImpact(W.mixer_one_hop, T.mixer_one_hop_floor, mixerRatio / fullRatio);
+  }
+  if (otherRiskRatio > 0) {
+    neighborImpact += exposureImpact(W.risky_one_hop, T.risky_one_hop_floor, otherRiskRatio / fullRatio);
+  }
+  if (neighborCount >= T.neighbors_count_high) neighborImpact += W.neighbors_count_high;
+  else if (neighborCount >= T.neighbors_count_mid) neighborImpact += W.neighbors_count_mid;
+
+  const inactiveRatio = feats.dormantNeighborRatio || 0;
+  if (inactiveRatio >= T.neighbors_inactive_ratio_high) {
+    neighborImpact += W.neighbors_inactive_ratio_per_0_1 * Math.floor(inactiveRatio * 10);
+  }
+  const local = feats.local || {};
+  if ((local.neighborAvgTx || 0) >= T.neighbors_avg_tx_high) {
+    neighborImpact += W.neighbors_avg_tx_high;
+  }
+  // 0 means "not measured" for neighbor age
+  if (local.neighborAvgAgeDays > 0 && local.neighborAvgAgeDays < T.neighbors_avg_age_low_days) {
+    neighborImpact += W.neighbors_avg_age_low;
+  }
+
+  const flaggedNeighbors = feats.flaggedNeighbors || [];
+  const flaggedLists = new Set(flaggedNeighbors.flatMap((n) => n.lists));
 
   parts.neighbor = {
     id: "neighbor",
@@ -363,16 +1948,18 @@ function scoreWithLists(address, network, feats, lists) {
     impact: neighborImpact,
     details: {
       neighborCount,
-      sanctionedNeighborRatio: feats.sanctionedNeighborRatio,
-      highRiskNeighborRatio: feats.highRiskNeighborRatio,
-      mixedCluster: false,
+      sanctionedNeighborRatio: sanctionedRatio,
+      highRiskNeighborRatio: feats.highRiskNeighborRatio || 0,
+      mixerProximity: mixerRatio,
+      mixedCluster: flaggedLists.size > 1,
+      flagged: flaggedNeighbors,
     },
   };
 
   /* ---- Dormancy patterns ---- */
   let dormantImpact = 0;
-  if (feats.isDormant && feats.ageDays > 365) {
-    dormantImpact = 4;
+  if (feats.isDormant && feats.ageDays > T.dormant_min_age_days) {
+    dormantImpact = W.dormant_resurrection;
   }
   parts.dormant = {
     id: "dormant",
@@ -389,29 +1976,61 @@ function scoreWithLists(address, network, feats, lists) {
   let listsImpact = 0;
   const listDetails = {};
 
+  const entity = entityFor(addr, lists);
   const ofacHit = ofacSet.has(addr);
   if (ofacHit) {
-    listsImpact += 70;
+    listsImpact += W.ofac_direct;
     listDetails.ofac = true;
     notes.push("OFAC / sanctions list match");
   }
 
   if (scamSet.has(addr)) {
     // Stronger hit – we want standalone scam cluster ~75–85
-    listsImpact += 55;
+    listsImpact += W.scam_cluster_direct;
     listDetails.scamCluster = true;
   }
 
   if (tornadoSet.has(addr)) {
     // Mixer proximity – moderate by itself
-    listsImpact += 30;
+    listsImpact += W.mixer_direct;
     listDetails.tornado = true;
   }
 
   // Combo bonus: Tornado + Sketchy cluster
   if (listDetails.tornado && listDetails.scamCluster) {
-    listsImpact += 35; // pushes into 80–95 band
+    listsImpact += W.scam_mixer_combo; // pushes into 80–95 band
+  }
+
+  // Chainabuse reports: each report's weight halves every half-life months
+  const halfLife = ruleset.decay.reports_months_half_life;
+  const bumpCategories = new Set(ruleset.chainabuse.bump_categories);
+  const reports = feats.chainabuseReports || [];
+  let decayedReports = 0;
+  let categoryBump = false;
+  for (const r of reports) {
+    const decay = Math.pow(0.5, r.ageMonths / halfLife);
+    decayedReports += r.count * decay;
+    if (bumpCategories.has(r.category) && decay >= 0.5) categoryBump = true;
+  }
+  if (reports.length) {
+    listsImpact += decayedReports >= 3
+      ? W.chainabuse_reports_ge_3
+      : Math.round(W.chainabuse_reports_1_2 * Math.min(1, decayedReports));
+    if (categoryBump) listsImpact += W.chainabuse_category_bump;
+    listDetails.chainabuse = {
+      reports: reports.reduce((n, r) => n + r.count, 0),
+      decayedReports: Math.round(decayedReports * 100) / 100,
+      categories: [...new Set(reports.map((r) => r.category))],
+      categoryBump,
+    };
+  }
+
+  // Registry platforms that are not plain custodians (e.g. DEX aggregators on watch)
+  if (entity?.type === "custodian" && entity.riskLevel !== "low") {
+    listsImpact += ruleset.platform_risk[entity.riskLevel] || 0;
+    listDetails.platform = entity.riskLevel;
   }
+  if (entity) listDetails.entity = entity.name;
 
   parts.lists = {
     id: "lists",
@@ -420,40 +2039,123 @@ function scoreWithLists(address, network, feats, lists) {
     details: listDetails,
   };
 
-  /* ---- Concentration placeholder ---- */
+  /* ---- Custodian dampener: the address itself, else its custodian flows ---- */
+  const custodianDirect = entity?.type === "custodian" && entity.riskLevel === "low";
+  const custodianShare = custodianDirect ? 1 : feats.custodianExposure || 0;
+  // a list hit (sanctions, scam cluster, mixer, Chainabuse reports) is never softened
+  const listHit = ofacHit || !!(listDetails.scamCluster || listDetails.tornado || listDetails.chainabuse);
+  const custodianImpact = listHit ? 0 : exposureImpact(W.custodian_dampener, 0, custodianShare / fullRatio);
+  parts.custodian = {
+    id: "custodian",
+    label: ruleset.custodian?.explain_label || "Custodian (reduced risk)",
+    impact: custodianImpact,
+    details: {
+      direct: custodianDirect,
+      custodianExposure: feats.custodianExposure || 0,
+      entity: custodianDirect ? entity.name : null,
+    },
+  };
+
+  /* ---- Flow concentration: collectors (fan-in) and payout sprayers (fan-out) ---- */
+  const flow = feats.flow || {};
+  const collector =
+    flow.uniqueSenders >= T.collector_min_senders &&
+    flow.uniqueReceivers <= T.collector_max_receivers;
+  const distributor =
+    flow.uniqueReceivers >= T.distributor_min_receivers &&
+    flow.uniqueSenders <= T.distributor_max_senders;
+  const fanInHigh = collector || flow.peakSendersPerWindow >= T.fan_in_senders_per_window;
+  const fanOutBurst = distributor || flow.peakReceiversPerWindow >= T.fan_out_receivers_per_window;
+  let concentrationImpact = 0;
+  if (fanInHigh) concentrationImpact += W.fan_in_high;
+  if (fanOutBurst) concentrationImpact += W.fan_out_burst;
+  let flowPattern = null;
+  if (collector && distributor) flowPattern = "mixed";
+  else if (collector) flowPattern = "collector";
+  else if (distributor) flowPattern = "distributor";
   parts.concentration = {
     id: "concentration",
     label: "Flow concentration (fan-in/out)",
-    impact: 0,
-    details: {},
+    impact: concentrationImpact,
+    details: {
+      ...flow,
+      pattern: flowPattern,
+      fanInHigh,
+      fanOutBurst,
+      // near-equal amounts to many receivers look scripted
+      evenPayouts: fanOutBurst && flow.outGini != null && flow.outGini <= T.flow_even_gini,
+    },
   };
 
-  const governanceImpact = 0;
-  parts.governance = {
-    id: "governance",
-    label: "Governance / override",
-    impact: governanceImpact,
-    details: {},
-  };
-
-  const rawContribution =
+  /* ---- Governance: manual allow / warn / block pinned by compliance ---- */
+  // The override moves the model score just far enough to land in the pinned
+  // band (warn clamps from both sides, so it can also lower a blocking score);
+  // a direct OFAC match is never allowed through.
+  const modelContribution =
     ageImpact +
     velImpact +
     mixImpact +
     neighborImpact +
     dormantImpact +
     listsImpact +
-    governanceImpact;
+    concentrationImpact +
+    custodianImpact;
+  const modelScore = clamp(baseScore + modelContribution, ruleset.score.min, ruleset.score.max);
+
+  const override = lists.overrides?.get(`${network}:${addr}`) || null;
+  let governanceImpact = 0;
+  let governanceApplied = false;
+  if (override?.action === "block") {
+    governanceImpact = Math.max(0, ruleset.score.block_threshold - modelScore);
+    governanceApplied = true;
+  } else if (override?.action === "warn") {
+    const warnCeiling = Math.max(ruleset.score.warn_threshold, ruleset.score.block_threshold - 1);
+    governanceImpact = clamp(modelScore, ruleset.score.warn_threshold, warnCeiling) - modelScore;
+    governanceApplied = true;
+  } else if (override?.action === "allow") {
+    if (ofacHit) {
+      notes.push("Allow override ignored: direct OFAC match");
+    } else {
+      governanceImpact = Math.min(0, ruleset.governance.allow_score_cap - modelScore);
+      governanceApplied = true;
+    }
+  }
+  parts.governance = {
+    id: "governance",
+    label: "Governance / override",
+    impact: governanceImpact,
+    details: override
+      ? {
+        id: override.id,
+        action: override.action,
+        applied: governanceApplied,
+        reason: override.reason,
+        author: override.author,
+        expiresAt: override.expiresAt || null,
+        modelScore,
+      }
+      : {},
+  };
 
-  let score = clamp(baseScore + rawContribution, 0, 100);
+  const rawContribution = modelContribution + governanceImpact;
+
+  let score = clamp(modelScore + governanceImpact, ruleset.score.min, ruleset.score.max);
+
+  const confidence = confidenceFor(feats, history, lists, ruleset);
+  const inconclusive = confidence.value < ruleset.score.confidence_floor;
 
   const signals = {
     ofacHit,
-    chainabuse: false,
+    chainabuse: reports.length > 0,
     caFraud: false,
     scamPlatform: !!listDetails.scamCluster,
     mixer: !!listDetails.tornado,
-    custodian: false,
+    mixerProximity: mixerRatio,
+    custodian: custodianDirect,
+    custodianName: custodianDirect ? entity.name : null,
+    entity: entity?.name || null,
+    entityType: entity?.type || null,
+    entityCategory: entity?.category || null,
     unifiedSanctions: null,
     chainalysis: null,
     scorechain: null,
@@ -461,12 +2163,16 @@ function scoreWithLists(address, network, feats, lists) {
 
   const explain = {
     version: VERSION,
+    ruleset: ruleset.version,
+    band: bandFor(score, ruleset.bands),
     address: addr,
     network,
     baseScore,
     rawContribution,
     score,
-    confidence: 1,
+    confidence: confidence.value,
+    confidenceFactors: confidence.factors,
+    inconclusive,
     parts,
     feats,
     signals,
@@ -478,6 +2184,7 @@ function scoreWithLists(address, network, feats, lists) {
   explain.mixerLink = !!listDetails.tornado;
   explain.scamHit = !!listDetails.scamCluster;
   explain.sketchyCluster = !!listDetails.scamCluster;
+  explain.governance = governanceApplied ? parts.governance.details : null;
 
   explain.factorImpacts = [
     { id: "age", label: "Wallet age", delta: ageImpact },
@@ -506,6 +2213,21 @@ function scoreWithLists(address, network, feats, lists) {
       label: "External fraud & platform signals",
       delta: listsImpact,
     },
+    {
+      id: "concentration",
+      label: "Flow concentration (fan-in/out)",
+      delta: concentrationImpact,
+    },
+    {
+      id: "custodian",
+      label: parts.custodian.label,
+      delta: custodianImpact,
+    },
+    {
+      id: "governance",
+      label: "Governance / override",
+      delta: governanceImpact,
+    },
   ];
 
   const reasons = [];
@@ -513,13 +2235,24 @@ function scoreWithLists(address, network, feats, lists) {
   if (velImpact > 0) reasons.push("Transaction velocity & bursts");
   if (mixImpact > 0) reasons.push("Counterparty mix & concentration");
   if (neighborImpact > 0) reasons.push("Neighbor & cluster risk");
+  if (concentrationImpact > 0) reasons.push("Flow concentration (fan-in/out)");
+  if (sanctionedRatio > 0) reasons.push("Sanctioned counterparty exposure");
   if (listsImpact > 0 && ofacHit) reasons.push("OFAC / sanctions list match");
   if (listsImpact > 0 && listDetails.scamCluster && !ofacHit)
     reasons.push("Sketchy / scam cluster pattern");
   if (listsImpact > 0 && listDetails.tornado && !ofacHit)
     reasons.push("Mixer proximity pattern");
-
-  const block = !!(ofacHit || score >= 95);
+  if (mixerRatio > 0 && !listDetails.tornado) reasons.push("Mixer counterparty exposure");
+  if (listDetails.chainabuse) reasons.push("Chainabuse abuse reports");
+  if (inconclusive) reasons.push("Low confidence – result inconclusive");
+  if (governanceApplied) reasons.push(`Governance override: ${override.action} (${override.reason})`);
+
+  const governed = governanceApplied ? override.action : null;
+  const block = !!(
+    ofacHit ||
+    governed === "block" ||
+    (!governed && score >= ruleset.score.block_threshold)
+  );
   const sanctionHits = ofacHit ? 1 : 0;
 
   return {
@@ -530,114 +2263,1431 @@ function scoreWithLists(address, network, feats, lists) {
     risk_factors: reasons,
     block,
     sanctionHits,
+    confidence: confidence.value,
+    inconclusive,
     feats,
     explain,
     score,
   };
 }
 
+// asOf ({ ms, block }) truncates history to that point and measures age,
+// dormancy and velocity from it instead of from now.
+// opts.loadBalance (see balanceLoader) adds the current balance to feats
+async function scoreAddress(address, net, lists, loadHistory, ruleset, asOf = null, opts = {}) {
+  const wantBalance = opts.loadBalance && !asOf;
+  const [hist, bal] = await Promise.all([
+    loadHistory(address, net),
+    wantBalance ? opts.loadBalance(address, net) : null,
+    lists.overrides?.load?.(net.id, address),
+    lists.chainabuse?.load?.(net.id, address),
+  ]);
+  const txs = asOf ? hist.txs.filter((tx) => beforeAsOf(tx, asOf)) : hist.txs;
+  // fixture histories score against their recording time (deterministic demos)
+  const nowMs = asOf ? asOf.ms : hist.recordedAt ?? Date.now();
+  const feats = {
+    ...buildFeatures(address, txs, nowMs, lists, net.id),
+    ...valueFeatures(txs, net, opts.env || {}, bal),
+  };
+  const meta = historyMeta(hist);
+  const scored = scoreWithLists(address, net.id, feats, lists, ruleset, meta);
+  if (wantBalance) {
+    meta.balance = bal?.ok
+      ? { ok: true, provider: bal.provider, cached: bal.cached }
+      : { ok: false, errors: bal?.errors || [] };
+  }
+  if (!asOf) return { ...scored, ...meta };
+  const asOfInfo = { ...asOf, lists: lists.asOfCoverage || null };
+  scored.explain.asOf = asOfInfo;
+  return { ...scored, ...meta, asOf: asOfInfo, txConsidered: txs.length };
+}
+
+function beforeAsOf(tx, asOf) {
+  if (asOf.block != null && tx.blockNumber != null) return tx.blockNumber <= asOf.block;
+  return (tx.timeStamp || 0) <= asOf.ms;
+}
+
+// "2024-03-01", "2024-03-01T12:00:00Z" or a block number → { input, ms, iso, block }
+async function resolveAsOf(raw, net, env) {
+  const input = String(raw).trim();
+  let block = null;
+  let ms;
+  if (/^\d+$/.test(input)) {
+    block = Number(input);
+    if (providerMode(env) === "fixture") {
+      ms = fixtureBlockTime(net, block);
+      if (ms === undefined) throw new Error(`Block ${block} on ${net.id} has no recorded timestamp in the bundled fixtures`);
+    }
+    for (const p of providerMode(env) === "fixture" ? [] : net.providers) {
+      try {
+        const b = await rpcCall(p, env, "eth_getBlockByNumber", [`0x${block.toString(16)}`, false]);
+        if (b?.timestamp) {
+          ms = Number(BigInt(b.timestamp)) * 1000;
+          break;
+        }
+      } catch {
+        // try the next provider
+      }
+    }
+    if (ms === undefined) throw new Error(`Could not resolve block ${block} on ${net.id}`);
+  } else {
+    ms = Date.parse(input);
+    if (!Number.isFinite(ms)) throw new Error("asOf must be an ISO date or a block number");
+  }
+  if (ms > Date.now()) throw new Error("asOf must not be in the future");
+  return { input, ms, iso: new Date(ms).toISOString(), block };
+}
+
+// Fixture mode makes no upstream calls, so a block asOf resolves only from
+// a transfer in that exact block in the bundled history / tx fixtures
+function fixtureBlockTime(net, block) {
+  const prefix = `v${FIXTURE_VERSION}:`;
+  for (const [key, doc] of Object.entries(BUNDLED_FIXTURES.fixtures || {})) {
+    const [, kind, network] = key.split(":");
+    if (!key.startsWith(prefix) || network !== net.id) continue;
+    const txs = kind === "history" ? doc.txs || [] : kind === "tx" && doc.tx ? [doc.tx] : [];
+    const hit = txs.find((tx) => tx.blockNumber === block && tx.timeStamp);
+    if (hit) return hit.timeStamp;
+  }
+  return undefined;
+}
+
+// Lets analysts see when features rest on partial data
+function historyMeta(hist) {
+  return {
+    provider: hist.provider,
+    historyComplete: hist.historyComplete,
+    txFetched: hist.txFetched,
+    ...(hist.fixture ? { fixture: hist.fixture } : {}),
+    ...(hist.cache ? { cache: hist.cache } : {}),
+  };
+}
+
+/* ========= Governance overrides ========= */
+
+// Compliance pins an address (per network) to allow / warn / block. Each
+// address keeps its overrides (revoked ones included) under its own
+// GOVERNANCE KV key, override:<network>:<address>, so scoring reads one key
+// and writers for different addresses never touch the same document; a
+// small override-id:<id> pointer lets revoke find the address. Every change
+// is also written to the append-only audit log under its own key. Without
+// the KV binding all of it lives in isolate memory (fine for dev, lost on
+// cold start).
+const GOVERNANCE_ACTIONS = ["allow", "warn", "block"];
+const OVERRIDE_PREFIX = "override:";
+const OVERRIDE_ID_PREFIX = "override-id:";
+const AUDIT_PREFIX = "audit:";
+const DECISION_PREFIX = "decision:";
+const AUDIT_MAX_LIMIT = 1000;
+const AUDIT_MEM_MAX = 5000;
+const governanceMem = {
+  overrides: new Map(),
+  overrideIds: new Map(),
+  audit: [],
+  decisions: new Map(),
+};
+
+const overrideKey = (network, address) => `${OVERRIDE_PREFIX}${network}:${address}`;
+
+// KV lists keys in ascending order, so the timestamp is inverted (and
+// zero-padded) to put the newest entry first.
+const AUDIT_TS_MAX = 9999999999999;
+function auditKey(entry) {
+  const inverted = String(AUDIT_TS_MAX - Date.parse(entry.at)).padStart(13, "0");
+  return `${AUDIT_PREFIX}${inverted}:${entry.id}`;
+}
+
+function governanceStore(env) {
+  const kv = env.GOVERNANCE;
+  if (kv) {
+    return {
+      readOverrides: async (network, address) =>
+        (await kv.get(overrideKey(network, address), "json")) || [],
+      writeOverrides: (network, address, list) =>
+        kv.put(overrideKey(network, address), JSON.stringify(list)),
+      // → { network, address } | null
+      findOverride: (id) => kv.get(`${OVERRIDE_ID_PREFIX}${id}`, "json"),
+      indexOverride: (o) =>
+        kv.put(`${OVERRIDE_ID_PREFIX}${o.id}`, JSON.stringify({ network: o.network, address: o.address })),
+      // admin listing without an address filter; walks every override key
+      allOverrides: async () => {
+        const keys = [];
+        let cursor;
+        do {
+          const page = await kv.list({ prefix: OVERRIDE_PREFIX, cursor });
+          keys.push(...page.keys.map((k) => k.name));
+          cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+        return (await Promise.all(keys.map((k) => kv.get(k, "json")))).flat().filter(Boolean);
+      },
+      appendAudit: (entry) => kv.put(auditKey(entry), JSON.stringify(entry)),
+      putDecision: (entry) => kv.put(`${DECISION_PREFIX}${entry.id}`, JSON.stringify(entry)),
+      getDecision: (id) => kv.get(`${DECISION_PREFIX}${id}`, "json"),
+      // audit keys sort newest first, so one bounded list page is enough
+      listAudit: async (limit) => {
+        const page = await kv.list({ prefix: AUDIT_PREFIX, limit });
+        return Promise.all(page.keys.map((k) => kv.get(k.name, "json")));
+      },
+    };
+  }
+  return {
+    readOverrides: async (network, address) =>
+      governanceMem.overrides.get(overrideKey(network, address)) || [],
+    writeOverrides: async (network, address, list) => {
+      governanceMem.overrides.set(overrideKey(network, address), list);
+    },
+    findOverride: async (id) => governanceMem.overrideIds.get(id) || null,
+    indexOverride: async (o) => {
+      governanceMem.overrideIds.set(o.id, { network: o.network, address: o.address });
+    },
+    allOverrides: async () => [...governanceMem.overrides.values()].flat(),
+    appendAudit: async (entry) => {
+      governanceMem.audit.push(entry);
+      if (governanceMem.audit.length > AUDIT_MEM_MAX) governanceMem.audit.shift();
+    },
+    putDecision: async (entry) => {
+      governanceMem.decisions.set(entry.id, entry);
+      if (governanceMem.decisions.size > AUDIT_MEM_MAX) {
+        governanceMem.decisions.delete(governanceMem.decisions.keys().next().value);
+      }
+    },
+    getDecision: async (id) => governanceMem.decisions.get(id) || null,
+    listAudit: async (limit) => governanceMem.audit.slice(-limit).reverse(),
+  };
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, "").slice(0, 16)}`;
+}
+
+// nowMs may be in the past for point-in-time scoring (/score?asOf=)
+function isActiveOverride(o, nowMs) {
+  return Date.parse(o.createdAt) <= nowMs &&
+    !(Date.parse(o.revokedAt) <= nowMs) &&
+    !(Date.parse(o.expiresAt) <= nowMs);
+}
+
+// Active overrides behind the `${network}:${address}` get() scoreWithLists
+// reads. Nothing is fetched up front: scoreAddress awaits load() for the
+// address it is about to score, which reads that address's key once per
+// request. The newest override wins if an address was pinned twice.
+function overrideLookup(env, nowMs = Date.now()) {
+  const active = new Map();
+  const loading = new Map();
+  return {
+    get: (key) => active.get(key),
+    load(network, address) {
+      const key = `${network}:${address}`;
+      if (!loading.has(key)) {
+        loading.set(key, (async () => {
+          let newest = null;
+          for (const o of await governanceStore(env).readOverrides(network, address)) {
+            if (isActiveOverride(o, nowMs)) newest = o;
+          }
+          if (newest) active.set(key, newest);
+        })());
+      }
+      return loading.get(key);
+    },
+  };
+}
+
+async function recordAudit(env, event, id = newId("aud")) {
+  const entry = { id, at: new Date().toISOString(), ...event };
+  await governanceStore(env).appendAudit(entry);
+  return entry;
+}
+
+// Decisions go to the audit log and under decision:<id>, so looking one up
+// by its decisionId is a single read.
+async function recordDecision(env, event, id) {
+  const entry = await recordAudit(env, event, id);
+  await governanceStore(env).putDecision(entry);
+  return entry;
+}
+
+function requireAdmin(request, env) {
+  const auth = request.headers.get("authorization") || "";
+  if (!env.ADMIN_TOKEN) return json({ ok: false, error: "Admin routes disabled" }, 403);
+  if (auth !== `Bearer ${env.ADMIN_TOKEN}`) return json({ ok: false, error: "Unauthorized" }, 401);
+  return null;
+}
+
+async function createOverride(body, env) {
+  const address = String(body?.address || "").toLowerCase();
+  const action = String(body?.action || "").toLowerCase();
+  const reason = String(body?.reason || "").trim();
+  const author = String(body?.author || "").trim();
+  const net = resolveNetwork(body?.network || "eth");
+
+  if (!address.startsWith("0x")) return badRequest("Missing or invalid address");
+  if (!net) return unsupportedNetwork(body.network);
+  if (!GOVERNANCE_ACTIONS.includes(action)) {
+    return badRequest(`action must be one of ${GOVERNANCE_ACTIONS.join(", ")}`);
+  }
+  if (!reason) return badRequest("reason is required");
+  if (!author) return badRequest("author is required");
+
+  let expiresAt = null;
+  if (body.expiresAt) {
+    const ts = Date.parse(body.expiresAt);
+    if (!Number.isFinite(ts)) return badRequest("expiresAt must be an ISO date");
+    if (ts <= Date.now()) return badRequest("expiresAt must be in the future");
+    expiresAt = new Date(ts).toISOString();
+  }
+
+  const override = {
+    id: newId("ovr"),
+    address,
+    network: net.id,
+    action,
+    reason,
+    author,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+    revokedBy: null,
+  };
+  const store = governanceStore(env);
+  const list = await store.readOverrides(net.id, address);
+  await store.writeOverrides(net.id, address, [...list, override]);
+  await store.indexOverride(override);
+  await recordAudit(env, { type: "override.create", actor: author, override });
+  return json({ ok: true, override }, 201);
+}
+
+async function revokeOverride(body, env) {
+  const id = String(body?.id || "");
+  const author = String(body?.author || "").trim();
+  if (!id) return badRequest("id is required");
+  if (!author) return badRequest("author is required");
+
+  const store = governanceStore(env);
+  const where = await store.findOverride(id);
+  const list = where ? await store.readOverrides(where.network, where.address) : [];
+  const current = list.find((o) => o.id === id);
+  if (!current) return json({ ok: false, error: `Override not found: ${id}` }, 404);
+  if (current.revokedAt) return badRequest(`Override already revoked: ${id}`);
+
+  const override = { ...current, revokedAt: new Date().toISOString(), revokedBy: author };
+  await store.writeOverrides(where.network, where.address, list.map((o) => (o.id === id ? override : o)));
+  await recordAudit(env, {
+    type: "override.revoke",
+    actor: author,
+    reason: String(body.reason || "").trim() || null,
+    override,
+  });
+  return json({ ok: true, override });
+}
+
+async function listOverrides(searchParams, env) {
+  const address = searchParams.get("address")?.toLowerCase();
+  const network = searchParams.get("network");
+  const all = searchParams.get("all") === "1";
+  const nowMs = Date.now();
+  const store = governanceStore(env);
+  const netId = network ? resolveNetwork(network)?.id : null;
+  if (network && !netId) return unsupportedNetwork(network);
+  // with an address this is one key read per network, not a full scan
+  const stored = address
+    ? (await Promise.all(
+      (netId ? [netId] : Object.keys(NETWORKS)).map((id) => store.readOverrides(id, address))
+    )).flat()
+    : await store.allOverrides();
+  const overrides = stored
+    .map((o) => ({ ...o, active: isActiveOverride(o, nowMs) }))
+    .filter((o) => (all || o.active) && (!netId || o.network === netId));
+  return json({ ok: true, count: overrides.length, overrides });
+}
+
+async function adminRoute(request, pathname, searchParams, env, body) {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  if (pathname === "/admin/overrides") {
+    if (request.method === "GET") return listOverrides(searchParams, env);
+    if (!body) return badRequest("Invalid JSON body");
+    return createOverride(body, env);
+  }
+  if (pathname === "/admin/overrides/revoke") {
+    if (!body) return badRequest("Invalid JSON body");
+    return revokeOverride(body, env);
+  }
+  // /admin/audit[?id=<decision id>]
+  const store = governanceStore(env);
+  const id = searchParams.get("id");
+  if (id) {
+    const decision = await store.getDecision(id);
+    if (!decision) return json({ ok: false, error: `Decision not found: ${id}` }, 404);
+    return json({ ok: true, count: 1, entries: [decision] });
+  }
+  const limit = Math.max(1, Math.min(AUDIT_MAX_LIMIT, Number(searchParams.get("limit") || "100") || 100));
+  const entries = await store.listAudit(limit);
+  return json({ ok: true, count: entries.length, entries });
+}
+
+/* ========= Batch scoring ========= */
+
+const BATCH_MAX_ITEMS = 500;
+const BATCH_CONCURRENCY = 6;
+
+// Accepts { items: [{ address, network }], network } or a bare array.
+// Duplicates collapse to one entry; bad items get a per-item error.
+async function scoreBatch(body, env, lists, ruleset, ctx) {
+  const rawItems = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(rawItems) || !rawItems.length) {
+    return badRequest("Body must contain a non-empty items array");
+  }
+  if (rawItems.length > BATCH_MAX_ITEMS) {
+    return badRequest(`Too many items (max ${BATCH_MAX_ITEMS})`);
+  }
+
+  const defaultNetwork = body?.network || "eth";
+  const unique = new Map(); // `${network}:${address}` → item
+  for (const it of rawItems) {
+    const address = String(
+      (typeof it === "string" ? it : it?.address || it?.id) || ""
+    ).toLowerCase();
+    const rawNetwork = String(it?.network || defaultNetwork).toLowerCase();
+    const net = resolveNetwork(rawNetwork);
+    const network = net ? net.id : rawNetwork;
+    const key = `${network}:${address}`;
+    if (!unique.has(key)) unique.set(key, { address, network, net });
+  }
+
+  const loadHistory = historyLoader(env, { ctx });
+  const valueOpts = body.balances === false ? { env } : { env, loadBalance: balanceLoader(env) };
+  const results = await mapLimit(
+    [...unique.values()],
+    BATCH_CONCURRENCY,
+    async ({ address, network, net }) => {
+      if (!address.startsWith("0x")) {
+        return { address, network, ok: false, error: "Missing or invalid address" };
+      }
+      if (!net) {
+        return { address, network, ok: false, error: `Unsupported network: ${network}` };
+      }
+      try {
+        const result = await scoreAddress(address, net, lists, loadHistory, ruleset, null, valueOpts);
+        return { address, network, ok: true, result };
+      } catch (e) {
+        return { address, network, ok: false, error: String(e.message || e) };
+      }
+    }
+  );
+
+  return json({
+    ok: true,
+    version: VERSION,
+    requested: rawItems.length,
+    unique: results.length,
+    failed: results.filter((r) => !r.ok).length,
+    results,
+  });
+}
+
+/* ========= Transfer screening (SafeSend check) ========= */
+
+const DECISION_RANK = { allow: 0, warn: 1, block: 2 };
+
+// Recipient side: where the funds land decides most of the answer.
+function recipientDecision(scored, ruleset) {
+  if (scored.block) return "block";
+  if (scored.risk_score >= ruleset.score.warn_threshold || scored.inconclusive) return "warn";
+  return "allow";
+}
+
+// Sender side: only sanctions or a compliance block stop the transfer;
+// otherwise a risky source of funds is a warning.
+function senderDecision(scored, ruleset) {
+  const pinnedBlock = scored.explain?.governance?.action === "block";
+  if (scored.explain?.ofacHit || pinnedBlock) return "block";
+  if (scored.risk_score >= ruleset.score.warn_threshold || scored.inconclusive) return "warn";
+  return "allow";
+}
+
+function sideSummary(scored, decision) {
+  return {
+    address: scored.address,
+    decision,
+    risk_score: scored.risk_score,
+    band: scored.explain?.band || null,
+    block: scored.block,
+    confidence: scored.confidence,
+    inconclusive: scored.inconclusive,
+    entity: scored.explain?.signals?.entity || null,
+    reasons: scored.reasons,
+  };
+}
+
+// POST /check-transfer { sender, recipient, asset, amount, network }
+// → allow / warn / block plus both sides' reasons. Every decision is written
+// to the audit log and stored under decision:<decisionId>.
+async function checkTransfer(body, env, lists, ruleset, ctx) {
+  const sender = String(body?.sender || body?.from || "").toLowerCase();
+  const recipient = String(body?.recipient || body?.to || "").toLowerCase();
+  const net = resolveNetwork(body?.network || "eth");
+
+  if (!sender.startsWith("0x")) return badRequest("Missing or invalid sender");
+  if (!recipient.startsWith("0x")) return badRequest("Missing or invalid recipient");
+  if (!net) return unsupportedNetwork(body.network);
+  const amount = body.amount == null ? null : Number(body.amount);
+  if (amount !== null && !(Number.isFinite(amount) && amount >= 0)) {
+    return badRequest("amount must be a non-negative number");
+  }
+  const asset = String(body.asset || net.nativeSymbol);
+
+  const loadHistory = historyLoader(env, { ctx });
+  const [senderScore, recipientScore] = await Promise.all([
+    scoreAddress(sender, net, lists, loadHistory, ruleset),
+    scoreAddress(recipient, net, lists, loadHistory, ruleset),
+  ]);
+
+  const sides = {
+    recipient: sideSummary(recipientScore, recipientDecision(recipientScore, ruleset)),
+    sender: sideSummary(senderScore, senderDecision(senderScore, ruleset)),
+  };
+  const decision = DECISION_RANK[sides.sender.decision] > DECISION_RANK[sides.recipient.decision]
+    ? sides.sender.decision
+    : sides.recipient.decision;
+
+  // Informational: wallets commonly confirm first-time recipients
+  const senderHist = await loadHistory(sender, net);
+  const priorTransfers = senderHist.txs.filter((tx) =>
+    tx.from?.toLowerCase() === sender && tx.to?.toLowerCase() === recipient
+  ).length;
+
+  const reasons = [
+    ...sides.recipient.reasons.map((r) => `Recipient: ${r}`),
+    ...sides.sender.reasons.map((r) => `Sender: ${r}`),
+  ];
+  if (!priorTransfers) reasons.push("First transfer from sender to this recipient");
+
+  const result = {
+    ok: true,
+    decisionId: newId("dec"),
+    decision,
+    checkedAt: new Date().toISOString(),
+    network: net.id,
+    asset,
+    amount,
+    thresholds: {
+      warn: ruleset.score.warn_threshold,
+      block: ruleset.score.block_threshold,
+    },
+    ruleset: ruleset.version,
+    version: VERSION,
+    priorTransfers,
+    reasons,
+    recipient: sides.recipient,
+    sender: sides.sender,
+  };
+
+  await recordDecision(
+    env,
+    {
+      type: "transfer.check",
+      decision,
+      network: net.id,
+      sender,
+      recipient,
+      asset,
+      amount,
+      scores: { sender: senderScore.risk_score, recipient: recipientScore.risk_score },
+      reasons,
+      ruleset: ruleset.version,
+    },
+    result.decisionId
+  );
+  return json(result);
+}
+
+/* ========= Transaction scoring ========= */
+
+function median(values) {
+  if (!values.length) return 0;
+  const xs = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+function shortAddr(addr) {
+  return addr ? `${addr.slice(0, 6)}…${addr.slice(-4)}` : "?";
+}
+
+// Address poisoning: same leading and trailing hex chars, different address
+function looksAlike(a, b, chars) {
+  return a !== b &&
+    a.slice(2, 2 + chars) === b.slice(2, 2 + chars) &&
+    a.slice(-chars) === b.slice(-chars);
+}
+
+// Who moved value to whom. A token transfer sent by the tx signer names the
+// real recipient (tx.to is then the token contract); a contract deployment
+// names the created contract; a zero-value transferFrom by a third party
+// (spoofing) names the lookalike address it plants in the victim's history.
+function txParties(tx) {
+  const spoofs = tx.tokenTransfers.filter((t) =>
+    t.category === "erc20" && t.value === "0" && t.from !== tx.from
+  );
+  const own = tx.tokenTransfers.filter((t) => t.from === tx.from);
+  let recipient = tx.to;
+  let transfer = null;
+  if (tx.contractCreated) {
+    recipient = tx.contractCreated;
+  } else if (own.length === 1) {
+    transfer = own[0];
+    recipient = transfer.to;
+  } else if (spoofs.length) {
+    recipient = spoofs[0].to;
+  }
+  return { sender: tx.from, recipient, transfer, spoofs };
+}
+
+// Tx-level signals from the lookup plus each party's prior history
+async function txSignals(tx, parties, net, loadHistory, ruleset) {
+  const T = ruleset.thresholds;
+  const W = ruleset.weights;
+  const { sender, recipient, transfer, spoofs } = parties;
+  const senderHist = await loadHistory(sender, net);
+  const prior = senderHist.txs.filter((t) =>
+    t.hash !== tx.hash && (tx.blockNumber == null || (t.blockNumber ?? 0) <= tx.blockNumber)
+  );
+
+  // Value relative to the sender's earlier outgoing transfers of the same asset
+  const contract = transfer?.contract || null;
+  const raw = Number(transfer ? transfer.value : tx.value) || 0;
+  const pastValues = prior
+    .filter((t) => t.from === sender && (t.contract || null) === contract)
+    .map((t) => Number(t.value) || 0)
+    .filter((v) => v > 0);
+  const medianOut = median(pastValues);
+  const ratio = medianOut ? raw / medianOut : null;
+  const valueSpike = pastValues.length >= T.tx_value_min_history && ratio >= T.tx_value_spike_multiple;
+
+  const firstInteraction = !!recipient && !prior.some((t) =>
+    (t.from === sender && t.to === recipient) || (t.from === recipient && t.to === sender)
+  );
+
+  // For spoofs, find the real counterparty of the victim the planted address imitates
+  let spoof = null;
+  if (spoofs.length) {
+    const { from: victim, to: lookalike, contract: token } = spoofs[0];
+    const victimHist = await loadHistory(victim, net);
+    let imitates = null;
+    for (const t of victimHist.txs) {
+      const other = t.from === victim ? t.to : t.from;
+      if (other && looksAlike(other, lookalike, T.tx_lookalike_chars)) {
+        imitates = other;
+        break;
+      }
+    }
+    spoof = { victim, lookalike, token, imitates, transfers: spoofs.length };
+  }
+
+  const signals = {
+    valueVsHistory: {
+      asset: contract || net.nativeSymbol,
+      value: String(transfer ? transfer.value : tx.value),
+      medianOut,
+      ratio,
+      history: pastValues.length,
+      spike: valueSpike,
+    },
+    firstInteraction,
+    contractCreation: tx.contractCreated ? { address: tx.contractCreated } : null,
+    zeroValueSpoof: spoof,
+  };
+
+  const impacts = [];
+  if (valueSpike) impacts.push({ id: "tx_value_spike", label: "Value far above sender's history", delta: W.tx_value_spike });
+  if (firstInteraction) impacts.push({ id: "tx_first_interaction", label: "First interaction between the pair", delta: W.tx_first_interaction });
+  if (signals.contractCreation) impacts.push({ id: "tx_contract_creation", label: "Contract creation", delta: W.tx_contract_creation });
+  // without a real counterparty it imitates, a zero-value transfer is just
+  // noise (airdrops, dust): reported, but it doesn't move the score
+  if (spoof?.imitates) {
+    impacts.push({ id: "tx_zero_value_spoof", label: "Zero-value transfer spoofing", delta: W.tx_zero_value_spoof });
+  } else if (spoof) {
+    impacts.push({ id: "tx_zero_value_spoof", label: "Zero-value token transfer (no lookalike counterparty)", delta: 0 });
+  }
+  return { signals, impacts };
+}
+
+function txExplanation(tx, sides, signals, verdict) {
+  const bits = [
+    `Sender ${shortAddr(sides.sender.address)} scores ${sides.sender.risk_score} (${sides.sender.band})`,
+  ];
+  if (sides.recipient) {
+    bits.push(`recipient ${shortAddr(sides.recipient.address)} scores ${sides.recipient.risk_score} (${sides.recipient.band})`);
+  }
+  let text = `${bits.join("; ")}.`;
+  const v = signals.valueVsHistory;
+  if (v.spike) text += ` The amount is ${Math.round(v.ratio)}× the sender's median outgoing ${v.asset} transfer.`;
+  if (signals.firstInteraction) text += " The two addresses had never transacted before.";
+  if (signals.contractCreation) text += ` The tx deploys contract ${shortAddr(signals.contractCreation.address)}.`;
+  const s = signals.zeroValueSpoof;
+  if (s) {
+    // full addresses: the short forms of a lookalike are identical by design
+    text += ` A zero-value token transfer plants ${s.lookalike} in ${shortAddr(s.victim)}'s history` +
+      (s.imitates ? `, imitating their counterparty ${s.imitates}.` : ".");
+  }
+  if (tx.status === 0) text += " The transaction reverted.";
+  return `${text} Verdict: ${verdict}.`;
+}
+
+// GET /score-tx?hash= → both parties through the address model, tx-level
+// signals on top, and one combined allow / warn / block verdict.
+async function scoreTx(hash, net, env, lists, ruleset, sync, ctx) {
+  const found = await fetchTxByHash(hash, net, env);
+  if (!found.ok) {
+    return json({ ok: false, error: "Transaction not found", hash, network: net.id, errors: found.errors }, 404);
+  }
+  const { tx } = found;
+  const parties = txParties(tx);
+  const loadHistory = historyLoader(env, { sync, ctx });
+
+  const [senderScore, recipientScore, { signals, impacts }] = await Promise.all([
+    scoreAddress(parties.sender, net, lists, loadHistory, ruleset),
+    parties.recipient ? scoreAddress(parties.recipient, net, lists, loadHistory, ruleset) : null,
+    txSignals(tx, parties, net, loadHistory, ruleset),
+  ]);
+
+  const sides = {
+    sender: sideSummary(senderScore, senderDecision(senderScore, ruleset)),
+    recipient: recipientScore
+      ? sideSummary(recipientScore, recipientDecision(recipientScore, ruleset))
+      : null,
+  };
+
+  const txImpact = impacts.reduce((n, i) => n + i.delta, 0);
+  const partyScore = Math.max(senderScore.risk_score, recipientScore?.risk_score ?? 0);
+  const score = clamp(partyScore + txImpact, ruleset.score.min, ruleset.score.max);
+
+  let verdict = "allow";
+  if (score >= ruleset.score.block_threshold) verdict = "block";
+  else if (score >= ruleset.score.warn_threshold) verdict = "warn";
+  for (const side of [sides.sender, sides.recipient]) {
+    if (side && DECISION_RANK[side.decision] > DECISION_RANK[verdict]) verdict = side.decision;
+  }
+
+  const reasons = [
+    ...impacts.map((i) => i.label),
+    ...sides.sender.reasons.map((r) => `Sender: ${r}`),
+    ...(sides.recipient?.reasons || []).map((r) => `Recipient: ${r}`),
+  ];
+
+  return json({
+    ok: true,
+    version: VERSION,
+    ruleset: ruleset.version,
+    hash: tx.hash,
+    network: net.id,
+    provider: found.provider,
+    tx,
+    verdict,
+    score,
+    partyScore,
+    txImpact,
+    factorImpacts: impacts,
+    signals,
+    reasons,
+    explanation: txExplanation(tx, sides, signals, verdict),
+    sender: sides.sender,
+    recipient: sides.recipient,
+  });
+}
+
+/* ========= OFAC & tx routes (adapters/evm.js) ========= */
+
+const OFAC_BULK_MAX = 1000;
+const TXS_MAX_LIMIT = 1000;
+
+function ofacResult(address, network, lists) {
+  const addr = address.toLowerCase();
+  const hit = lists.ofacSet.has(addr);
+  const listed = [];
+  if (hit) listed.push("ofac");
+  if (lists.scamSet.has(addr)) listed.push("scamCluster");
+  if (lists.tornadoSet.has(addr)) listed.push("tornado");
+  const entry = lists.ofacEntries.get(addr);
+  return {
+    address: addr,
+    network,
+    hit,
+    block: hit,
+    risk_score: hit ? 100 : null,
+    listed,
+    entity: entry?.entity || null,
+    tags: entry?.tags || [],
+  };
+}
+
+// One address → single result; many → { results, hits } in input order
+function ofacLookup(addresses, network, lists) {
+  const addrs = [...new Set(addresses.map((a) => String(a || "").trim().toLowerCase()))]
+    .filter(Boolean);
+  if (!addrs.length) return badRequest("Missing or invalid address");
+  if (addrs.length > OFAC_BULK_MAX) {
+    return badRequest(`Too many addresses (max ${OFAC_BULK_MAX})`);
+  }
+  const bad = addrs.find((a) => !a.startsWith("0x"));
+  if (bad) return badRequest(`Invalid address: ${bad}`);
+
+  const results = addrs.map((a) => ofacResult(a, network, lists));
+  return json({
+    ok: true,
+    network,
+    count: results.length,
+    hits: results.filter((r) => r.hit).length,
+    results,
+  });
+}
+
+// Etherscan-style envelope: the newest `limit` entries, oldest first (or
+// reversed for sort=desc), with timeStamp in seconds and list tags.
+function txsResponse(address, hist, lists, { limit, sort }) {
+  const window = hist.txs.slice(-limit);
+  const rows = window.map((tx) => ({
+    blockNumber: tx.blockNumber != null ? String(tx.blockNumber) : null,
+    timeStamp: String(Math.floor((tx.timeStamp || 0) / 1000)),
+    hash: tx.hash,
+    from: tx.from || "",
+    to: tx.to || "",
+    value: tx.value || "0",
+    category: tx.category || "external",
+    asset: tx.asset || null,
+    contract: tx.contract || null,
+    amount: tx.amount ?? null,
+    fromTag: addressTag(tx.from, lists),
+    toTag: addressTag(tx.to, lists),
+  }));
+  if (sort === "desc") rows.reverse();
+
+  const first = hist.txs[0];
+  return json({
+    status: hist.ok ? "1" : "0",
+    message: hist.ok ? "OK" : "No upstream provider available",
+    address,
+    network: hist.network,
+    total: hist.txs.length,
+    firstTimeStamp: first ? String(Math.floor((first.timeStamp || 0) / 1000)) : null,
+    ...historyMeta(hist),
+    result: hist.ok ? rows : [],
+  });
+}
+
 /* ========= Neighbors graph ========= */
 
-function buildNeighborGraph(address, txs, network, limit = 120) {
+const MAX_HOP = 3;
+const MAX_NEIGHBOR_NODES = 500;
+// Top-N counterparties followed out of each node at hop 1 / 2 / 3 when
+// crawling more than one hop (hop=1 alone keeps the full `limit` star)
+const DEFAULT_HOP_FANOUT = [25, 8, 4];
+const CRAWL_CONCURRENCY = 4;
+// History pulled per crawled neighbor, newest first – enough to rank its
+// current counterparties
+const CRAWL_TX_BUDGET = 1000;
+// Upstream calls one crawl may make (CRAWL_MAX_SUBREQUESTS overrides); a
+// Worker invocation gets 50 on the free plan. Neighbors past the cap join
+// the graph but aren't expanded.
+const CRAWL_MAX_SUBREQUESTS = 40;
+
+// Per-counterparty flow seen from `address`: tx counts and native-asset
+// value each way plus first/last seen (ms). Token transfers count as txs
+// but not value – amounts in different assets don't add up. Native value is
+// anything without a token contract; asset symbols differ per provider.
+function counterpartyFlows(address, txs) {
   const addr = address.toLowerCase();
-  const cpCounts = new Map();
+  const flows = new Map();
 
   for (const tx of txs) {
     const from = tx.from?.toLowerCase();
     const to = tx.to?.toLowerCase();
     let other = null;
-    if (from === addr && to && to !== addr) other = to;
-    else if (to === addr && from && from !== addr) other = from;
-    if (other) cpCounts.set(other, (cpCounts.get(other) || 0) + 1);
+    let out = false;
+    if (from === addr && to && to !== addr) {
+      other = to;
+      out = true;
+    } else if (to === addr && from && from !== addr) {
+      other = from;
+    }
+    if (!other) continue;
+
+    let f = flows.get(other);
+    if (!f) {
+      f = { txOut: 0, txIn: 0, valueOut: 0, valueIn: 0, firstSeen: null, lastSeen: null };
+      flows.set(other, f);
+    }
+    const value = tx.contract ? 0 : Number(tx.amount) || 0;
+    if (out) {
+      f.txOut++;
+      f.valueOut += value;
+    } else {
+      f.txIn++;
+      f.valueIn += value;
+    }
+    if (tx.timeStamp) {
+      if (f.firstSeen == null || tx.timeStamp < f.firstSeen) f.firstSeen = tx.timeStamp;
+      if (f.lastSeen == null || tx.timeStamp > f.lastSeen) f.lastSeen = tx.timeStamp;
+    }
+  }
+  return flows;
+}
+
+const flowTotal = (f) => f.txOut + f.txIn;
+
+// Edge from the two endpoints' flows, oriented so a → b is the dominant
+// direction (by value, then tx count):
+//   { a, b, direction: "a->b" | "both", valueOut, valueIn, txOut, txIn,
+//     txCount, weight (= txCount), asset, firstSeen, lastSeen }
+// valueOut / txOut are a → b, valueIn / txIn are b → a.
+function edgeFromFlow(x, y, f, asset) {
+  const forward = f.valueOut > f.valueIn || (f.valueOut === f.valueIn && f.txOut >= f.txIn);
+  const [a, b] = forward ? [x, y] : [y, x];
+  const out = forward
+    ? { txOut: f.txOut, txIn: f.txIn, valueOut: f.valueOut, valueIn: f.valueIn }
+    : { txOut: f.txIn, txIn: f.txOut, valueOut: f.valueIn, valueIn: f.valueOut };
+  const txCount = out.txOut + out.txIn;
+  return {
+    a,
+    b,
+    direction: out.txIn > 0 ? "both" : "a->b",
+    valueOut: Number(out.valueOut.toFixed(6)),
+    valueIn: Number(out.valueIn.toFixed(6)),
+    txOut: out.txOut,
+    txIn: out.txIn,
+    txCount,
+    weight: txCount,
+    asset,
+    firstSeen: f.firstSeen,
+    lastSeen: f.lastSeen,
+  };
+}
+
+function parseFanout(raw) {
+  if (!raw) return DEFAULT_HOP_FANOUT;
+  const parts = String(raw).split(",").map((x) => Number(x));
+  return DEFAULT_HOP_FANOUT.map((def, i) =>
+    Number.isFinite(parts[i]) && parts[i] > 0 ? Math.floor(parts[i]) : def
+  );
+}
+
+// Breadth-first crawl out to `hop` levels. Each expanded node adds at most
+// fanout[depth-1] new counterparties and the whole graph stops at `limit`
+// nodes besides the center. Once the crawl is done, every expanded node's
+// counterparties are checked again so edges between neighbors that were
+// discovered from different sides still show up. A neighbor pull reserves
+// its worst-case upstream calls while in flight and is then charged what it
+// actually made; one that would go past maxSubrequests is skipped, leaving
+// the node unexpanded (subrequestCapped).
+async function crawlNeighborGraph(
+  address,
+  net,
+  { hop = 1, limit = 120, fanout, maxSubrequests = CRAWL_MAX_SUBREQUESTS },
+  loadHistory,
+  loadNeighborHistory
+) {
+  const center = address.toLowerCase();
+  const depthMax = Math.max(1, Math.min(MAX_HOP, hop | 0));
+  const budget = Math.max(1, Math.min(MAX_NEIGHBOR_NODES, limit | 0));
+  const perHop = depthMax === 1 ? [budget] : fanout || DEFAULT_HOP_FANOUT;
+
+  const nodes = new Map([[center, { id: center, address: center, network: net.id, hop: 0 }]]);
+  const flows = new Map(); // "x|y" (sorted) → flow seen from x
+  const expanded = []; // [{ id, counts }]
+  let truncated = false;
+  let centerHist = null;
+  let subrequests = 0;
+  let reserved = 0;
+  let subrequestCapped = false;
+  const neighborBound = historyRequestBound(net, CRAWL_TX_BUDGET);
+
+  const addEdge = (id, cp, f) => {
+    const swap = cp < id;
+    const key = swap ? `${cp}|${id}` : `${id}|${cp}`;
+    const seen = swap
+      ? { txOut: f.txIn, txIn: f.txOut, valueOut: f.valueIn, valueIn: f.valueOut, firstSeen: f.firstSeen, lastSeen: f.lastSeen }
+      : f;
+    const prev = flows.get(key);
+    if (!prev) {
+      flows.set(key, { ...seen });
+      return;
+    }
+    // both endpoints' histories see the same txs (possibly truncated) –
+    // keep the larger figure per field instead of summing
+    for (const k of ["txOut", "txIn", "valueOut", "valueIn"]) prev[k] = Math.max(prev[k], seen[k]);
+    if (seen.firstSeen != null && (prev.firstSeen == null || seen.firstSeen < prev.firstSeen)) prev.firstSeen = seen.firstSeen;
+    if (seen.lastSeen != null && (prev.lastSeen == null || seen.lastSeen > prev.lastSeen)) prev.lastSeen = seen.lastSeen;
+  };
+
+  let frontier = [center];
+  for (let depth = 1; depth <= depthMax && frontier.length; depth++) {
+    const batch = await mapLimit(frontier, CRAWL_CONCURRENCY, async (id) => {
+      if (id === center) {
+        const hist = await loadHistory(id, net);
+        subrequests += hist.subrequests || 0;
+        centerHist = hist;
+        return { id, counts: counterpartyFlows(id, hist.txs) };
+      }
+      if (subrequests + reserved + neighborBound > maxSubrequests) {
+        subrequestCapped = true;
+        return null;
+      }
+      reserved += neighborBound;
+      let hist;
+      try {
+        hist = await loadNeighborHistory(id, net);
+      } finally {
+        reserved -= neighborBound;
+      }
+      subrequests += hist.subrequests || 0;
+      return { id, counts: counterpartyFlows(id, hist.txs) };
+    });
+
+    const next = [];
+    for (const { id, counts } of batch.filter(Boolean)) {
+      expanded.push({ id, counts });
+      let added = 0;
+      const ranked = [...counts.entries()].sort((a, b) => flowTotal(b[1]) - flowTotal(a[1]));
+      for (const [cp, flow] of ranked) {
+        if (nodes.has(cp)) {
+          addEdge(id, cp, flow);
+          continue;
+        }
+        if (added >= perHop[depth - 1]) break;
+        if (nodes.size - 1 >= budget) {
+          truncated = true;
+          break;
+        }
+        nodes.set(cp, { id: cp, address: cp, network: net.id, hop: depth });
+        addEdge(id, cp, flow);
+        next.push(cp);
+        added++;
+      }
+    }
+    frontier = next;
+  }
+
+  for (const { id, counts } of expanded) {
+    for (const [cp, flow] of counts) {
+      if (nodes.has(cp)) addEdge(id, cp, flow);
+    }
   }
 
-  const nodes = [{ id: addr, address: addr, network }];
   const links = [];
+  for (const [key, f] of flows) {
+    const [x, y] = key.split("|");
+    links.push(edgeFromFlow(x, y, f, net.nativeSymbol));
+  }
+
+  return {
+    graph: {
+      nodes: [...nodes.values()],
+      links,
+      hop: depthMax,
+      expanded: expanded.length,
+      truncated: truncated || subrequestCapped,
+      subrequests,
+      subrequestCapped,
+    },
+    hist: centerHist,
+  };
+}
+
+/* ========= API keys & rate limits ========= */
+
+// When API_KEYS is set every route except CORS preflight and /admin/*
+// (which has its own ADMIN_TOKEN) needs an X-API-Key header. API_KEYS maps
+// each key to its grant:
+//   { "<key>": { "name": "web-app", "routes": ["/score", "/neighbors"],
+//                "origins": ["https://vision.example"], "rate_per_min": 60,
+//                "daily_quota": 5000 } }
+// routes / origins default to ["*"]; limits default to the constants below.
+// name labels the key's counters and error messages, so keep it unique.
+// Browser calls whose Origin is not listed are refused; allowed origins are
+// echoed back instead of "*".
+//
+// A request is charged per item of work (see requestCost): one per scored
+// address on /score/batch and /check-transfer, one per history the crawl
+// may pull on /neighbors, one otherwise.
+//
+// Counters live behind a small store interface – incr(key, ttlSec, by) →
+// count – backed by the API_LIMITS KV when bound, else an isolate-local map.
+// KV counters are eventually consistent, so limits are approximate across
+// colos; tests may pass any { incr } object as API_LIMITS_STORE. A counter
+// that can't be read or written fails open: the request goes through
+// unlimited and the response says so in an x-ratelimit-warning header.
+const DEFAULT_RATE_PER_MIN = 60;
+const DEFAULT_DAILY_QUOTA = 10000;
+const LIMITS_MEM_MAX = 10000;
+const limitsMem = new Map();
+let apiKeysCache = { raw: undefined, keys: null };
+
+export function memoryLimitStore(mem = new Map(), max = LIMITS_MEM_MAX) {
+  return {
+    incr: async (key, ttlSec, by = 1) => {
+      const now = Date.now();
+      const cur = mem.get(key);
+      const next = cur && cur.expiresAt > now
+        ? { count: cur.count + by, expiresAt: cur.expiresAt }
+        : { count: by, expiresAt: now + ttlSec * 1000 };
+      mem.delete(key);
+      mem.set(key, next);
+      if (mem.size > max) mem.delete(mem.keys().next().value);
+      return next.count;
+    },
+  };
+}
+
+function limitStore(env) {
+  if (env.API_LIMITS_STORE) return env.API_LIMITS_STORE;
+  const kv = env.API_LIMITS;
+  if (kv) {
+    return {
+      incr: async (key, ttlSec, by = 1) => {
+        const count = (Number(await kv.get(key)) || 0) + by;
+        // KV rejects expirations under 60 s
+        await kv.put(key, String(count), { expirationTtl: Math.max(60, ttlSec) });
+        return count;
+      },
+    };
+  }
+  return memoryLimitStore(limitsMem);
+}
+
+// null = auth disabled; a malformed API_KEYS fails closed
+function apiKeys(env) {
+  const raw = env.API_KEYS;
+  if (!raw) return null;
+  if (apiKeysCache.raw !== raw) {
+    const doc = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+      throw new Error("API_KEYS must be a JSON object keyed by API key");
+    }
+    apiKeysCache = { raw, keys: doc };
+  }
+  return apiKeysCache.keys;
+}
+
+function allows(list, value) {
+  const entries = Array.isArray(list) && list.length ? list : ["*"];
+  return entries.includes("*") || entries.includes(value);
+}
+
+// Items of work a request asks for, checked against the limits up front.
+// /neighbors is charged for the most histories its hop / limit / fanout can
+// make the crawl pull, since the real count is only known afterwards.
+// body is the already parsed POST body (see the fetch handler).
+function requestCost(pathname, searchParams, body) {
+  if (pathname === "/check-transfer") return 2;
+  if (pathname === "/score/batch") {
+    const items = Array.isArray(body) ? body : body?.items;
+    return Array.isArray(items) ? Math.max(1, Math.min(BATCH_MAX_ITEMS, items.length)) : 1;
+  }
+  if (pathname === "/neighbors") {
+    const hop = Math.max(1, Math.min(MAX_HOP, Number(searchParams.get("hop") || "1") | 0));
+    const limit = Number(searchParams.get("limit") || "120") || 120;
+    const fanout = parseFanout(searchParams.get("fanout"));
+    let nodesLeft = Math.max(1, Math.min(MAX_NEIGHBOR_NODES, limit | 0));
+    let width = 1;
+    let cost = 1;
+    for (let depth = 1; depth < hop && nodesLeft > 0; depth++) {
+      width = Math.min(width * fanout[depth - 1], nodesLeft);
+      nodesLeft -= width;
+      cost += width;
+    }
+    return cost;
+  }
+  return 1;
+}
+
+// → new count, or null when the counter store failed (fail open)
+async function chargeCounter(store, key, ttlSec, cost) {
+  try {
+    return await store.incr(key, ttlSec, cost);
+  } catch {
+    return null;
+  }
+}
+
+function limitResponse(message, status, extra = {}, headers = {}) {
+  const resp = json({ ok: false, error: message, ...extra }, status);
+  for (const [k, v] of Object.entries(headers)) resp.headers.set(k, v);
+  return resp;
+}
 
-  const entries = [...cpCounts.entries()]
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, limit);
+// → { response } to short-circuit, or { grant, headers } for the route
+async function authorizeRequest(request, pathname, env, body) {
+  let keys;
+  try {
+    keys = apiKeys(env);
+  } catch (e) {
+    return { response: json({ ok: false, error: String(e.message || e) }, 500) };
+  }
+  if (!keys) return { grant: null, headers: {} };
 
-  for (const [cp, weight] of entries) {
-    nodes.push({ id: cp, address: cp, network });
-    links.push({ a: addr, b: cp, weight });
+  const key = request.headers.get("x-api-key") || "";
+  const grant = key && Object.hasOwn(keys, key) ? keys[key] : null;
+  if (!grant || grant.disabled) {
+    return { response: json({ ok: false, error: "Missing or invalid API key" }, 401) };
+  }
+  const name = grant.name || `key-${key.slice(0, 6)}`;
+  if (!allows(grant.routes, pathname)) {
+    return { response: json({ ok: false, error: `API key ${name} is not allowed on ${pathname}` }, 403) };
+  }
+  const origin = request.headers.get("origin");
+  if (origin && !allows(grant.origins, origin)) {
+    return { response: json({ ok: false, error: `Origin ${origin} is not allowed for API key ${name}` }, 403) };
   }
 
-  if (nodes.length === 1) {
-    // sparse – only center
-    return { nodes, links };
+  const now = Date.now();
+  const store = limitStore(env);
+  const perMin = Number(grant.rate_per_min) || DEFAULT_RATE_PER_MIN;
+  const perDay = Number(grant.daily_quota) || DEFAULT_DAILY_QUOTA;
+  const minute = Math.floor(now / 60000);
+  const day = new Date(now).toISOString().slice(0, 10);
+  const untilMinute = Math.ceil(((minute + 1) * 60000 - now) / 1000);
+  const untilDay = Math.ceil((Date.parse(`${day}T00:00:00Z`) + 86400000 - now) / 1000);
+
+  const cost = requestCost(pathname, new URL(request.url).searchParams, body);
+  const used = await chargeCounter(store, `rl:${name}:${minute}`, 60, cost);
+  if (used !== null && used > perMin) {
+    return {
+      response: limitResponse(
+        "Rate limit exceeded",
+        429,
+        { limit: perMin, window: "minute", retryAfterSec: untilMinute, cost },
+        { "retry-after": String(untilMinute), "x-ratelimit-limit": String(perMin), "x-ratelimit-remaining": "0" }
+      ),
+    };
+  }
+  const usedToday = await chargeCounter(store, `quota:${name}:${day}`, untilDay, cost);
+  if (usedToday !== null && usedToday > perDay) {
+    return {
+      response: limitResponse(
+        "Daily quota exhausted",
+        429,
+        { limit: perDay, window: "day", retryAfterSec: untilDay, cost },
+        { "retry-after": String(untilDay), "x-quota-limit": String(perDay), "x-quota-remaining": "0" }
+      ),
+    };
   }
-  return { nodes, links };
+
+  const headers = {
+    "x-ratelimit-cost": String(cost),
+    "x-ratelimit-limit": String(perMin),
+    "x-ratelimit-reset": String(untilMinute),
+    "x-quota-limit": String(perDay),
+  };
+  if (used !== null) headers["x-ratelimit-remaining"] = String(Math.max(0, perMin - used));
+  if (usedToday !== null) headers["x-quota-remaining"] = String(Math.max(0, perDay - usedToday));
+  if (used === null || usedToday === null) headers["x-ratelimit-warning"] = "limit counters unavailable";
+  if (origin && !allows(grant.origins, "*")) {
+    headers["access-control-allow-origin"] = origin;
+    headers.vary = "Origin";
+  }
+  return { grant, headers };
 }
 
 /* ========= Fetch handler ========= */
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const { pathname, searchParams } = url;
-
-    // CORS preflight
-    if (request.method === "OPTIONS") {
-      return new Response(null, {
-        status: 204,
-        headers: {
-          "access-control-allow-origin": "*",
-          "access-control-allow-headers": "Content-Type",
-          "access-control-allow-methods": "GET,OPTIONS",
-        },
-      });
+// Routes that accept more than plain GET
+const ROUTE_METHODS = {
+  "/score/batch": ["POST"],
+  "/ofac": ["GET", "POST"],
+  "/check-transfer": ["POST"],
+  "/admin/overrides": ["GET", "POST"],
+  "/admin/overrides/revoke": ["POST"],
+  "/admin/audit": ["GET"],
+};
+
+// Only the scoring routes need the ruleset, so a malformed RULESET_JSON
+// fails those (500) and leaves /txs, /ofac, /neighbors and /tx-debug working.
+// → { ruleset } or { response }
+function rulesetFor(env) {
+  try {
+    return { ruleset: activeRuleset(env) };
+  } catch (e) {
+    return { response: json({ ok: false, error: String(e.message || e) }, 500) };
+  }
+}
+
+async function routeRequest(request, env, ctx, body = null) {
+  const url = new URL(request.url);
+  const { pathname, searchParams } = url;
+
+  // CORS preflight
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        "access-control-allow-origin": "*",
+        "access-control-allow-headers": "Content-Type, Authorization, X-API-Key",
+        "access-control-allow-methods": "GET,POST,OPTIONS",
+      },
+    });
+  }
+
+  const allowed = ROUTE_METHODS[pathname] || ["GET"];
+  if (!allowed.includes(request.method)) {
+    return badRequest(`Only ${allowed.join("/")} supported`);
+  }
+
+  if (pathname.startsWith("/admin/") && ROUTE_METHODS[pathname]) {
+    return adminRoute(request, pathname, searchParams, env, body);
+  }
+
+  const rawNetwork = searchParams.get("network") || "eth";
+  const net = resolveNetwork(rawNetwork);
+  const sync = searchParams.get("sync") || undefined;
+
+  // /score?asOf= scores against the lists as they stood then; resolved
+  // first so the lists are built once, already time-filtered
+  let asOf = null;
+  const asOfRaw = pathname === "/score" && net ? searchParams.get("asOf") : null;
+  if (asOfRaw) {
+    try {
+      asOf = await resolveAsOf(asOfRaw, net, env);
+    } catch (e) {
+      return badRequest(String(e.message || e));
     }
+  }
+  const lists = await buildLists(env, asOf?.ms ?? null);
 
-    if (request.method !== "GET") {
-      return badRequest("Only GET supported");
+  if (pathname === "/tx-debug") {
+    const address = searchParams.get("address")?.toLowerCase();
+    if (!address || !address.startsWith("0x")) {
+      return badRequest("Missing or invalid address");
     }
+    if (!net) return unsupportedNetwork(rawNetwork);
+    const hist = await fetchTxHistory(address, net, env, { sync, ctx });
+    return json(hist);
+  }
 
-    const lists = {
-      ofacSet: parseHexSet(env.OFAC_SET),
-      scamSet: parseHexSet(env.SCAM_CLUSTERS),
-      tornadoSet: parseHexSet(env.TORNADO_SET),
-    };
+  if (pathname === "/score") {
+    const address = searchParams.get("address")?.toLowerCase();
 
-    if (pathname === "/tx-debug") {
-      const address = searchParams.get("address")?.toLowerCase();
-      if (!address || !address.startsWith("0x")) {
-        return badRequest("Missing or invalid address");
-      }
-      const hist = await fetchTxHistory(address, env);
-      return json(hist);
+    if (!address || !address.startsWith("0x")) {
+      return badRequest("Missing or invalid address");
     }
+    if (!net) return unsupportedNetwork(rawNetwork);
+
+    const { ruleset, response } = rulesetFor(env);
+    if (response) return response;
+
+    const scored = await scoreAddress(
+      address,
+      net,
+      lists,
+      historyLoader(env, { sync, ctx }),
+      ruleset,
+      asOf,
+      searchParams.get("balance") === "0" ? { env } : { env, loadBalance: balanceLoader(env) }
+    );
+    return json(scored);
+  }
 
-    if (pathname === "/score") {
-      const address = searchParams.get("address")?.toLowerCase();
-      const network = (searchParams.get("network") || "eth").toLowerCase();
+  if (pathname === "/score/batch") {
+    if (!body) return badRequest("Invalid JSON body");
+    const { ruleset, response } = rulesetFor(env);
+    if (response) return response;
+    return scoreBatch(body, env, lists, ruleset, ctx);
+  }
 
-      if (!address || !address.startsWith("0x")) {
-        return badRequest("Missing or invalid address");
-      }
+  if (pathname === "/score-tx") {
+    const hash = searchParams.get("hash")?.toLowerCase();
+    if (!hash || !/^0x[0-9a-f]{64}$/.test(hash)) {
+      return badRequest("Missing or invalid hash");
+    }
+    if (!net) return unsupportedNetwork(rawNetwork);
+    const { ruleset, response } = rulesetFor(env);
+    if (response) return response;
+    return scoreTx(hash, net, env, lists, ruleset, sync, ctx);
+  }
 
-      const nowMs = Date.now();
-      const hist = await fetchTxHistory(address, env);
-      const feats = buildFeatures(address, hist.txs, nowMs);
-      const scored = scoreWithLists(address, network, feats, lists);
+  if (pathname === "/check-transfer") {
+    if (!body) return badRequest("Invalid JSON body");
+    const { ruleset, response } = rulesetFor(env);
+    if (response) return response;
+    return checkTransfer(body, env, lists, ruleset, ctx);
+  }
 
-      return json(scored);
+  if (pathname === "/ofac") {
+    if (request.method === "POST") {
+      if (!body) return badRequest("Invalid JSON body");
+      const bodyNet = resolveNetwork(body.network || "eth");
+      if (!bodyNet) return unsupportedNetwork(body.network);
+      const addresses = Array.isArray(body) ? body : body.addresses;
+      if (!Array.isArray(addresses)) return badRequest("Body must contain an addresses array");
+      return ofacLookup(addresses, bodyNet.id, lists);
     }
+    if (!net) return unsupportedNetwork(rawNetwork);
+    const many = searchParams.get("addresses");
+    if (many) return ofacLookup(many.split(","), net.id, lists);
 
-    if (pathname === "/neighbors") {
-      const address = searchParams.get("address")?.toLowerCase();
-      const network = (searchParams.get("network") || "eth").toLowerCase();
-      const limit = Number(searchParams.get("limit") || "120") || 120;
+    const address = searchParams.get("address")?.toLowerCase();
+    if (!address || !address.startsWith("0x")) {
+      return badRequest("Missing or invalid address");
+    }
+    return json(ofacResult(address, net.id, lists));
+  }
 
-      if (!address || !address.startsWith("0x")) {
-        return badRequest("Missing or invalid address");
-      }
+  if (pathname === "/txs") {
+    const address = searchParams.get("address")?.toLowerCase();
+    const limit = Math.max(1, Math.min(TXS_MAX_LIMIT, Number(searchParams.get("limit") || "100") || 100));
+    const sort = searchParams.get("sort") === "desc" ? "desc" : "asc";
+
+    if (!address || !address.startsWith("0x")) {
+      return badRequest("Missing or invalid address");
+    }
+    if (!net) return unsupportedNetwork(rawNetwork);
+
+    const hist = await fetchTxHistory(address, net, env, { sync, ctx });
+    return txsResponse(address, hist, lists, { limit, sort });
+  }
+
+  if (pathname === "/neighbors") {
+    const address = searchParams.get("address")?.toLowerCase();
+    const limit = Number(searchParams.get("limit") || "120") || 120;
+    const hop = Number(searchParams.get("hop") || "1") || 1;
+    const fanout = parseFanout(searchParams.get("fanout"));
 
-      const hist = await fetchTxHistory(address, env);
-      const graph = buildNeighborGraph(address, hist.txs, network, limit);
-      return json(graph);
+    if (!address || !address.startsWith("0x")) {
+      return badRequest("Missing or invalid address");
     }
+    if (!net) return unsupportedNetwork(rawNetwork);
+    if (hop < 1 || hop > MAX_HOP) {
+      return badRequest(`hop must be between 1 and ${MAX_HOP}`);
+    }
+
+    const { graph, hist } = await crawlNeighborGraph(
+      address,
+      net,
+      { hop, limit, fanout, maxSubrequests: Number(env.CRAWL_MAX_SUBREQUESTS) || CRAWL_MAX_SUBREQUESTS },
+      historyLoader(env, { sync, ctx }),
+      historyLoader(env, { ctx, budget: CRAWL_TX_BUDGET, newestFirst: true })
+    );
+    return json({ ...graph, ...historyMeta(hist) });
+  }
+
+  return json({ ok: false, error: "Not found" }, 404);
+}
+
+export default {
+  async fetch(request, env, ctx) {
+    const { pathname } = new URL(request.url);
+    // POST bodies are parsed once, here: the batch size sets the request's
+    // charge and the route works from the same parsed body
+    const body = request.method === "POST" ? await readJson(request) : null;
+    if (request.method === "OPTIONS" || pathname.startsWith("/admin/")) {
+      return routeRequest(request, env, ctx, body);
+    }
+
+    const auth = await authorizeRequest(request, pathname, env, body);
+    if (auth.response) return auth.response;
 
-    return json({ ok: false, error: "Not found" }, 404);
+    const resp = await routeRequest(request, env, ctx, body);
+    for (const [k, v] of Object.entries(auth.headers)) resp.headers.set(k, v);
+    return resp;
   },
 };
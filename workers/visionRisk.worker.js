@@ -2,22 +2,30 @@
 // Vision v1.6.3 — front-end worker that calls the Cloudflare risk engine
 // and handles neighbor fetching / batching for the graph.
 
+import { syntheticNeighborhood } from '../lib/synthetic-graph.js';
+
 console.log('[visionWorker] booting v1.6.3');
 
 let CFG = {
   apiBase: "",
+  apiKey: "",
   network: "eth",
   concurrency: 8,
+  batchSize: 100,   // items per POST /score/batch
   flags: {
     graphSignals: true,
     streamBatch: true,
     neighborStats: true,
     cacheNeighborsTTL: 600000 // 10 min
+  },
+  synthetic: {
+    topology: 'auto', // star | peel_chain | mixer_fan_in | exchange_hub | auto (derived from address)
+    count: 10
   }
 };
 
 const scoreCache = new Map();     // key: `${network}:${address}` → result
-const neighborCache = new Map();  // key: `${network}:${address}` → {nodes,links,meta,ts}
+const neighborCache = new Map();  // key: `${network}:${address}:${hop}` → {nodes,links,meta,ts}
 
 /* ============ Wire up messages from main thread ============ */
 
@@ -26,9 +34,12 @@ self.onmessage = async (e) => {
   try {
     if (type === 'INIT') {
       if (payload?.apiBase) CFG.apiBase = String(payload.apiBase).replace(/\/$/, "");
+      if (payload?.apiKey) CFG.apiKey = String(payload.apiKey);
       if (payload?.network) CFG.network = payload.network;
       if (payload?.concurrency) CFG.concurrency = payload.concurrency;
+      if (payload?.batchSize) CFG.batchSize = payload.batchSize;
       if (payload?.flags) CFG.flags = { ...CFG.flags, ...payload.flags };
+      if (payload?.synthetic) CFG.synthetic = { ...CFG.synthetic, ...payload.synthetic };
 
       console.log('[visionWorker] INIT cfg', CFG);
       post({ id, type: 'INIT_OK' });
@@ -44,13 +55,8 @@ self.onmessage = async (e) => {
 
     if (type === 'SCORE_BATCH') {
       const items = Array.isArray(payload?.items) ? payload.items : [];
-      console.log('[visionWorker] SCORE_BATCH', items);
-      for (const it of items) {
-        const r = await scoreOne(it);
-        post({ type: 'RESULT_STREAM', data: r });
-        // gentle spacing to avoid bursts
-        await sleep(60);
-      }
+      console.log('[visionWorker] SCORE_BATCH', items.length);
+      await scoreBatch(items, r => post({ type: 'RESULT_STREAM', data: r }));
       post({ id, type: 'DONE' });
       return;
     }
@@ -103,32 +109,92 @@ async function scoreOne(item) {
   console.debug('[visionWorker] SCORE_ONE →', url);
 
   const r = await fetch(url, {
-    headers: { 'accept': 'application/json' }
+    headers: apiHeaders({ 'accept': 'application/json' })
   });
 
   if (!r.ok) {
-    throw new Error(`scoreOne: backend ${r.status}`);
+    throw await backendError(r, 'scoreOne');
   }
 
   const json = await r.json();
-  // make sure id/network are present and normalized
+  return remember(json, id, network);
+}
+
+// make sure id/network are present and normalized, then cache
+function remember(json, id, network) {
   const result = {
     ...json,
     id,
     address: id,
     network
   };
-
-  scoreCache.set(cacheKey, result);
+  scoreCache.set(`${network}:${id}`, result);
   return result;
 }
 
+/* ================== SCORE BATCH ================== */
+
+// Cached items stream back immediately; the rest go to POST /score/batch in
+// chunks of CFG.batchSize. Per-item backend errors are logged and skipped.
+async function scoreBatch(items, onResult) {
+  const todo = [];
+  const seen = new Set();
+  for (const it of items) {
+    const id = String(it?.id || it?.address || '').toLowerCase();
+    if (!id) continue;
+    const network = it.network || CFG.network || 'eth';
+    const key = `${network}:${id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const cached = scoreCache.get(key);
+    if (cached) onResult(cached);
+    else todo.push({ address: id, network });
+  }
+  if (!todo.length) return;
+  if (!CFG.apiBase) throw new Error('scoreBatch: apiBase not configured');
+
+  const size = Math.max(1, CFG.batchSize | 0);
+  for (let i = 0; i < todo.length; i += size) {
+    const chunk = todo.slice(i, i + size);
+    let body;
+    try {
+      const r = await fetch(`${CFG.apiBase}/score/batch`, {
+        method: 'POST',
+        headers: apiHeaders({ 'accept': 'application/json', 'content-type': 'application/json' }),
+        body: JSON.stringify({ items: chunk })
+      });
+      // over quota: one-by-one retries would only burn more of it
+      if (r.status === 429 || r.status === 401 || r.status === 403) throw await backendError(r, 'scoreBatch');
+      if (!r.ok) throw new Error(`backend ${r.status}`);
+      body = await r.json();
+    } catch (e) {
+      if (e.backendStatus) throw e;
+      // older backends without /score/batch: fall back to one call per item
+      console.warn('[visionWorker] batch endpoint failed, scoring one by one', e);
+      for (const it of chunk) {
+        try { onResult(await scoreOne({ id: it.address, network: it.network })); }
+        catch (err) { console.warn('[visionWorker] score failed', it.address, err); }
+      }
+      continue;
+    }
+
+    for (const item of body?.results || []) {
+      if (!item.ok) {
+        console.warn('[visionWorker] batch item failed', item.address, item.error);
+        continue;
+      }
+      onResult(remember(item.result, item.address, item.network));
+    }
+  }
+}
+
 /* ================== NEIGHBORS ================== */
 
 async function getNeighbors(address, network, { hop = 1, limit = 120 } = {}) {
   const addr = String(address || '').toLowerCase();
   if (!addr) throw new Error('neighbors: empty address');
-  const key = `${network}:${addr}`;
+  const key = `${network}:${addr}:${hop}`;
   const now = Date.now();
   const ttl = CFG.flags.cacheNeighborsTTL || 600000;
 
@@ -150,7 +216,11 @@ async function getNeighbors(address, network, { hop = 1, limit = 120 } = {}) {
 
   let data;
   try {
-    const resp = await fetch(url, { headers: { 'accept': 'application/json' } });
+    const resp = await fetch(url, { headers: apiHeaders({ 'accept': 'application/json' }) });
+    if ([400, 401, 403, 429].includes(resp.status)) {
+      // e.g. unsupported network or over quota – don't paper over it with a stub graph
+      throw await backendError(resp, 'neighbors');
+    }
     if (!resp.ok) {
       console.warn('[visionWorker] neighbors backend error', resp.status);
       data = stubNeighbors(addr, network);
@@ -173,6 +243,7 @@ async function getNeighbors(address, network, { hop = 1, limit = 120 } = {}) {
       data = normalized;
     }
   } catch (e) {
+    if (e.backendStatus) throw e;
     console.warn('[visionWorker] neighbors fetch failed, using stub', e);
     data = { ...stubNeighbors(addr, network), sparseNeighborhood: true };
   }
@@ -202,7 +273,9 @@ function normalizeNeighbors(raw, centerId, network, limit) {
     const a = String(L?.a ?? L?.source ?? L?.from ?? L?.idA ?? '').toLowerCase();
     const b = String(L?.b ?? L?.target ?? L?.to   ?? L?.idB ?? '').toLowerCase();
     if (!a || !b || a === b) return;
-    links.push({ a, b, weight: Number(L?.weight ?? 1) || 1 });
+    // keep flow metadata (direction, valueOut/valueIn, txOut/txIn, first/lastSeen)
+    const { source, target, from, to, idA, idB, ...meta } = L || {};
+    links.push({ ...meta, a, b, weight: Number(L?.weight ?? 1) || 1 });
   };
 
   if (Array.isArray(raw?.nodes)) raw.nodes.forEach(pushNode);
@@ -231,45 +304,51 @@ function normalizeNeighbors(raw, centerId, network, limit) {
   let haveCenter = nodes.some(n => n.id === center);
   const finalNodes = haveCenter ? nodes : [centerNode, ...nodes];
 
-  // ensure center is connected
-  const existing = new Set();
+  // attach orphans to the center; multi-hop nodes already hang off a neighbor
+  const linked = new Set();
   for (const L of links) {
-    if (L.a === center) existing.add(L.b);
-    if (L.b === center) existing.add(L.a);
+    linked.add(L.a);
+    linked.add(L.b);
   }
   for (const n of finalNodes) {
-    if (n.id !== center && !existing.has(n.id)) {
+    if (n.id !== center && !linked.has(n.id)) {
       links.push({ a: center, b: n.id, weight: 1 });
     }
   }
 
   // cap visible neighbors
   const max = Math.max(1, limit | 0);
-  const keptNeighbors = finalNodes.slice(1, max + 1);
-  const keptIds = new Set(keptNeighbors.map(n => n.id));
-  const prunedLinks = links.filter(L => keptIds.has(L.a) || keptIds.has(L.b));
+  const keptNeighbors = finalNodes.filter(n => n.id !== center).slice(0, max);
+  const keptIds = new Set([center, ...keptNeighbors.map(n => n.id)]);
+  const prunedLinks = links.filter(L => keptIds.has(L.a) && keptIds.has(L.b));
 
   return {
-    nodes: [centerNode, ...keptNeighbors],
+    nodes: [finalNodes.find(n => n.id === center) || centerNode, ...keptNeighbors],
     links: prunedLinks
   };
 }
 
+// Seeded synthetic neighborhood: the same center always yields the same graph
 function stubNeighbors(center, network) {
-  const centerId = center.toLowerCase() || '0xseed';
-  const n = 10;
-  const nodes = [{ id: centerId, address: centerId, network }];
-  const links = [];
-  for (let i = 0; i < n; i++) {
-    const id = `0x${Math.random().toString(16).slice(2).padStart(40, '0').slice(0, 40)}`;
-    nodes.push({ id, address: id, network });
-    links.push({ a: centerId, b: id, weight: 1 });
-  }
-  return { nodes, links };
+  return syntheticNeighborhood(center, {
+    network,
+    topology: CFG.synthetic.topology,
+    count: CFG.synthetic.count
+  });
 }
 
 /* ================== helpers ================== */
 
-function sleep(ms) {
-  return new Promise(res => setTimeout(res, ms));
+// Error carrying the backend's { error } message, e.g. "Unsupported network: bsc"
+async function backendError(resp, label) {
+  const body = await resp.json().catch(() => null);
+  const err = new Error(`${label}: backend ${resp.status}${body?.error ? ` – ${body.error}` : ''}`);
+  err.backendStatus = resp.status;
+  if (resp.status === 429) err.retryAfterSec = Number(resp.headers.get('retry-after')) || body?.retryAfterSec || null;
+  return err;
+}
+
+// X-API-Key only when configured, so open backends never see a CORS preflight for it
+function apiHeaders(headers) {
+  return CFG.apiKey ? { ...headers, 'x-api-key': CFG.apiKey } : headers;
 }